@@ -2,6 +2,7 @@
 // Centralized WebAudio tick generator and sound profile manager
 import { getSampleBuffer } from "./sampleLoader.js";
 import { debugLog } from "./debug.js";
+import { AUDIO } from "./constants.js";
 
 let audioCtx;
 let nextNoteTime = 0; // The scheduling time will be managed externally by each metronome
@@ -136,10 +137,13 @@ export function getAvailableProfiles() {
  * Generates a procedural audio tick.
  *
  * @param {boolean} isAccent - True for accent (downbeat), false for normal
+ * @param {boolean} [isGroupAccent=false] - Secondary accent on the start of
+ *   an additive group (2+2+3); sits between accent and normal
+ * @param {boolean} [isSoft=false] - Quieter than normal (per-beat accents)
  * @returns {void}
  * @internal
  */
-export function playTick(isAccent) {
+export function playTick(isAccent, isGroupAccent = false, isSoft = false) {
   // Check mute state and audio context availability
   if (!audioCtx || isMuted()) return;
 
@@ -148,8 +152,11 @@ export function playTick(isAccent) {
   const osc = audioCtx.createOscillator();
   const gain = audioCtx.createGain();
 
-  const baseFreq = profile.freq * (isAccent ? 2.0 : 1.0);
-  const baseGain = isAccent ? 0.4 : 0.25;
+  let level = isAccent ? "accent" : isGroupAccent ? "group" : "normal";
+  if (isSoft && !isAccent) level = "soft";
+  const baseFreq =
+    profile.freq * { accent: 2.0, group: 1.5, normal: 1.0, soft: 1.0 }[level];
+  const baseGain = { accent: 0.4, group: 0.32, normal: 0.25, soft: 0.1 }[level];
 
   // --- Check if profile uses a sample or an oscillator ---
   if (profile.sample) {
@@ -158,8 +165,11 @@ export function playTick(isAccent) {
     const source = audioCtx.createBufferSource();
     source.buffer = buffer;
 
-    // Loudness logic (1.0 for accent, 0.8 for normal)
-    gain.gain.setValueAtTime(isAccent ? 1.0 : 0.8, nextNoteTime);
+    // Loudness logic (1.0 accent, 0.9 group start, 0.8 normal, 0.4 soft)
+    gain.gain.setValueAtTime(
+      { accent: 1.0, group: 0.9, normal: 0.8, soft: 0.4 }[level],
+      nextNoteTime
+    );
 
     source.connect(gain);
     gain.connect(audioCtx.destination);
@@ -192,6 +202,34 @@ export function playTick(isAccent) {
   }
 }
 
+/**
+ * Plays one polyrhythm layer's voice. Layers keep fixed pitches so they
+ * stay apart whatever sound profile is active.
+ *
+ * @param {number} layer - Layer index within the ratio
+ * @param {boolean} isAccent - True at the start of the cycle
+ * @returns {void}
+ * @internal
+ */
+export function playLayerTick(layer, isAccent) {
+  if (!audioCtx || isMuted()) return;
+
+  const { VOICES, ACCENT_BOOST, DURATION_S } = AUDIO.POLYRHYTHM;
+  const voice = VOICES[layer % VOICES.length];
+  const osc = audioCtx.createOscillator();
+  const gain = audioCtx.createGain();
+  const now = nextNoteTime;
+
+  osc.type = voice.type;
+  osc.frequency.setValueAtTime(voice.freq, now);
+  gain.gain.setValueAtTime(voice.gain * (isAccent ? ACCENT_BOOST : 1), now);
+  gain.gain.exponentialRampToValueAtTime(0.0001, now + DURATION_S);
+  osc.connect(gain);
+  gain.connect(audioCtx.destination);
+  osc.start(now);
+  osc.stop(now + DURATION_S);
+}
+
 // Re-expose useful state for debugging
 export const AudioProfiles = {
   ensureAudio,
@@ -199,4 +237,5 @@ export const AudioProfiles = {
   setActiveProfile,
   getAvailableProfiles,
   playTick,
+  playLayerTick,
 };
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Per-beat accent patterns for the simple metronome.
+ * Each beat of the bar plays as an accent, a normal click, a soft click or
+ * not at all, so a player can practise with clicks on 2 and 4 only or any
+ * custom accent pattern. Patterns are stored per time signature.
+ * @module beatAccents
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+import { debugLog } from "./debug.js";
+
+/** Beat levels in the order a click cycles through them. */
+export const BEAT_LEVELS = Object.freeze(["accent", "normal", "soft", "muted"]);
+
+/**
+ * @param {number} beats - Numerator of the meter
+ * @returns {string[]} Accented downbeat, normal clicks on every other beat
+ */
+export function defaultBeatAccents(beats) {
+  return Array.from({ length: beats }, (_, i) =>
+    i === 0 ? "accent" : "normal"
+  );
+}
+
+/**
+ * Validates an accent pattern against the bar it must fill.
+ *
+ * @param {*} raw - Stored or edited levels
+ * @param {number} beats - Numerator of the meter
+ * @returns {string[]|null} One level per beat, or null when malformed
+ * @example
+ * sanitizeBeatAccents(["muted", "normal", "muted", "normal"], 4); // kept
+ * sanitizeBeatAccents(["accent", "loud"], 2); // null
+ */
+export function sanitizeBeatAccents(raw, beats) {
+  if (!Array.isArray(raw) || raw.length !== beats) return null;
+  return raw.every((level) => BEAT_LEVELS.includes(level)) ? [...raw] : null;
+}
+
+/**
+ * @param {string} level
+ * @returns {string} The level a click on the beat switches to
+ */
+export function nextBeatLevel(level) {
+  const i = BEAT_LEVELS.indexOf(level);
+  return BEAT_LEVELS[(i + 1) % BEAT_LEVELS.length];
+}
+
+/** @private */
+function _getRaw() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.BEAT_ACCENTS)) || {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse beat accents:", e);
+    return {};
+  }
+}
+
+/**
+ * @param {{beats: number, value: number}} timeSignature
+ * @returns {string[]|null} Accent pattern stored for this meter
+ */
+export function getStoredBeatAccents({ beats, value }) {
+  return sanitizeBeatAccents(_getRaw()[`${beats}/${value}`], beats);
+}
+
+/**
+ * Stores the accent pattern of a meter. The default pattern, or an invalid
+ * one, clears the entry.
+ *
+ * @param {{beats: number, value: number}} timeSignature
+ * @param {string[]|null} levels
+ * @returns {string[]|null} The stored pattern
+ */
+export function saveStoredBeatAccents({ beats, value }, levels) {
+  let accents = sanitizeBeatAccents(levels, beats);
+  if (accents && accents.join() === defaultBeatAccents(beats).join()) {
+    accents = null;
+  }
+
+  const all = _getRaw();
+  if (accents) all[`${beats}/${value}`] = accents;
+  else delete all[`${beats}/${value}`];
+
+  try {
+    localStorage.setItem(STORAGE_KEYS.BEAT_ACCENTS, JSON.stringify(all));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in beat accent storage", e);
+  }
+  return accents;
+}
@@ -5,9 +5,21 @@
 // --- 1. SYSTEM PHYSICS (Hard Boundaries) ---
 export const LIMITS = {
   BPM: { MIN: 30, MAX: 300 },
-  TIME_SIG: { BEATS_MAX: 16, DENOMINATORS: [2, 4, 8, 16] },
+  TIME_SIG: {
+    BEATS_MAX: 16,
+    DENOMINATORS: [2, 4, 8, 16],
+    SUBDIVISIONS: [1, 2, 3, 4, 5, 6, 8], // Ticks per beat
+  },
   STEP: { MIN: 1, MAX: 150, DEFAULT: 5 },
-  STORAGE: { MAX_GROOVES: 100 },
+  STORAGE: { MAX_GROOVES: 100, MAX_ROUTINES: 50 },
+  GAP_CLICK: { BARS: { MIN: 1, MAX: 16 }, PERCENT: { MIN: 5, MAX: 95 } },
+  SPEED_TRAINER: { EVERY: { MIN: 1, MAX: 64 } },
+  GROOVE_WEIGHT: { MIN: 0, MAX: 5 }, // 0 excludes a groove from selection
+  PLAN: { SEGMENTS_MAX: 12, MINUTES: { MIN: 1, MAX: 120 } },
+  COUNT_IN: { BEATS: { MIN: 1, MAX: 8 }, BARS: { MIN: 1, MAX: 4 } },
+  UP_NEXT: { MIN: 0, MAX: 30 }, // Seconds of warning; 0 turns it off
+  SWING: { MIN: 50, MAX: 75 }, // Percent of a subdivision pair; 50 is straight
+  LATENCY: { MIN: -100, MAX: 500 }, // Output latency offset in ms
   // Consolidated from the old INPUT_LIMITS
   INPUT: {
     bpmMin: { min: 30, max: 300, defaultValue: 30 },
@@ -38,13 +50,66 @@ export const AUDIO = {
   LOOKAHEAD_S: 0.1,
   TIMER_INTERVAL_MS: 25,
   ADJUSTMENT_PAUSE_MS: 1700,
+  // Adaptive sessions hold the next cycle this long for a self-rating
+  RATING_WAIT_MS: 6000,
   COUNT_IN: {
-    STEPS: 3,
     HEADROOM_S: 0.02,
     FIXED_INTERVAL_MS: 1000,
     STEP_DURATIONS: [0.06, 0.09, 0.06],
     FREQS: [700, 1400, 1600],
     GAINS: [0.22, 0.25, 0.3],
+    // Other count-in sounds: [accent, beat] pairs
+    SOUNDS: {
+      click: { type: "square", freqs: [1600, 1000], gains: [0.16, 0.1] },
+      woodblock: { type: "triangle", freqs: [1800, 1200], gains: [0.4, 0.3] },
+    },
+    SOUND_DURATION_S: 0.04,
+  },
+  // Polyrhythm voices by layer; the last layer of a ratio is the reference
+  POLYRHYTHM: {
+    VOICES: [
+      { type: "square", freq: 1760, gain: 0.14 },
+      { type: "sine", freq: 880, gain: 0.3 },
+      { type: "triangle", freq: 440, gain: 0.35 },
+    ],
+    ACCENT_BOOST: 1.6, // Gain multiplier at the start of each cycle
+    DURATION_S: 0.05,
+  },
+  // Latency calibration: a steady click to tap along with or watch
+  LATENCY: {
+    CLICKS: 16,
+    INTERVAL_S: 0.6,
+    LEAD_IN_S: 0.5,
+    MIN_TAPS: 6,
+    FREQ: 1000,
+    GAIN: 0.4,
+    DURATION_S: 0.04,
+  },
+  // Onset detection for recorded takes (energy flux, peak picked)
+  ONSET: {
+    HIGHPASS_HZ: 150, // Keeps room rumble out of the envelope
+    FRAME_S: 0.01,
+    HOP_S: 0.005,
+    MEDIAN_FRAMES: 10, // Each side of a frame for the adaptive threshold
+    THRESHOLD: 1.5, // Multiple of the local median flux
+    MIN_FLUX: 0.1, // Fraction of the loudest attack
+    MIN_GAP_S: 0.05, // Flams closer than this count once
+    MAX_DURATION_S: 600,
+  },
+  // Web MIDI output: clock for a DAW, pattern notes for a drum module
+  MIDI: {
+    CLOCK_PPQN: 24,
+    NOTE_CHANNEL: 10, // General MIDI drums
+    NOTE_LENGTH_MS: 50,
+    STOP_MARGIN_MS: 5, // Stop trails the last queued pulse or note-off
+    VELOCITIES: { 1: 100, 2: 127, 3: 45 }, // Per step level (normal, accent, ghost)
+  },
+  // Per-step dynamics for groove patterns.
+  // NORMAL stays at 1 so legacy 0/1 patterns play exactly as before.
+  VELOCITY: {
+    LEVELS: { REST: 0, NORMAL: 1, ACCENT: 2, GHOST: 3 },
+    GAINS: { 1: 1.0, 2: 1.5, 3: 0.35 },
+    EDITOR_CYCLE: [0, 1, 2, 3], // off → normal → accent → ghost → off
   },
 };
 
@@ -79,6 +144,20 @@ export const UX = {
     DECAY_WEIGHT: 0.18,
     QUANTIZATION_STEP: 5,
   },
+  // Tap-along accuracy: taps further than MAX_OFFSET_MS from any tick are strays
+  TAP_ACCURACY: {
+    MAX_OFFSET_MS: 200,
+    HISTOGRAM_BIN_MS: 10,
+    HISTOGRAM_RANGE_MS: 100, // Outer bins also hold anything beyond ±range
+    TICK_WINDOW_S: 2, // Scheduled ticks kept for matching
+  },
+  // E-kit hit scoring: within ON_TIME_MS counts as on time, within
+  // MATCH_WINDOW_MS as mistimed; anything further is missed or extra
+  HIT_SCORING: {
+    ON_TIME_MS: 25,
+    MATCH_WINDOW_MS: 100,
+    SETTLE_S: 1, // Notes this far behind the newest tick can no longer be hit
+  },
 };
 
 // --- 4. FACTORY DEFAULTS (Initial State) ---
@@ -86,6 +165,44 @@ export const DEFAULTS = {
   BPM: 120,
   GROOVE_RANGE: { MIN: 30, MAX: 60 },
   SOUND_PROFILE: "digital",
+  // Drop-out practice: "bars" plays N bars then rests M; "random" rests a % of beats
+  GAP_CLICK: { mode: "off", playBars: 2, muteBars: 2, mutePercent: 25 },
+  // Count-in length counts beats or whole bars of the upcoming meter
+  COUNT_IN: {
+    unit: "beats",
+    length: 3,
+    sound: "classic",
+    firstCycleOnly: false,
+  },
+  UP_NEXT_SECONDS: 10,
+  POLYRHYTHM: "off",
+  SWING: 50,
+  LATENCY_MS: 0,
+  // Web MIDI output; `output` is the port name, "" sends nothing
+  MIDI_OUTPUT: { output: "", clock: true, notes: true },
+  // Simple-metronome tempo ramp; "every" counts bars or seconds per stage
+  SPEED_TRAINER: {
+    enabled: false,
+    startBpm: 80,
+    targetBpm: 120,
+    increment: 5,
+    every: 4,
+    unit: "bars",
+    loop: false,
+  },
+  // Practice plan: warm-up on the metronome, grooves, then a slow cool-down
+  PLAN: [
+    { type: "simple", minutes: 5, bpm: 80 },
+    {
+      type: "groove",
+      minutes: 15,
+      grooves: "Rock\nFunk",
+      bpmMin: 70,
+      bpmMax: 100,
+      cycleSeconds: 60,
+    },
+    { type: "simple", minutes: 3, bpm: 60 },
+  ],
 };
 
 // --- 5. PERSISTENCE MAP (Storage Keys) ---
@@ -102,4 +219,22 @@ export const STORAGE_KEYS = {
   GROOVE_NAMES: "userGrooveNames",
   EDITOR_STATE: "grooveEditorState",
   COUNT_IN_SYNC: "tempoSyncedCountIn",
+  COUNT_IN: "countInSettings",
+  MIXER: "grooveMixer",
+  GAP_CLICK: "gapClickSettings",
+  SPEED_TRAINER: "speedTrainerSettings",
+  TEMPO_STRATEGY: "grooveTempoStrategy",
+  TEMPO_STATS: "grooveTempoStats",
+  WORKING_TEMPOS: "grooveWorkingTempos",
+  GROOVE_POLICY: "grooveSelectionPolicy",
+  GROOVE_WEIGHTS: "grooveWeights",
+  ROUTINES: "sessionRoutines",
+  PRACTICE_PLAN: "practicePlan",
+  UP_NEXT: "upNextSeconds",
+  POLYRHYTHM: "simplePolyrhythm",
+  METER_GROUPINGS: "meterGroupings",
+  BEAT_ACCENTS: "simpleBeatAccents",
+  SWING: "simpleSwing",
+  LATENCY: "latencyProfiles",
+  MIDI_OUTPUT: "midiOutputSettings",
 };
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Count-in shared by both metronome cores.
+ * The count-in lasts a number of beats or whole bars of the meter about to
+ * play, uses one of several procedural sounds, and can be limited to the
+ * start of a session.
+ * @module countIn
+ */
+
+import { AUDIO, LIMITS, DEFAULTS, STORAGE_KEYS } from "./constants.js";
+import { debugLog } from "./debug.js";
+
+/** Selectable count-in sounds, in menu order. */
+export const COUNT_IN_SOUNDS = Object.freeze({
+  classic: "Rising beeps",
+  click: "Click",
+  woodblock: "Woodblock",
+});
+
+/**
+ * Clamps raw settings (e.g. from localStorage or inputs) into a safe shape.
+ * The length limit depends on the unit.
+ *
+ * @param {Object} [raw] - Partial settings
+ * @returns {{unit: string, length: number, sound: string, firstCycleOnly: boolean}}
+ */
+export function sanitizeCountInSettings(raw = {}) {
+  const base = DEFAULTS.COUNT_IN;
+  const unit = ["beats", "bars"].includes(raw.unit) ? raw.unit : base.unit;
+  const { MIN, MAX } = LIMITS.COUNT_IN[unit === "bars" ? "BARS" : "BEATS"];
+  const n = parseInt(raw.length, 10);
+
+  return {
+    unit,
+    length: Number.isFinite(n) ? Math.min(MAX, Math.max(MIN, n)) : base.length,
+    sound: Object.prototype.hasOwnProperty.call(COUNT_IN_SOUNDS, raw.sound)
+      ? raw.sound
+      : base.sound,
+    firstCycleOnly: raw.firstCycleOnly === true,
+  };
+}
+
+/**
+ * @returns {Object} Stored count-in settings (defaults if none)
+ */
+export function getCountInSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.COUNT_IN));
+    return sanitizeCountInSettings(stored || {});
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse count-in settings:", e);
+    return sanitizeCountInSettings();
+  }
+}
+
+/**
+ * Sanitizes and stores the count-in settings.
+ *
+ * @param {Object} raw
+ * @returns {Object} The stored settings
+ */
+export function saveCountInSettings(raw) {
+  const settings = sanitizeCountInSettings(raw);
+  try {
+    localStorage.setItem(STORAGE_KEYS.COUNT_IN, JSON.stringify(settings));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in count-in storage", e);
+  }
+  return settings;
+}
+
+/**
+ * Lists the count-in beats for a meter. Beat counts run down to 1
+ * (3-2-1); bar counts number each beat within its bar (1-2-3-4).
+ *
+ * @param {Object} settings - Sanitized count-in settings
+ * @param {number} beatsPerBar - Numerator of the upcoming meter
+ * @returns {{label: number, accent: boolean}[]}
+ * @example
+ * buildCountInSteps({ unit: "bars", length: 1 }, 3);
+ * // [{label: 1, accent: true}, {label: 2, accent: false}, {label: 3, accent: false}]
+ */
+export function buildCountInSteps(settings, beatsPerBar) {
+  const perBar = Math.max(1, beatsPerBar || 4);
+  if (settings.unit === "bars") {
+    return Array.from({ length: settings.length * perBar }, (_, i) => ({
+      label: (i % perBar) + 1,
+      accent: i % perBar === 0,
+    }));
+  }
+  return Array.from({ length: settings.length }, (_, i) => ({
+    label: settings.length - i,
+    accent: i === 0,
+  }));
+}
+
+/**
+ * Spacing of the count-in beats. Tempo-synced count-ins follow the beat
+ * unit of the meter (an eighth in 6/8), like the cores' own ticks.
+ *
+ * @param {number} bpm - Tempo of the upcoming cycle
+ * @param {boolean} tempoSynced - False uses the fixed 1 s spacing
+ * @param {number} [noteValue=4] - Denominator of the upcoming meter
+ * @returns {number} Milliseconds between count-in beats
+ */
+export function getCountInIntervalMs(bpm, tempoSynced, noteValue = 4) {
+  if (!tempoSynced) return AUDIO.COUNT_IN.FIXED_INTERVAL_MS;
+  return (60000 / Math.max(1, bpm)) * (4 / (noteValue || 4));
+}
+
+/**
+ * Schedules the count-in on an audio context.
+ *
+ * @param {AudioContext} ctx
+ * @param {Object} options
+ * @param {number} options.bpm - Tempo of the upcoming cycle
+ * @param {boolean} options.tempoSynced
+ * @param {{beats: number, value: number}} options.timeSignature - Upcoming meter
+ * @param {Object} [options.settings] - Defaults to the stored settings
+ * @returns {Promise<void>} Resolves when the count-in completes
+ */
+export function playCountIn(ctx, options) {
+  const { bpm, tempoSynced, timeSignature } = options;
+  const settings = options.settings || getCountInSettings();
+  const steps = buildCountInSteps(settings, timeSignature.beats);
+  const intervalMs = getCountInIntervalMs(
+    bpm,
+    tempoSynced,
+    timeSignature.value
+  );
+
+  const now = ctx.currentTime + AUDIO.COUNT_IN.HEADROOM_S;
+  steps.forEach((step, i) => {
+    const t = now + (i * intervalMs) / 1000;
+    const tone = _toneFor(settings.sound, step, steps.length - 1 - i);
+    const osc = ctx.createOscillator();
+    const envelope = ctx.createGain();
+    osc.type = tone.type;
+    osc.frequency.value = tone.freq;
+    envelope.gain.value = tone.gain;
+    osc.connect(envelope);
+    envelope.connect(ctx.destination);
+    osc.start(t);
+    osc.stop(t + tone.duration);
+  });
+
+  debugLog(
+    "audio",
+    `🔢 Count-in: ${steps.length} beats, ${settings.sound}, ${Math.round(intervalMs)}ms apart`
+  );
+  return new Promise((resolve) => {
+    setTimeout(resolve, Math.ceil(intervalMs * steps.length) + 30);
+  });
+}
+
+/**
+ * Oscillator settings of one count-in beat.
+ * "classic" keeps the original rising 3-2-1 beeps: the last two beats
+ * climb, every earlier beat uses the first pitch.
+ * @private
+ */
+function _toneFor(sound, step, beatsLeft) {
+  const COUNT_IN = AUDIO.COUNT_IN;
+  if (sound === "classic") {
+    const i = Math.max(0, COUNT_IN.FREQS.length - 1 - beatsLeft);
+    return {
+      type: "sine",
+      freq: COUNT_IN.FREQS[i],
+      gain: COUNT_IN.GAINS[i],
+      duration: COUNT_IN.STEP_DURATIONS[i],
+    };
+  }
+  const { type, freqs, gains } = COUNT_IN.SOUNDS[sound];
+  const i = step.accent ? 0 : 1;
+  return {
+    type,
+    freq: freqs[i],
+    gain: gains[i],
+    duration: COUNT_IN.SOUND_DURATION_S,
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Drum kit registry. Maps pattern track IDs to samples and labels.
+ * A pattern declares its kit through the keys of its `patterns` object;
+ * any ID listed here may appear there.
+ * @module drumKit
+ */
+
+/**
+ * Track registry in display order (top row first).
+ * - name: Screen-reader name for rows and cells
+ * - label: Short row label for the editor grid and dashboard
+ * - sample: WAV file in assets/audio
+ * - rate: Optional playbackRate. Pitched stand-ins reuse the bundled WAVs
+ *   until dedicated samples ship.
+ * - gm: General MIDI drum notes an e-kit sends for the track; the first
+ *   one is sent on MIDI output. Hi-hat edge notes (22, 26) follow the
+ *   common e-kit layout
+ * - fallback: Optional track whose steps an e-kit hit may claim when its
+ *   own track has no note near it (an open hat or a ride played over the
+ *   hi-hat line)
+ */
+export const KIT = Object.freeze({
+  hihat: {
+    name: "Hi-hat",
+    label: "HH",
+    sample: "hh_closed.wav",
+    gm: [42, 22],
+  },
+  kick: { name: "Kick drum", label: "KI", sample: "kick.wav", gm: [36, 35] },
+  snare: { name: "Snare drum", label: "SN", sample: "snare.wav", gm: [38, 40] },
+  HHPed: {
+    name: "Hi-hat pedal",
+    label: "PD",
+    sample: "hh_pedal.wav",
+    gm: [44],
+  },
+  hihatOpen: {
+    name: "Open hi-hat",
+    label: "OH",
+    sample: "hh_closed.wav",
+    rate: 0.8,
+    gm: [46, 26],
+    fallback: "hihat",
+  },
+  ride: {
+    name: "Ride cymbal",
+    label: "RD",
+    sample: "hh_closed.wav",
+    rate: 0.6,
+    gm: [51, 59, 53],
+    fallback: "hihat",
+  },
+  crash: {
+    name: "Crash cymbal",
+    label: "CR",
+    sample: "hh_closed.wav",
+    rate: 0.45,
+    gm: [49, 57, 55, 52],
+    fallback: "hihat",
+  },
+  tomHigh: {
+    name: "High tom",
+    label: "T1",
+    sample: "kick.wav",
+    rate: 2.2,
+    gm: [50, 48],
+  },
+  tomMid: {
+    name: "Mid tom",
+    label: "T2",
+    sample: "kick.wav",
+    rate: 1.8,
+    gm: [47, 45],
+  },
+  tomFloor: {
+    name: "Floor tom",
+    label: "FT",
+    sample: "kick.wav",
+    rate: 1.4,
+    gm: [43, 41],
+  },
+  xstick: {
+    name: "Cross-stick",
+    label: "XS",
+    sample: "snare_xstick.wav",
+    gm: [37],
+  },
+  cowbell: {
+    name: "Cowbell",
+    label: "CB",
+    sample: "snare_xstick.wav",
+    rate: 1.6,
+    gm: [56],
+  },
+});
+
+/** The classic four-row kit every new pattern starts with. */
+export const DEFAULT_TRACKS = Object.freeze([
+  "hihat",
+  "kick",
+  "snare",
+  "HHPed",
+]);
+
+/**
+ * @param {string} trackID
+ * @returns {boolean} True if the ID exists in the kit registry
+ */
+export function isKitTrack(trackID) {
+  return Object.prototype.hasOwnProperty.call(KIT, trackID);
+}
+
+/**
+ * Lists the kit tracks a pattern contains, in registry order.
+ * Unknown keys are ignored so stray data can never reach the scheduler.
+ * @param {Object} patterns - The `patterns` map of a groove pattern
+ * @returns {string[]}
+ */
+export function getTrackIds(patterns) {
+  if (!patterns || typeof patterns !== "object") return [];
+  return Object.keys(KIT).filter((id) => Array.isArray(patterns[id]));
+}
+
+/**
+ * Builds an empty `patterns` map for the given tracks.
+ * @param {string[]} [trackIDs=DEFAULT_TRACKS]
+ * @returns {Object<string, number[]>}
+ */
+export function createEmptyTracks(trackIDs = DEFAULT_TRACKS) {
+  return Object.fromEntries(trackIDs.map((id) => [id, []]));
+}
+
+/**
+ * Finds the kit track a General MIDI drum note plays.
+ * @param {number} note - MIDI note number
+ * @returns {string|null} Track ID, or null for unmapped notes
+ * @example
+ * getTrackForNote(36); // "kick"
+ * getTrackForNote(60); // null
+ */
+export function getTrackForNote(note) {
+  return Object.keys(KIT).find((id) => KIT[id].gm.includes(note)) || null;
+}
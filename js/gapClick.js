@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Drop-out ("gap click") gate shared by both metronome cores.
+ * Decides per tick whether the audible click rests while visuals keep running.
+ * @module gapClick
+ */
+
+import { LIMITS, DEFAULTS } from "./constants.js";
+
+/**
+ * Clamps raw settings (e.g. from localStorage or inputs) into a safe shape.
+ *
+ * @param {Object} [raw] - Partial settings
+ * @returns {{mode: string, playBars: number, muteBars: number, mutePercent: number}}
+ */
+export function sanitizeGapSettings(raw = {}) {
+  const { BARS, PERCENT } = LIMITS.GAP_CLICK;
+  const clamp = (v, lo, hi, fallback) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? Math.min(hi, Math.max(lo, n)) : fallback;
+  };
+  const base = DEFAULTS.GAP_CLICK;
+
+  return {
+    mode: ["off", "bars", "random"].includes(raw.mode) ? raw.mode : base.mode,
+    playBars: clamp(raw.playBars, BARS.MIN, BARS.MAX, base.playBars),
+    muteBars: clamp(raw.muteBars, BARS.MIN, BARS.MAX, base.muteBars),
+    mutePercent: clamp(
+      raw.mutePercent,
+      PERCENT.MIN,
+      PERCENT.MAX,
+      base.mutePercent
+    ),
+  };
+}
+
+/**
+ * Creates an independent gate. Each core owns one so the random draw
+ * for the current beat never leaks between the simple and groove metronomes.
+ *
+ * @returns {{configure: Function, getSettings: Function, reset: Function, isGap: Function}}
+ */
+export function createGapGate() {
+  let settings = sanitizeGapSettings(DEFAULTS.GAP_CLICK);
+  let beatMuted = false; // Random draw, held for all ticks of one beat
+
+  return {
+    configure(raw) {
+      settings = sanitizeGapSettings(raw);
+      beatMuted = false;
+    },
+
+    getSettings() {
+      return { ...settings };
+    },
+
+    reset() {
+      beatMuted = false;
+    },
+
+    /**
+     * @param {number} tickIndex - Continuous tick counter since start
+     * @param {number} ticksPerBeat
+     * @param {number} beatsPerMeasure
+     * @returns {boolean} True if this tick's click should be silent
+     */
+    isGap(tickIndex, ticksPerBeat, beatsPerMeasure) {
+      if (settings.mode === "off") return false;
+
+      const ticksPerMeasure = beatsPerMeasure * ticksPerBeat;
+      const measureIndex = Math.floor(tickIndex / ticksPerMeasure);
+
+      if (settings.mode === "bars") {
+        const cycle = settings.playBars + settings.muteBars;
+        return measureIndex % cycle >= settings.playBars;
+      }
+
+      // Random: the first bar always plays so the player can lock in
+      if (measureIndex === 0) return false;
+      if (tickIndex % ticksPerBeat === 0) {
+        beatMuted = Math.random() * 100 < settings.mutePercent;
+      }
+      return beatMuted;
+    },
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Groove selection policies for groove sessions.
+ * Decides which groove each cycle plays (weighted random, shuffle-bag or
+ * no-immediate-repeat) and stores the per-groove weights edited in the list.
+ * @module grooveSelection
+ */
+
+import { LIMITS, STORAGE_KEYS } from "./constants.js";
+import { pickWeighted } from "./utils.js";
+import { debugLog } from "./debug.js";
+
+/** Selectable policies, in menu order. */
+export const GROOVE_POLICIES = Object.freeze({
+  random: "Random",
+  shuffle: "Shuffle (each once before repeats)",
+  noRepeat: "Random, no immediate repeat",
+});
+
+let _weights = _getRaw(); // { [groove]: integer weight }
+
+/**
+ * Internal helper to safely parse localStorage.
+ * @private
+ */
+function _getRaw() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.GROOVE_WEIGHTS));
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse groove weights:", e);
+    return {};
+  }
+}
+
+function _persist() {
+  try {
+    localStorage.setItem(STORAGE_KEYS.GROOVE_WEIGHTS, JSON.stringify(_weights));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in groove weight storage", e);
+  }
+}
+
+/**
+ * @param {string} name - Candidate policy ID
+ * @returns {string} A known policy ID ("random" if unknown)
+ */
+export function sanitizeGroovePolicy(name) {
+  return Object.prototype.hasOwnProperty.call(GROOVE_POLICIES, name)
+    ? name
+    : "random";
+}
+
+/**
+ * @param {string} groove - Groove name
+ * @returns {number} Stored weight (defaults to 1; 0 excludes the groove)
+ */
+export function getGrooveWeight(groove) {
+  const w = _weights[groove?.trim()];
+  return Number.isInteger(w) ? w : 1;
+}
+
+/**
+ * Stores a groove's weight. The default weight is not stored.
+ *
+ * @param {string} groove - Groove name
+ * @param {number} weight - Clamped to LIMITS.GROOVE_WEIGHT
+ * @returns {number} The stored weight
+ */
+export function setGrooveWeight(groove, weight) {
+  const { MIN, MAX } = LIMITS.GROOVE_WEIGHT;
+  const n = parseInt(weight, 10);
+  const clamped = Number.isFinite(n) ? Math.min(MAX, Math.max(MIN, n)) : 1;
+  const key = groove.trim();
+
+  if (clamped === 1) delete _weights[key];
+  else _weights[key] = clamped;
+  _persist();
+  debugLog("state", `⚖️ Weight for "${key}" set to ${clamped}`);
+  return clamped;
+}
+
+/**
+ * Drops weights for grooves that are no longer in the list.
+ * Mirrors grooveStorage.purgeDanglingPatterns().
+ *
+ * @param {string[]} activeNames - Current groove names
+ * @returns {void}
+ */
+export function purgeDanglingWeights(activeNames) {
+  const active = new Set(activeNames.map((n) => n.trim()));
+  Object.keys(_weights).forEach((name) => {
+    if (!active.has(name)) delete _weights[name];
+  });
+  _persist();
+}
+
+/**
+ * Fisher–Yates shuffle (in place).
+ * @private
+ */
+function _shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Creates a picker for one session. Shuffle and no-repeat remember what
+ * played last, so create a fresh picker whenever a session starts.
+ * Random and no-repeat draw by weight; shuffle only skips weight-0 grooves.
+ *
+ * @param {string} policy - Key of GROOVE_POLICIES
+ * @returns {{policy: string, pick: Function}} pick(grooves) => groove name
+ * @example
+ * setGrooveWeight("Rock", 3);
+ * const picker = createGroovePicker("shuffle");
+ * [1, 2, 3].map(() => picker.pick(["Rock", "Funk", "Jazz"])); // each once
+ */
+export function createGroovePicker(policy) {
+  const name = sanitizeGroovePolicy(policy);
+  let last = null;
+  let bag = [];
+
+  // Weight 0 drops a groove, unless every groove is at 0
+  const weightsFor = (grooves) => {
+    const weights = grooves.map(getGrooveWeight);
+    return weights.some((w) => w > 0) ? weights : grooves.map(() => 1);
+  };
+
+  const refillBag = (grooves) => {
+    const weights = weightsFor(grooves);
+    bag = _shuffle(grooves.filter((g, i) => weights[i] > 0));
+    // Avoid a repeat across the seam between two bags
+    if (bag.length > 1 && bag[bag.length - 1] === last) {
+      const swap = bag.findIndex((g) => g !== last);
+      if (swap !== -1)
+        [bag[swap], bag[bag.length - 1]] = [bag[bag.length - 1], bag[swap]];
+    }
+  };
+
+  return {
+    policy: name,
+
+    /**
+     * @param {string[]} grooves - Groove names from the list
+     * @returns {string}
+     */
+    pick(grooves) {
+      if (grooves.length === 0) return "";
+      let choice;
+
+      if (name === "shuffle") {
+        // Names may change mid-session; drop entries that vanished
+        bag = bag.filter((g) => grooves.includes(g));
+        if (bag.length === 0) refillBag(grooves);
+        choice = bag.pop(); // The bag is drawn from the end
+      } else {
+        const weights = weightsFor(grooves);
+        const others = weights.map((w, i) => (grooves[i] === last ? 0 : w));
+        // No-repeat falls back to the full list when only one groove is left
+        const useOthers = name === "noRepeat" && others.some((w) => w > 0);
+        choice = pickWeighted(grooves, useOthers ? others : weights);
+      }
+
+      last = choice;
+      return choice;
+    },
+  };
+}
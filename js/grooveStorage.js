@@ -5,6 +5,12 @@
  */
 
 import { debugLog } from "./debug.js";
+import { AUDIO, DEFAULTS, LIMITS } from "./constants.js";
+import { isKitTrack } from "./drumKit.js";
+import { deletePatternMixes } from "./mixer.js";
+import { getAllRoutines } from "./routines.js";
+import { sanitizeGrouping } from "./meterGrouping.js";
+import { isSwingSubdivision, sanitizeSwing } from "./swing.js";
 
 const STORAGE_KEY = "userGroovePatterns";
 const MAX_PATTERNS = 100;
@@ -72,6 +78,7 @@ export function deleteGroovePattern(name) {
   const patterns = _getRaw();
   delete patterns[name.trim()];
   localStorage.setItem(STORAGE_KEY, JSON.stringify(patterns));
+  deletePatternMixes([name]);
   debugLog("state", `🗑️ Deleted pattern: ${name}`);
 }
 
@@ -84,16 +91,62 @@ export function getAllGrooveNames() {
 }
 
 /**
- * Serializes the current library into a Version 1.1 Bundle.
- * Returns null if the library contains no patterns.
+ * Reads a pattern's own tempo range. Patterns without one play in the
+ * session's BPM range.
+ * @param {Object|null} pattern
+ * @returns {{min: number, max: number}|null} null if absent or unusable
+ */
+export function getPatternBpmRange(pattern) {
+  const range = pattern?.bpmRange;
+  if (!range || typeof range !== "object") return null;
+
+  const { MIN, MAX } = LIMITS.BPM;
+  const inBounds = [range.min, range.max].every(
+    (v) => Number.isInteger(v) && v >= MIN && v <= MAX
+  );
+  return inBounds && range.min <= range.max
+    ? { min: range.min, max: range.max }
+    : null;
+}
+
+/**
+ * Reads a pattern's additive grouping (e.g. [2, 2, 3] in 7/8).
+ * @param {Object|null} pattern
+ * @returns {number[]|null} null if absent or not filling the bar
+ */
+export function getPatternGrouping(pattern) {
+  if (!pattern?.grouping) return null;
+  return sanitizeGrouping(
+    pattern.grouping,
+    pattern.patternTimeSignature?.beats
+  );
+}
+
+/**
+ * Reads a pattern's swing amount.
+ * @param {Object|null} pattern
+ * @returns {number} Percent; 50 (straight) when absent or when the
+ *   pattern's subdivision doesn't swing
+ */
+export function getPatternSwing(pattern) {
+  if (!isSwingSubdivision(pattern?.ticksPerBeat)) return DEFAULTS.SWING;
+  return sanitizeSwing(pattern.swing);
+}
+
+/**
+ * Serializes the current library into a Version 1.2 Bundle.
+ * Version 1.2 adds the saved practice routines.
+ * Returns null if the library contains no patterns and no routines.
  * @returns {string|null}
  */
 export function exportLibrary() {
   const patterns = _getRaw();
+  const routines = getAllRoutines();
   const patternCount = Object.keys(patterns).length;
+  const routineCount = Object.keys(routines).length;
 
-  // Block export if no rhythmic data exists
-  if (patternCount === 0) {
+  // Block export if there is nothing worth handing over
+  if (patternCount === 0 && routineCount === 0) {
     debugLog("state", "📤 Export blocked: User library is empty.");
     return null;
   }
@@ -102,10 +155,11 @@ export function exportLibrary() {
   const namesList = localStorage.getItem("userGrooveNames") || "";
 
   const bundle = {
-    version: "1.1",
+    version: "1.2",
     exportedAt: new Date().toISOString(),
     names: namesList,
     library: patterns,
+    routines,
   };
 
   try {
@@ -119,7 +173,8 @@ export function exportLibrary() {
 /**
  * Schema Validator
  * Ensures a pattern object is safe to ingest into the system.
- * Checks for Rhythmic Sovereignty metadata and valid track arrays.
+ * Checks for Rhythmic Sovereignty metadata, valid kit track arrays, step velocities,
+ * the optional tempo range, beat grouping and swing.
  */
 export function validatePattern(data) {
   try {
@@ -135,19 +190,46 @@ export function validatePattern(data) {
 
     if (!hasRhythm || !hasStructure) return false;
 
-    // 2. Verify Track Content
-    const requiredTracks = ["hihat", "kick", "snare", "HHPed"];
-    const hasAllTracks = requiredTracks.every(
-      (track) => data.patterns && Array.isArray(data.patterns[track])
+    // 2. Verify Track Content (any non-empty set of kit tracks)
+    if (!data.patterns || typeof data.patterns !== "object") return false;
+    const tracks = Object.keys(data.patterns);
+    const hasKitTracks =
+      tracks.length > 0 &&
+      tracks.every(
+        (track) => isKitTrack(track) && Array.isArray(data.patterns[track])
+      );
+
+    if (!hasKitTracks) return false;
+
+    // 3. Verify Step Values (velocity levels; legacy 0/1 data is a subset)
+    // Nulls are tolerated: resampled grids serialize their gaps that way.
+    const levels = Object.values(AUDIO.VELOCITY.LEVELS);
+    const hasValidSteps = tracks.every((track) =>
+      data.patterns[track].every((v) => v == null || levels.includes(v))
     );
 
-    if (!hasAllTracks) return false;
+    if (!hasValidSteps) return false;
+
+    // 4. Optional tempo range must be usable when present
+    if (data.bpmRange != null && !getPatternBpmRange(data)) return false;
+
+    // 5. Optional grouping must fill the bar when present
+    if (data.grouping != null && !getPatternGrouping(data)) return false;
+
+    // 6. Optional swing must be a percentage within LIMITS.SWING
+    if (
+      data.swing != null &&
+      (typeof data.swing !== "number" ||
+        data.swing !== sanitizeSwing(data.swing))
+    ) {
+      return false;
+    }
 
-    // 3. Length Consistency (Optional but recommended)
+    // 7. Length Consistency (Optional but recommended)
     // Check if at least one track matches the expected total steps
     const expectedSteps =
       data.patternTimeSignature.beats * data.ticksPerBeat * data.measures;
-    const firstTrackLength = data.patterns.hihat.length;
+    const firstTrackLength = data.patterns[tracks[0]].length;
 
     // We allow length mismatches here (the engine will clamp),
     // but we must ensure it's not an empty or broken object.
@@ -231,8 +313,8 @@ export function ingestLibrary(library, overwrite = false) {
 }
 
 /**
- * Deep-compares two patterns to see if their rhythmic data is identical.
- * Ignores the 'updatedAt' timestamp.
+ * Deep-compares two patterns to see if their rhythmic data, tempo
+ * range, grouping and swing are identical. Ignores the 'updatedAt' timestamp.
  * @private
  */
 function _isPatternEqual(p1, p2) {
@@ -242,7 +324,12 @@ function _isPatternEqual(p1, p2) {
       JSON.stringify(p2.patternTimeSignature) &&
     p1.ticksPerBeat === p2.ticksPerBeat &&
     p1.measures === p2.measures &&
-    JSON.stringify(p1.patterns) === JSON.stringify(p2.patterns)
+    JSON.stringify(p1.patterns) === JSON.stringify(p2.patterns) &&
+    JSON.stringify(getPatternBpmRange(p1)) ===
+      JSON.stringify(getPatternBpmRange(p2)) &&
+    JSON.stringify(getPatternGrouping(p1)) ===
+      JSON.stringify(getPatternGrouping(p2)) &&
+    getPatternSwing(p1) === getPatternSwing(p2)
   );
 }
 
@@ -339,17 +426,15 @@ export function purgeDanglingPatterns(activeNames) {
   const patternNames = Object.keys(patterns);
   const trimmedActiveNames = activeNames.map((n) => n.trim());
 
-  let purgeCount = 0;
-
-  patternNames.forEach((pName) => {
-    if (!trimmedActiveNames.includes(pName)) {
-      delete patterns[pName];
-      purgeCount++;
-    }
-  });
+  const purged = patternNames.filter(
+    (pName) => !trimmedActiveNames.includes(pName)
+  );
+  purged.forEach((pName) => delete patterns[pName]);
+  const purgeCount = purged.length;
 
   if (purgeCount > 0) {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(patterns));
+    deletePatternMixes(purged);
     debugLog(
       "state",
       `🧹 Garbage Collection: Purged ${purgeCount} dangling patterns.`
@@ -363,6 +448,7 @@ export function purgeDanglingPatterns(activeNames) {
  * Wipes all pattern data (used by restoreDefaults).
  */
 export function clearAllGroovePatterns() {
+  deletePatternMixes(Object.keys(_getRaw()));
   localStorage.removeItem(STORAGE_KEY);
   debugLog("state", "🧹 All groove patterns cleared from storage");
 }
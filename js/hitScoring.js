@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Scores e-kit hits against the groove pattern.
+ * Every step the pattern scheduler plays becomes an expected note. An
+ * incoming hit claims the nearest open note of its track: within
+ * `ON_TIME_MS` it is on time, within `MATCH_WINDOW_MS` it is mistimed, and
+ * further out it is an extra note. Without a note of its own track in
+ * reach, a hit may claim one of its kit `fallback` track (an open hat on a
+ * hi-hat step). Notes nobody claimed once the window has passed are
+ * missed. Notes outside the kit are reported as unmapped and not scored.
+ * Results are kept per bar of the cycle.
+ * @module hitScoring
+ */
+
+import { UX } from "./constants.js";
+import { debugLog } from "./debug.js";
+import { KIT } from "./drumKit.js";
+import { patternScheduler } from "./patternScheduler.js";
+
+let _armed = false;
+/** @type {{track: string, time: number, bar: number, open: boolean}[]} */
+let _expected = [];
+/** @type {Map<number, Object>} Bar number → tallies */
+let _bars = new Map();
+/** @type {{bar: number, time: number}[]} Start time of each bar so far */
+let _barStarts = [];
+
+/** @private */
+function _bar(bar) {
+  if (!_bars.has(bar)) {
+    _bars.set(bar, {
+      bar,
+      expected: 0,
+      onTime: 0,
+      mistimed: 0,
+      missed: 0,
+      extra: 0,
+      offsets: [],
+    });
+  }
+  return _bars.get(bar);
+}
+
+/**
+ * Starts scoring a new cycle.
+ *
+ * @returns {void}
+ */
+export function startScoring() {
+  _armed = true;
+  _expected = [];
+  _bars = new Map();
+  _barStarts = [];
+}
+
+/**
+ * @returns {boolean} Whether hits are being scored
+ */
+export function isScoring() {
+  return _armed;
+}
+
+/**
+ * Ends the cycle. Open notes due by `now` count as missed; notes
+ * scheduled after it never sounded and are dropped.
+ *
+ * @param {number} [now=Infinity] - Current audio-context time (seconds)
+ * @returns {Object[]|null} Per-bar tallies in bar order (`expected`,
+ *   `onTime`, `mistimed`, `missed`, `extra` and the `offsets` of matched
+ *   hits in ms), or null when scoring was off
+ */
+export function stopScoring(now = Infinity) {
+  if (!_armed) return null;
+  _expected = _expected.filter((note) => {
+    if (note.time <= now || !note.open) return true;
+    _bar(note.bar).expected--;
+    return false;
+  });
+  collectMissed(Infinity);
+  _armed = false;
+  const report = [..._bars.values()]
+    .filter((b) => b.expected > 0 || b.extra > 0)
+    .sort((a, b) => a.bar - b.bar);
+  debugLog("state", `🥁 Hit scoring: ${report.length} bars scored`);
+  return report;
+}
+
+/**
+ * Adds one expected note.
+ *
+ * @param {string} track - Kit track ID
+ * @param {number} time - Scheduled time (audio-context seconds)
+ * @param {number} bar - 1-based bar of the cycle
+ * @returns {void}
+ */
+export function addExpected(track, time, bar) {
+  if (!_armed) return;
+  _markBar(bar, time);
+  _expected.push({ track, time, bar, open: true });
+  _bar(bar).expected++;
+}
+
+/** @private */
+function _markBar(bar, time) {
+  const last = _barStarts[_barStarts.length - 1];
+  if (!last || last.bar < bar) _barStarts.push({ bar, time });
+}
+
+/**
+ * Adds the notes of the pattern step played on this tick. Called from the
+ * groove tick callback alongside `patternScheduler.onTick()`.
+ *
+ * @param {number} tickIndex - Tick of the cycle, from 0
+ * @param {number} time - Scheduled time of the tick
+ * @returns {void}
+ */
+export function recordPatternTick(tickIndex, time) {
+  const stepCount = patternScheduler.getStepCount();
+  const stepsPerBar = patternScheduler.getStepsPerBar();
+  if (!_armed || stepCount === 0) return;
+
+  collectMissed(time - UX.HIT_SCORING.SETTLE_S);
+  const step = tickIndex % stepCount;
+  const bar = Math.floor(tickIndex / stepsPerBar) + 1;
+  _markBar(bar, time);
+  patternScheduler.getTracks().forEach((track) => {
+    if (patternScheduler.getStepData(track, step)) {
+      addExpected(track, time, bar);
+    }
+  });
+}
+
+/**
+ * Scores one hit.
+ *
+ * @param {string|null} track - Kit track ID (null for unmapped notes)
+ * @param {number} time - Hit on the scheduled timeline (seconds)
+ * @returns {{result: "onTime"|"mistimed"|"extra"|"unmapped", ms: number|null,
+ *   bar: number}|null} Null when scoring is off
+ */
+export function recordHit(track, time) {
+  if (!_armed) return null;
+  if (track === null) {
+    // Pads sending notes outside the kit are neither extra nor scored
+    return { result: "unmapped", ms: null, bar: _barAt(time) };
+  }
+  const { ON_TIME_MS } = UX.HIT_SCORING;
+
+  let best = _nearestOpen(track, time);
+  const fallback = KIT[track]?.fallback;
+  if (fallback && !_inWindow(best, time)) {
+    best = _nearestOpen(fallback, time) || best;
+  }
+
+  if (!_inWindow(best, time)) {
+    // Extra notes land in the bar being played
+    const bar = _barAt(time);
+    _bar(bar).extra++;
+    return { result: "extra", ms: null, bar };
+  }
+
+  const ms = Math.round((time - best.time) * 1000);
+  best.open = false;
+  const tally = _bar(best.bar);
+  tally.offsets.push(ms);
+  const result = Math.abs(ms) <= ON_TIME_MS ? "onTime" : "mistimed";
+  tally[result]++;
+  return { result, ms, bar: best.bar };
+}
+
+/**
+ * Open note of `track` closest to `time`, or null.
+ * @private
+ */
+function _nearestOpen(track, time) {
+  let best = null;
+  _expected.forEach((note) => {
+    if (!note.open || note.track !== track) return;
+    if (!best || Math.abs(note.time - time) < Math.abs(best.time - time)) {
+      best = note;
+    }
+  });
+  return best;
+}
+
+/** @private */
+function _inWindow(note, time) {
+  return (
+    note !== null &&
+    Math.abs(Math.round((time - note.time) * 1000)) <=
+      UX.HIT_SCORING.MATCH_WINDOW_MS
+  );
+}
+
+/**
+ * Bar that started last at or before `time`.
+ * @private
+ */
+function _barAt(time) {
+  let bar = 1;
+  _barStarts.forEach((start) => {
+    if (start.time <= time) bar = start.bar;
+  });
+  return bar;
+}
+
+/**
+ * Marks open notes whose window ended before `now` as missed and drops
+ * them from the search.
+ *
+ * @param {number} now - Current audio-context time (seconds)
+ * @returns {void}
+ */
+export function collectMissed(now) {
+  const limit = now - UX.HIT_SCORING.MATCH_WINDOW_MS / 1000;
+  _expected = _expected.filter((note) => {
+    if (note.time >= limit) return true;
+    if (note.open) _bar(note.bar).missed++;
+    return false;
+  });
+}
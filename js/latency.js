@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Audio/visual latency calibration.
+ * The cores schedule sound ahead of time and the output device adds its
+ * own delay (Bluetooth headphones can add 200 ms or more), so flashes drawn
+ * when a tick is scheduled run ahead of what the player hears. A measured
+ * offset per output device delays the flashes to the heard click and maps
+ * taps back onto the scheduled timeline.
+ * @module latency
+ */
+
+import { AUDIO, LIMITS, DEFAULTS, STORAGE_KEYS } from "./constants.js";
+import { debugLog } from "./debug.js";
+
+/** Profile name used when the browser doesn't reveal the device label. */
+export const DEFAULT_DEVICE = "Default output";
+
+let _activeDevice = DEFAULT_DEVICE;
+
+/**
+ * Clamps an offset to whole milliseconds.
+ *
+ * @param {*} raw - Stored, typed or measured offset
+ * @returns {number} Milliseconds the heard click trails its scheduled time
+ */
+export function sanitizeLatencyMs(raw) {
+  const n = Math.round(Number(raw));
+  if (!Number.isFinite(n)) return DEFAULTS.LATENCY_MS;
+  return Math.min(LIMITS.LATENCY.MAX, Math.max(LIMITS.LATENCY.MIN, n));
+}
+
+/** @private */
+function _getRaw() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.LATENCY)) || {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse latency profiles:", e);
+    return {};
+  }
+}
+
+/**
+ * @returns {Object<string, number>} Stored offset per output device name
+ */
+export function getLatencyProfiles() {
+  return _getRaw();
+}
+
+/**
+ * @param {string} [device] - Defaults to the active output device
+ * @returns {number} Calibrated offset in ms (0 when never calibrated)
+ */
+export function getLatencyMs(device = _activeDevice) {
+  return sanitizeLatencyMs(_getRaw()[device] ?? DEFAULTS.LATENCY_MS);
+}
+
+/**
+ * Stores the offset of one output device.
+ *
+ * @param {string} device
+ * @param {number} ms
+ * @returns {number} The stored offset
+ */
+export function saveLatencyMs(device, ms) {
+  const offset = sanitizeLatencyMs(ms);
+  const all = _getRaw();
+  all[device] = offset;
+  try {
+    localStorage.setItem(STORAGE_KEYS.LATENCY, JSON.stringify(all));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in latency storage", e);
+  }
+  return offset;
+}
+
+/**
+ * @returns {string} Name of the output device whose profile applies
+ */
+export function getActiveDevice() {
+  return _activeDevice;
+}
+
+/**
+ * Looks up the current output device. Browsers only expose labels after a
+ * media permission, so the generic profile is used otherwise.
+ *
+ * @returns {Promise<string>} The active device name
+ */
+export async function detectOutputDevice() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const outputs = devices.filter((d) => d.kind === "audiooutput");
+    const current = outputs.find((d) => d.deviceId === "default") || outputs[0];
+    _activeDevice = current?.label || DEFAULT_DEVICE;
+  } catch (e) {
+    debugLog("state", "⚠️ Could not list audio outputs:", e);
+    _activeDevice = DEFAULT_DEVICE;
+  }
+  debugLog(
+    "audio",
+    `🎧 Output device: ${_activeDevice} (${getLatencyMs()}ms offset)`
+  );
+  return _activeDevice;
+}
+
+/**
+ * Milliseconds to wait before drawing a tick scheduled at `audioTime`, so
+ * the flash lands when the click is heard.
+ *
+ * @param {AudioContext} ctx
+ * @param {number} [audioTime] - Scheduled time of the tick; without it, 0
+ * @returns {number}
+ */
+export function getVisualDelayMs(ctx, audioTime) {
+  if (!ctx || !Number.isFinite(audioTime)) return 0;
+  return Math.max(0, (audioTime - ctx.currentTime) * 1000 + getLatencyMs());
+}
+
+/**
+ * Maps a tap made now onto the scheduled timeline: the player taps to what
+ * they hear, which left the scheduler one latency earlier.
+ *
+ * @param {AudioContext} ctx
+ * @returns {number} Audio-context time in seconds
+ */
+export function getTapScheduleTime(ctx) {
+  return ctx.currentTime - getLatencyMs() / 1000;
+}
+
+/**
+ * Estimates the offset from a tap-along run. Each tap is matched to the
+ * click it trails by an offset within `LIMITS.LATENCY`, so delays longer
+ * than half the click spacing still land on the right click; taps that fit
+ * no click are dropped. The median ignores the odd rushed or late tap.
+ *
+ * @param {number[]} tapTimes - Raw tap times (audio-context seconds)
+ * @param {number[]} clickTimes - Scheduled click times (seconds)
+ * @returns {number|null} Offset in ms, or null with too few taps
+ * @example
+ * const clicks = [1, 1.6, 2.2, 2.8, 3.4, 4];
+ * const taps = [1.12, 1.72, 2.31, 2.92, 3.53, 4.12];
+ * estimateLatencyMs(taps, clicks); // 120
+ */
+export function estimateLatencyMs(tapTimes, clickTimes) {
+  if (tapTimes.length < AUDIO.LATENCY.MIN_TAPS || clickTimes.length === 0) {
+    return null;
+  }
+  const { MIN, MAX } = LIMITS.LATENCY;
+  const deltas = tapTimes
+    .map((tap) => {
+      const click = clickTimes.find((c) => {
+        const ms = (tap - c) * 1000;
+        return ms >= MIN && ms <= MAX;
+      });
+      return click === undefined ? null : (tap - click) * 1000;
+    })
+    .filter((ms) => ms !== null)
+    .sort((a, b) => a - b);
+  if (deltas.length < AUDIO.LATENCY.MIN_TAPS) return null;
+
+  const mid = Math.floor(deltas.length / 2);
+  const median =
+    deltas.length % 2 ? deltas[mid] : (deltas[mid - 1] + deltas[mid]) / 2;
+  return sanitizeLatencyMs(median);
+}
+
+/**
+ * Schedules the calibration clicks on an audio context.
+ *
+ * @param {AudioContext} ctx
+ * @param {AudioNode} [destination] - A bus the caller can disconnect to
+ *   cut the run short
+ * @returns {number[]} Scheduled time of each click (seconds)
+ */
+export function playCalibrationClicks(ctx, destination = ctx.destination) {
+  const { CLICKS, INTERVAL_S, LEAD_IN_S, FREQ, GAIN, DURATION_S } =
+    AUDIO.LATENCY;
+  const start = ctx.currentTime + LEAD_IN_S;
+
+  return Array.from({ length: CLICKS }, (_, i) => {
+    const t = start + i * INTERVAL_S;
+    const osc = ctx.createOscillator();
+    const envelope = ctx.createGain();
+    osc.frequency.value = FREQ;
+    envelope.gain.setValueAtTime(GAIN, t);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, t + DURATION_S);
+    osc.connect(envelope);
+    envelope.connect(destination);
+    osc.start(t);
+    osc.stop(t + DURATION_S);
+    return t;
+  });
+}
@@ -1,7 +1,11 @@
 /* eslint-disable no-unused-vars */
 // main.js - simple bootstrap that wires modules together
 import * as metronome from "./metronomeCore.js";
-import { createVisualCallback, primeVisuals } from "./visuals.js";
+import {
+  createVisualCallback,
+  createPolyrhythmCallback,
+  primeVisuals,
+} from "./visuals.js";
 import * as utils from "./utils.js";
 import * as ownership from "./ownership.js";
 import * as sessionEngine from "./sessionEngine.js";
@@ -10,13 +14,31 @@ import * as uiController from "./uiController.js";
 import * as interop from "./ui/interop.js";
 import { initDarkMode } from "./ui/theme.js";
 import * as controls from "./ui/controls.js";
-import { initModeTabs, initSimplePanelControls } from "./ui/panels.js";
+import {
+  initModeTabs,
+  initSimplePanelControls,
+  initSpeedTrainerUI,
+} from "./ui/panels.js";
 import { debugLog, DEBUG } from "./debug.js";
 import { Profiler } from "./profiler.js";
 import { initWakeLock } from "./ui/wakeLock.js";
 import { initAdvancedMode } from "./ui/advancedMode.js";
 import { patternScheduler } from "./patternScheduler.js";
+import * as tapAccuracy from "./tapAccuracy.js";
+import * as hitScoring from "./hitScoring.js";
+import * as midiOutput from "./midiOutput.js";
 import { initGrooveEditor, updatePlayhead } from "./ui/grooveEditor.js";
+import { initMixerPanel } from "./ui/mixerPanel.js";
+import { initMidiPanel } from "./ui/midiPanel.js";
+import { initMidiOutputPanel } from "./ui/midiOutputPanel.js";
+import { initHistoryPanel } from "./ui/historyPanel.js";
+import { initStatsPanel } from "./ui/statsPanel.js";
+import { initLatencyPanel } from "./ui/latencyPanel.js";
+import { initTapAccuracyPanel } from "./ui/tapAccuracyPanel.js";
+import { initTakeAnalysisPanel } from "./ui/takeAnalysisPanel.js";
+import { initRoutinePanel } from "./ui/routinePanel.js";
+import { initPlanPanel } from "./ui/planPanel.js";
+import { initUpNextUI } from "./ui/upNext.js";
 import * as notices from "./ui/notices.js";
 import * as grooveStorage from "./grooveStorage.js";
 import { loadDrumSamples } from "./sampleLoader.js";
@@ -85,6 +107,12 @@ sessionEngine.initSessionEngine({
     bpmMinEl,
     groovesEl,
   },
+  // Practice plans hand segments to the simple metronome
+  simple: {
+    start: simpleMetronome.start,
+    stop: simpleMetronome.stop,
+    isPaused: simpleMetronome.isPaused,
+  },
 });
 
 // === UI Setup ===
@@ -116,17 +144,64 @@ if (document.readyState === "loading") {
       tickIndex,
       isPrimaryAccent,
       isMainBeat,
-      nextNoteTime
+      nextNoteTime,
+      isGap
     ) => {
       // Execute standard dot animations
-      rawGrooveCallback(tickIndex, isPrimaryAccent, isMainBeat);
+      rawGrooveCallback(tickIndex, isPrimaryAccent, isMainBeat, nextNoteTime);
       // Update the editor grid playhead
       updatePlayhead(tickIndex);
+      // Tap-along accuracy matches taps against every scheduled tick
+      tapAccuracy.recordTick(nextNoteTime);
+      // E-kit scoring expects the pattern notes of this step
+      hitScoring.recordPatternTick(tickIndex, nextNoteTime);
+      // MIDI clock follows the beats the core schedules
+      if (isMainBeat) {
+        midiOutput.sendClock(
+          nextNoteTime,
+          metronome.getBpm(),
+          metronome.getTimeSignature().value,
+          isPrimaryAccent
+        );
+      }
+      // Drop-out gap: keep visuals moving but leave the pattern silent too
+      if (isGap) return true;
       // Trigger procedural audio and return suppression status (true skips the metronome beep)
       return patternScheduler.onTick(tickIndex, nextNoteTime);
     };
 
-    simpleVisualsCallback = createVisualCallback("simple");
+    const rawSimpleCallback = createVisualCallback("simple");
+    simpleVisualsCallback = (
+      tickIndex,
+      isPrimaryAccent,
+      isMainBeat,
+      nextNoteTime
+    ) => {
+      rawSimpleCallback(tickIndex, isPrimaryAccent, isMainBeat, nextNoteTime);
+      tapAccuracy.recordTick(nextNoteTime);
+      if (isMainBeat) {
+        midiOutput.sendClock(
+          nextNoteTime,
+          simpleMetronome.core.getBpm(),
+          simpleMetronome.core.getTimeSignature().value,
+          isPrimaryAccent
+        );
+      }
+    };
+    const rawPolyCallback = createPolyrhythmCallback();
+    const polyVisualsCallback = (eventIndex, event, grid, audioTime) => {
+      rawPolyCallback(eventIndex, event, grid, audioTime);
+      tapAccuracy.recordTick(audioTime);
+      // Pulses of the reference (last) layer are the beats
+      if (event.layers.includes(grid.layers.length - 1)) {
+        midiOutput.sendClock(
+          audioTime,
+          simpleMetronome.core.getBpm(),
+          simpleMetronome.core.getTimeSignature().value,
+          eventIndex === 0
+        );
+      }
+    };
     // 2. Prime the visual containers
     primeVisuals("groove");
     primeVisuals("simple");
@@ -134,6 +209,7 @@ if (document.readyState === "loading") {
     // 3. Register callbacks with cores
     metronome.registerVisualCallback(grooveVisualsCallback);
     simpleMetronome.core.registerVisualCallback(simpleVisualsCallback);
+    simpleMetronome.core.registerPolyrhythmCallback(polyVisualsCallback);
 
     // 4. Initialize UI controllers
     initDarkMode();
@@ -141,10 +217,27 @@ if (document.readyState === "loading") {
     controls.initSoundProfileUI();
     uiController.initOwnershipGuards();
     initSimplePanelControls();
+    initSpeedTrainerUI();
     controls.initPanningModeUI();
     controls.initTempoSyncedUI();
     controls.initTimeSignatureUI();
+    controls.initGapClickUI();
+    controls.initPolyrhythmUI();
+    controls.initSwingUI();
+    controls.initBeatAccentUI();
+    controls.initCountInUI();
     initGrooveEditor();
+    initMixerPanel();
+    initMidiPanel();
+    initMidiOutputPanel();
+    initHistoryPanel();
+    initStatsPanel();
+    initLatencyPanel();
+    initTapAccuracyPanel();
+    initTakeAnalysisPanel();
+    initRoutinePanel();
+    initPlanPanel();
+    initUpNextUI();
 
     // 1. Check for shared grooves via URL hash FIRST
     const hasSharedGroove = interop.checkDeepLinks();
@@ -164,30 +257,90 @@ if (document.readyState === "loading") {
     tickIndex,
     isPrimaryAccent,
     isMainBeat,
-    nextNoteTime
+    nextNoteTime,
+    isGap
   ) => {
-    rawGrooveCallback(tickIndex, isPrimaryAccent, isMainBeat);
+    rawGrooveCallback(tickIndex, isPrimaryAccent, isMainBeat, nextNoteTime);
     updatePlayhead(tickIndex);
+    tapAccuracy.recordTick(nextNoteTime);
+    hitScoring.recordPatternTick(tickIndex, nextNoteTime);
+    if (isMainBeat) {
+      midiOutput.sendClock(
+        nextNoteTime,
+        metronome.getBpm(),
+        metronome.getTimeSignature().value,
+        isPrimaryAccent
+      );
+    }
+    if (isGap) return true;
     return patternScheduler.onTick(tickIndex, nextNoteTime);
   };
 
-  simpleVisualsCallback = createVisualCallback("simple");
+  const rawSimpleCallback = createVisualCallback("simple");
+  simpleVisualsCallback = (
+    tickIndex,
+    isPrimaryAccent,
+    isMainBeat,
+    nextNoteTime
+  ) => {
+    rawSimpleCallback(tickIndex, isPrimaryAccent, isMainBeat, nextNoteTime);
+    tapAccuracy.recordTick(nextNoteTime);
+    if (isMainBeat) {
+      midiOutput.sendClock(
+        nextNoteTime,
+        simpleMetronome.core.getBpm(),
+        simpleMetronome.core.getTimeSignature().value,
+        isPrimaryAccent
+      );
+    }
+  };
+  const rawPolyCallback = createPolyrhythmCallback();
+  const polyVisualsCallback = (eventIndex, event, grid, audioTime) => {
+    rawPolyCallback(eventIndex, event, grid, audioTime);
+    tapAccuracy.recordTick(audioTime);
+    if (event.layers.includes(grid.layers.length - 1)) {
+      midiOutput.sendClock(
+        audioTime,
+        simpleMetronome.core.getBpm(),
+        simpleMetronome.core.getTimeSignature().value,
+        eventIndex === 0
+      );
+    }
+  };
 
   primeVisuals("groove");
   primeVisuals("simple");
 
   metronome.registerVisualCallback(grooveVisualsCallback);
   simpleMetronome.core.registerVisualCallback(simpleVisualsCallback);
+  simpleMetronome.core.registerPolyrhythmCallback(polyVisualsCallback);
 
   initDarkMode();
   initAdvancedMode();
   controls.initSoundProfileUI();
   uiController.initOwnershipGuards();
   initSimplePanelControls();
+  initSpeedTrainerUI();
   controls.initPanningModeUI();
   controls.initTempoSyncedUI();
   controls.initTimeSignatureUI();
+  controls.initGapClickUI();
+  controls.initPolyrhythmUI();
+  controls.initSwingUI();
+  controls.initBeatAccentUI();
+  controls.initCountInUI();
   initGrooveEditor();
+  initMixerPanel();
+  initMidiPanel();
+  initMidiOutputPanel();
+  initHistoryPanel();
+  initStatsPanel();
+  initLatencyPanel();
+  initTapAccuracyPanel();
+  initTakeAnalysisPanel();
+  initRoutinePanel();
+  initPlanPanel();
+  initUpNextUI();
 
   // 1. Check for shared grooves via URL hash FIRST
   const hasSharedGroove = interop.checkDeepLinks();
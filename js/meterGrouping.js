@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Additive meter groupings (7/8 = 2+2+3) shared by both
+ * metronome cores, the visuals and the groove editor.
+ * A grouping lists the beats of each group in order; group starts after
+ * the downbeat get a secondary accent. Groupings typed in the time
+ * signature controls are stored per meter; patterns carry their own.
+ * @module meterGrouping
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+import { debugLog } from "./debug.js";
+
+/**
+ * Parses and validates a grouping against the bar it must fill.
+ *
+ * @param {string|number[]} raw - "2+2+3" or [2, 2, 3]
+ * @param {number} beats - Numerator of the meter
+ * @returns {number[]|null} The groups, or null when empty, malformed,
+ *   a single group, or not adding up to `beats`
+ * @example
+ * sanitizeGrouping("2+2+3", 7); // [2, 2, 3]
+ * sanitizeGrouping("3+3", 7);   // null
+ */
+export function sanitizeGrouping(raw, beats) {
+  const parts = Array.isArray(raw)
+    ? raw
+    : String(raw ?? "")
+        .split("+")
+        .map((p) => p.trim())
+        .filter((p) => p !== "");
+  if (parts.length < 2) return null;
+
+  const groups = parts.map((p) => Number(p));
+  if (!groups.every((n) => Number.isInteger(n) && n >= 1)) return null;
+  const sum = groups.reduce((a, b) => a + b, 0);
+  return sum === beats ? groups : null;
+}
+
+/**
+ * @param {number[]|null} grouping
+ * @returns {string} "2+2+3", or "" without a grouping
+ */
+export function formatGrouping(grouping) {
+  return Array.isArray(grouping) ? grouping.join("+") : "";
+}
+
+/**
+ * @param {number[]|null} grouping
+ * @returns {number[]} Beat index of each group start, downbeat included
+ * @example
+ * getGroupStartBeats([2, 2, 3]); // [0, 2, 4]
+ */
+export function getGroupStartBeats(grouping) {
+  if (!Array.isArray(grouping)) return [0];
+  const starts = [];
+  grouping.reduce((beat, size) => {
+    starts.push(beat);
+    return beat + size;
+  }, 0);
+  return starts;
+}
+
+/** @private */
+function _getRaw() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.METER_GROUPINGS)) || {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse meter groupings:", e);
+    return {};
+  }
+}
+
+/**
+ * @param {{beats: number, value: number}} timeSignature
+ * @returns {number[]|null} Grouping stored for this meter
+ */
+export function getStoredGrouping({ beats, value }) {
+  return sanitizeGrouping(_getRaw()[`${beats}/${value}`], beats);
+}
+
+/**
+ * Stores (or clears, when invalid or empty) the grouping of a meter.
+ *
+ * @param {{beats: number, value: number}} timeSignature
+ * @param {string|number[]} raw
+ * @returns {number[]|null} The stored grouping
+ */
+export function saveStoredGrouping({ beats, value }, raw) {
+  const grouping = sanitizeGrouping(raw, beats);
+  const all = _getRaw();
+  if (grouping) all[`${beats}/${value}`] = grouping;
+  else delete all[`${beats}/${value}`];
+
+  try {
+    localStorage.setItem(STORAGE_KEYS.METER_GROUPINGS, JSON.stringify(all));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in meter grouping storage", e);
+  }
+  return grouping;
+}
+
+/**
+ * Whether a time signature selection takes a grouping: custom meters and
+ * the eighth-note presets do, the quarter-note presets play ungrouped.
+ *
+ * @param {string} preset - Value of the preset select ("7/8", "custom")
+ * @returns {boolean}
+ * @example
+ * presetTakesGrouping("7/8"); // true
+ * presetTakesGrouping("4/4"); // false
+ */
+export function presetTakesGrouping(preset) {
+  return preset === "custom" || String(preset).endsWith("/8");
+}
@@ -4,6 +4,11 @@
 import { debugLog, DebugTimer } from "./debug.js";
 import * as constants from "./constants.js";
 import * as audioProfiles from "./audioProfiles.js";
+import { createGapGate } from "./gapClick.js";
+import { playCountIn } from "./countIn.js";
+import { sanitizeGrouping, getGroupStartBeats } from "./meterGrouping.js";
+import { sanitizeSwing, getSwungTickDuration } from "./swing.js";
+import * as midiOutput from "./midiOutput.js";
 
 let audioCtx = null;
 let nextNoteTime = 0.0;
@@ -17,6 +22,10 @@ let bpm = 120;
 let timeSignature = { beats: 4, value: 4 };
 let ticksPerBeat = 1; // subdivisions per beat (1 = one tick per beat)
 let _requestedMeasures = 1; // Used for end-of-cycle logic to determine how many measures to play before stopping
+const gapGate = createGapGate(); // Drop-out practice gate
+let grouping = null; // Additive grouping such as [2, 2, 3]
+let groupStarts = new Set([0]); // Beat indices that open a group
+let swing = constants.DEFAULTS.SWING; // Percent; 50 plays straight
 
 // How far ahead to schedule (in seconds)
 const scheduleAheadTime = constants.AUDIO.LOOKAHEAD_S;
@@ -47,9 +56,9 @@ export function registerVisualCallback(cb) {
 }
 
 // Delegates tick playback to the shared audioProfiles module
-function playTick(isAccent) {
+function playTick(isAccent, isGroupAccent) {
   audioProfiles.setNextNoteTime(nextNoteTime);
-  audioProfiles.playTick(isAccent);
+  audioProfiles.playTick(isAccent, isGroupAccent);
 }
 
 // Schedule a single beat ahead of time
@@ -63,6 +72,11 @@ function scheduleNote() {
 
   // The primary accent is ALWAYS the very first tick of the measure.
   const isPrimaryAccent = tickInMeasure === 0;
+  // Later group starts of an additive meter get a secondary accent
+  const isGroupAccent =
+    isMainBeat &&
+    !isPrimaryAccent &&
+    groupStarts.has(tickInMeasure / ticksPerBeat);
 
   debugLog(
     "audio",
@@ -73,6 +87,8 @@ function scheduleNote() {
   // The accent is only passed if it's a main beat.
   // This produces a strong DOWNBEAT, weaker main beats, and quietest subdivisions.
   // If a pattern is active, the callback returns TRUE and we skip the standard beep.
+  // During a drop-out gap the callback still runs (visuals keep moving) but nothing sounds.
+  const isGap = gapGate.isGap(tickIndex, ticksPerBeat, timeSignature.beats);
   let isSuppressed = false;
   // Safe visual callback with more detailed info
   try {
@@ -80,21 +96,28 @@ function scheduleNote() {
       tickIndex,
       isPrimaryAccent,
       isMainBeat,
-      nextNoteTime
+      nextNoteTime,
+      isGap
     );
   } catch (e) {
     console.error("Visual/Pattern callback error:", e);
   }
 
-  if (!isSuppressed) {
-    playTick(isMainBeat ? isPrimaryAccent : false);
+  if (!isSuppressed && !isGap) {
+    playTick(isMainBeat ? isPrimaryAccent : false, isGroupAccent);
   }
 
   // Advance tick and schedule next tick
   tickIndex++;
   const durationOfOneBeat = (60.0 / bpm) * (4 / timeSignature.value);
   const secondsPerTick = durationOfOneBeat / ticksPerBeat;
-  nextNoteTime += secondsPerTick;
+  // Swing lengthens each pair's first tick; visuals follow the swung times
+  nextNoteTime += getSwungTickDuration(
+    secondsPerTick,
+    tickInMeasure % ticksPerBeat,
+    ticksPerBeat,
+    swing
+  );
 
   // If end-of-cycle requested, stop at the next pattern boundary
   const nextMainBeatIndex = Math.floor(tickIndex / ticksPerBeat);
@@ -114,6 +137,7 @@ function scheduleNote() {
       schedulerTimer = null;
     }
 
+    midiOutput.stopOutput(nextNoteTime);
     debugLog("state", "🟢 Cycle finished cleanly at bar boundary.");
 
     if (typeof onCycleComplete === "function") {
@@ -167,6 +191,7 @@ export function startMetronome(newBpm = 120) {
     Math.min(constants.LIMITS.BPM.MAX, newBpm)
   );
   tickIndex = 0;
+  gapGate.reset();
 
   // UPDATED: Use the new formula for the initial tick scheduling
   const durationOfOneBeat = (60.0 / bpm) * (4 / timeSignature.value);
@@ -183,7 +208,7 @@ export function startMetronome(newBpm = 120) {
 }
 
 /**
- * Plays a 3-2-1 count-in using procedural audio.
+ * Plays the configured count-in (see countIn.js) in the current meter.
  *
  * @param {number} [nextBpm=120] - Tempo for count-in timing
  * @param {boolean} [tempoSynced=true] - Use tempo-based intervals (true) or fixed 1s intervals (false)
@@ -193,42 +218,9 @@ export function startMetronome(newBpm = 120) {
  * console.log('Count-in finished');
  */
 export function performCountIn(nextBpm = 120, tempoSynced = true) {
-  const steps = constants.AUDIO.COUNT_IN.STEPS;
-  const intervalMs = tempoSynced
-    ? 60000 / Math.max(1, nextBpm)
-    : constants.AUDIO.COUNT_IN.FIXED_INTERVAL_MS;
-
-  return new Promise((resolve) => {
-    if (!audioCtx)
-      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-
-    const now = audioCtx.currentTime + constants.AUDIO.COUNT_IN.HEADROOM_S;
-    for (let i = 0; i < steps; i++) {
-      const t = now + (i * intervalMs) / 1000;
-      const osc = audioCtx.createOscillator();
-      const envelope = audioCtx.createGain();
-
-      if (i === 0) {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-        osc.type = "sine";
-      } else if (i === 1) {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-        osc.type = "sine";
-      } else {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-      }
-
-      osc.connect(envelope);
-      envelope.connect(audioCtx.destination);
-      osc.start(t);
-      osc.stop(t + constants.AUDIO.COUNT_IN.STEP_DURATIONS[i]);
-    }
-
-    setTimeout(() => resolve(), Math.ceil(intervalMs * steps) + 30);
-  });
+  if (!audioCtx)
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+  return playCountIn(audioCtx, { bpm: nextBpm, tempoSynced, timeSignature });
 }
 
 /**
@@ -242,6 +234,7 @@ export function stopMetronome() {
   isMetronomePlaying = false;
   if (schedulerTimer) clearTimeout(schedulerTimer);
   schedulerTimer = null;
+  midiOutput.stopOutput();
   debugLog("audio", "Metronome stopped");
 }
 
@@ -295,6 +288,7 @@ export function setTimeSignature(beats, value) {
   const denominatorChanged = timeSignature.value !== newValue;
 
   timeSignature = { beats: newBeats, value: newValue };
+  _applyGrouping(grouping); // Drops a grouping that no longer fits
 
   if (denominatorChanged) {
     setTicksPerBeat(1);
@@ -314,6 +308,66 @@ export function setTimeSignature(beats, value) {
   );
 }
 
+/**
+ * Sets the additive grouping of the bar (see meterGrouping.js), or clears
+ * it with null. A grouping that does not add up to the numerator is ignored.
+ * Blocked during active playback.
+ *
+ * @param {string|number[]|null} raw - "2+2+3" or [2, 2, 3]
+ * @returns {void}
+ */
+export function setGrouping(raw) {
+  if (isMetronomePlaying && !isPaused) {
+    debugLog("state", "⚠️ setGrouping blocked - Groove metronome is playing");
+    return;
+  }
+  _applyGrouping(raw);
+  debugLog(
+    "state",
+    `Grouping set to ${grouping ? grouping.join("+") : "none"}`
+  );
+}
+
+/**
+ * Returns the active grouping.
+ *
+ * @returns {number[]|null} Beats per group, or null for a plain bar
+ */
+export function getGrouping() {
+  return grouping ? [...grouping] : null;
+}
+
+/** @private */
+function _applyGrouping(raw) {
+  grouping = sanitizeGrouping(raw, timeSignature.beats);
+  groupStarts = new Set(getGroupStartBeats(grouping));
+}
+
+/**
+ * Sets the swing amount (see swing.js). 50 plays straight; 8th, 16th and
+ * 32nd subdivisions swing up to 75. Blocked during active playback.
+ *
+ * @param {number} percent - 50 to 75
+ * @returns {void}
+ */
+export function setSwing(percent) {
+  if (isMetronomePlaying && !isPaused) {
+    debugLog("state", "⚠️ setSwing blocked - Groove metronome is playing");
+    return;
+  }
+  swing = sanitizeSwing(percent);
+  debugLog("state", `Swing set to ${swing}%`);
+}
+
+/**
+ * Returns the swing amount.
+ *
+ * @returns {number} Percent, 50 when straight
+ */
+export function getSwing() {
+  return swing;
+}
+
 /**
  * Returns the current time signature.
  *
@@ -327,10 +381,11 @@ export function getTimeSignature() {
 }
 
 /**
- * Sets subdivision level (1=none, 2=8ths, 4=16ths).
+ * Sets subdivision level (1=none, 2=8ths, 3=triplets, 4=16ths,
+ * 5=quintuplets, 6=sextuplets, 8=32nds).
  * Blocked during active playback - must pause first.
  *
- * @param {number} n - Ticks per beat (1, 2, or 4)
+ * @param {number} n - Ticks per beat (see LIMITS.TIME_SIG.SUBDIVISIONS)
  * @returns {void}
  * @example
  * metronome.setTicksPerBeat(4); // 16th note subdivisions
@@ -352,7 +407,7 @@ export function setTicksPerBeat(n) {
 /**
  * Returns the current subdivision level.
  *
- * @returns {number} Ticks per beat (1, 2, or 4)
+ * @returns {number} Ticks per beat (1-6 or 8)
  * @example
  * const ticks = metronome.getTicksPerBeat(); // 4 (16ths)
  */
@@ -360,6 +415,28 @@ export function getTicksPerBeat() {
   return ticksPerBeat;
 }
 
+/**
+ * Configures drop-out practice (click rests while visuals continue).
+ *
+ * @param {{mode: string, playBars: number, muteBars: number, mutePercent: number}} settings
+ * @returns {void}
+ * @example
+ * metronome.setGapClick({ mode: "bars", playBars: 2, muteBars: 2 });
+ */
+export function setGapClick(settings) {
+  gapGate.configure(settings);
+  debugLog("state", `🔕 Gap click: ${JSON.stringify(gapGate.getSettings())}`);
+}
+
+/**
+ * Returns the active drop-out settings.
+ *
+ * @returns {{mode: string, playBars: number, muteBars: number, mutePercent: number}}
+ */
+export function getGapClick() {
+  return gapGate.getSettings();
+}
+
 /**
  * Returns the current tempo.
  *
@@ -400,6 +477,7 @@ export function pauseMetronome() {
 
   pauseWallTime = audioCtx ? audioCtx.currentTime : 0;
   pauseAudioOffset = nextNoteTime - (audioCtx ? audioCtx.currentTime : 0);
+  midiOutput.pauseOutput();
   debugLog("audio", `⏸️ Metronome paused at ${pauseWallTime.toFixed(3)}s`);
 }
 
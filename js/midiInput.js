@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Web MIDI input from electronic drum kits.
+ * Listens to every connected input (and inputs plugged in later), maps
+ * General MIDI drum notes to kit tracks and hands each hit on with its
+ * time on the scheduled timeline.
+ * @module midiInput
+ */
+
+import { debugLog } from "./debug.js";
+import { getTrackForNote } from "./drumKit.js";
+import { getTapScheduleTime } from "./latency.js";
+
+/** @type {MIDIAccess|null} */
+let _access = null;
+let _onHit = null;
+let _onDevicesChanged = null;
+let _watching = false;
+
+/**
+ * @returns {boolean} Whether the browser offers Web MIDI
+ */
+export function isMidiSupported() {
+  return typeof navigator !== "undefined" && "requestMIDIAccess" in navigator;
+}
+
+/**
+ * Asks for MIDI access once; the e-kit input and the MIDI output share it.
+ *
+ * @returns {Promise<MIDIAccess>}
+ * @throws {Error} When access is denied
+ */
+export async function getMidiAccess() {
+  if (!_access) _access = await navigator.requestMIDIAccess();
+  return _access;
+}
+
+/**
+ * Reads a note-on from a raw MIDI message. Any channel is accepted, since
+ * e-kits don't all send on the GM drum channel 10.
+ *
+ * @param {Uint8Array|number[]} data
+ * @returns {{note: number, velocity: number, channel: number}|null} Null
+ *   for other messages, including note-on with velocity 0 (a note-off)
+ * @example
+ * parseNoteOn([0x99, 38, 100]); // { note: 38, velocity: 100, channel: 10 }
+ * parseNoteOn([0x89, 38, 0]);   // null
+ */
+export function parseNoteOn(data) {
+  const [status, note, velocity] = data;
+  if ((status & 0xf0) !== 0x90 || !velocity) return null;
+  return { note, velocity, channel: (status & 0x0f) + 1 };
+}
+
+/**
+ * Asks for MIDI access and starts listening.
+ *
+ * @param {function({note: number, velocity: number, channel: number,
+ *   track: string|null, timeStamp: number}): void} onHit
+ * @param {function(string[]): void} [onDevicesChanged] - Input names after
+ *   a kit is plugged in or out
+ * @returns {Promise<string[]>} Names of the connected inputs
+ * @throws {Error} When access is denied
+ */
+export async function connectMidiInput(onHit, onDevicesChanged = null) {
+  _onHit = onHit;
+  _onDevicesChanged = onDevicesChanged;
+  const access = await getMidiAccess();
+  if (!_watching) {
+    _watching = true;
+    access.addEventListener("statechange", () => {
+      _bindInputs();
+      if (_onDevicesChanged) _onDevicesChanged(getInputNames());
+    });
+  }
+  _bindInputs();
+  debugLog("audio", `🎹 MIDI inputs: ${getInputNames().join(", ") || "none"}`);
+  return getInputNames();
+}
+
+/**
+ * @returns {string[]} Names of the connected MIDI inputs
+ */
+export function getInputNames() {
+  return _access ? [..._access.inputs.values()].map((i) => i.name) : [];
+}
+
+/** @private */
+function _bindInputs() {
+  _access.inputs.forEach((input) => {
+    input.onmidimessage = _handleMessage;
+  });
+}
+
+/** @private */
+function _handleMessage(e) {
+  const hit = parseNoteOn(e.data);
+  if (!hit || !_onHit) return;
+  _onHit({ ...hit, track: getTrackForNote(hit.note), timeStamp: e.timeStamp });
+}
+
+/**
+ * Places a MIDI hit on the scheduled timeline: back by the message's age,
+ * then by the calibrated output latency like a tap.
+ *
+ * @param {AudioContext} ctx
+ * @param {number} timeStamp - `MIDIMessageEvent.timeStamp` (performance ms)
+ * @returns {number} Audio-context time in seconds
+ */
+export function midiTimeToScheduleTime(ctx, timeStamp) {
+  const ageS = Math.max(0, performance.now() - timeStamp) / 1000;
+  return getTapScheduleTime(ctx) - ageS;
+}
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Web MIDI output for driving a DAW or a drum module.
+ * Each beat a core schedules sends its 24 PPQN clock pulses, with Start on
+ * the first bar, Stop whenever a core stops or pauses, and Continue on the
+ * first beat after a pause; pattern steps send General
+ * MIDI drum notes on channel 10. Messages are timestamped to land with the
+ * heard click, using the calibrated output latency.
+ * @module midiOutput
+ */
+
+import { AUDIO, DEFAULTS, STORAGE_KEYS } from "./constants.js";
+import { ensureAudio } from "./audioProfiles.js";
+import { debugLog } from "./debug.js";
+import { KIT } from "./drumKit.js";
+import { getLatencyMs } from "./latency.js";
+import { getMidiAccess } from "./midiInput.js";
+
+const START = 0xfa;
+const CONTINUE = 0xfb;
+const STOP = 0xfc;
+const CLOCK = 0xf8;
+
+/** @type {MIDIAccess|null} */
+let _access = null;
+/** @type {MIDIOutput|null} */
+let _output = null;
+let _settings = null;
+let _clockRunning = false;
+let _clockPaused = false; // Stopped by a pause: the next beat continues
+let _lastQueuedAt = 0; // Performance time (ms) of the latest queued message
+
+/**
+ * Clamps raw settings into a safe shape.
+ *
+ * @param {Object} [raw] - Partial settings
+ * @returns {{output: string, clock: boolean, notes: boolean}}
+ */
+export function sanitizeMidiOutputSettings(raw = {}) {
+  const base = DEFAULTS.MIDI_OUTPUT;
+  return {
+    output: typeof raw.output === "string" ? raw.output : base.output,
+    clock: typeof raw.clock === "boolean" ? raw.clock : base.clock,
+    notes: typeof raw.notes === "boolean" ? raw.notes : base.notes,
+  };
+}
+
+/**
+ * @returns {{output: string, clock: boolean, notes: boolean}} Stored
+ *   settings (defaults if none)
+ */
+export function getMidiOutputSettings() {
+  if (!_settings) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.MIDI_OUTPUT));
+      _settings = sanitizeMidiOutputSettings(stored || {});
+    } catch (e) {
+      debugLog("state", "⚠️ Failed to parse MIDI output settings:", e);
+      _settings = sanitizeMidiOutputSettings();
+    }
+  }
+  return { ..._settings };
+}
+
+/**
+ * Sanitizes and stores the settings, then switches to the chosen port.
+ * Playback on the old port stops when the port or the clock changes.
+ *
+ * @param {Object} raw
+ * @returns {Object} The stored settings
+ */
+export function saveMidiOutputSettings(raw) {
+  const settings = sanitizeMidiOutputSettings(raw);
+  if (settings.output !== getMidiOutputSettings().output || !settings.clock) {
+    stopOutput();
+  }
+  _settings = settings;
+  try {
+    localStorage.setItem(STORAGE_KEYS.MIDI_OUTPUT, JSON.stringify(settings));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in MIDI output storage", e);
+  }
+  _bindOutput();
+  return { ...settings };
+}
+
+/**
+ * Asks for MIDI access and opens the stored port once it is connected.
+ *
+ * @param {function(string[]): void} [onDevicesChanged] - Output names after
+ *   a device is plugged in or out
+ * @returns {Promise<string[]>} Names of the connected outputs
+ * @throws {Error} When access is denied
+ */
+export async function connectMidiOutput(onDevicesChanged = null) {
+  if (!_access) {
+    _access = await getMidiAccess();
+    _access.addEventListener("statechange", () => {
+      _bindOutput();
+      if (onDevicesChanged) onDevicesChanged(getOutputNames());
+    });
+  }
+  _bindOutput();
+  debugLog(
+    "audio",
+    `🎹 MIDI outputs: ${getOutputNames().join(", ") || "none"}`
+  );
+  return getOutputNames();
+}
+
+/**
+ * @returns {string[]} Names of the connected MIDI outputs
+ */
+export function getOutputNames() {
+  return _access ? [..._access.outputs.values()].map((o) => o.name) : [];
+}
+
+/** @private */
+function _bindOutput() {
+  const { output } = getMidiOutputSettings();
+  const next =
+    _access && output
+      ? [..._access.outputs.values()].find((o) => o.name === output) || null
+      : null;
+  if (next !== _output) _clockRunning = _clockPaused = false;
+  _output = next;
+}
+
+/**
+ * Audio-context times of the clock pulses in one beat. A quarter note
+ * always lasts 60 / bpm seconds, so shorter beat values get fewer pulses.
+ *
+ * @param {number} time - Scheduled time of the beat (seconds)
+ * @param {number} bpm
+ * @param {number} noteValue - Denominator of the meter
+ * @returns {number[]}
+ * @example
+ * clockPulseTimes(1, 120, 8).length; // 12, each 1/48 s apart
+ */
+export function clockPulseTimes(time, bpm, noteValue) {
+  const { CLOCK_PPQN } = AUDIO.MIDI;
+  const pulses = Math.round((CLOCK_PPQN * 4) / noteValue);
+  const spacing = 60 / bpm / CLOCK_PPQN;
+  return Array.from({ length: pulses }, (_, i) => time + i * spacing);
+}
+
+/**
+ * Note-on message for a pattern step.
+ *
+ * @param {string} track - Kit track ID
+ * @param {number} level - Step level (see AUDIO.VELOCITY.LEVELS)
+ * @returns {number[]|null} Null for rests and tracks without a GM note
+ * @example
+ * buildNoteOn("snare", 2); // [0x99, 38, 127]
+ */
+export function buildNoteOn(track, level) {
+  const note = KIT[track]?.gm?.[0];
+  if (!level || note === undefined) return null;
+  const { NOTE_CHANNEL, VELOCITIES } = AUDIO.MIDI;
+  return [
+    0x90 | (NOTE_CHANNEL - 1),
+    note,
+    VELOCITIES[level] ?? VELOCITIES[AUDIO.VELOCITY.LEVELS.NORMAL],
+  ];
+}
+
+/**
+ * Message that restarts a stopped clock: Continue on any beat after a
+ * pause, Start only on a bar line otherwise.
+ *
+ * @param {boolean} paused - Whether the clock was stopped by a pause
+ * @param {boolean} isBarStart - Whether the beat opens a bar
+ * @returns {number|null} Null while the clock must wait for a bar line
+ * @example
+ * clockStartMessage(true, false);  // 0xFB (Continue)
+ * clockStartMessage(false, false); // null
+ */
+export function clockStartMessage(paused, isBarStart) {
+  if (paused) return CONTINUE;
+  return isBarStart ? START : null;
+}
+
+/**
+ * When Stop and All Notes Off may go out. Without `MIDIOutput.clear()` the
+ * queued pulses and notes still play, so the stop waits for the last one.
+ *
+ * @param {number} now - Current performance time (ms)
+ * @param {number} lastQueuedAt - Time of the latest queued message (ms)
+ * @returns {number}
+ * @example
+ * stopMessageTime(1000, 1080); // 1085
+ */
+export function stopMessageTime(now, lastQueuedAt) {
+  return Math.max(now, lastQueuedAt + AUDIO.MIDI.STOP_MARGIN_MS);
+}
+
+/**
+ * Sends a message and remembers how far ahead the port is queued.
+ * @private
+ */
+function _send(message, at) {
+  _output.send(message, at);
+  _lastQueuedAt = Math.max(_lastQueuedAt, at);
+}
+
+/**
+ * Performance time (ms) at which a tick scheduled at `audioTime` is heard.
+ * @private
+ */
+function _toMidiTime(audioTime) {
+  const ctx = ensureAudio();
+  return (
+    performance.now() + (audioTime - ctx.currentTime) * 1000 + getLatencyMs()
+  );
+}
+
+/**
+ * Sends the clock pulses of one beat. Called from the cores' tick
+ * callbacks on main beats; a stopped clock restarts on the first beat
+ * `clockStartMessage()` accepts.
+ *
+ * @param {number} time - Scheduled time of the beat (seconds)
+ * @param {number} bpm
+ * @param {number} noteValue - Denominator of the meter
+ * @param {boolean} isBarStart - Whether the beat opens a bar
+ * @returns {void}
+ */
+export function sendClock(time, bpm, noteValue, isBarStart) {
+  if (!_output || !getMidiOutputSettings().clock) return;
+  if (!_clockRunning) {
+    const message = clockStartMessage(_clockPaused, isBarStart);
+    if (message === null) return;
+    _clockRunning = true;
+    _clockPaused = false;
+    _send([message], _toMidiTime(time));
+    debugLog(
+      "audio",
+      `🎹 MIDI clock ${message === CONTINUE ? "continued" : "started"}`
+    );
+  }
+  clockPulseTimes(time, bpm, noteValue).forEach((t) =>
+    _send([CLOCK], _toMidiTime(t))
+  );
+}
+
+/**
+ * Sends one pattern note (note-on, then note-off after
+ * `AUDIO.MIDI.NOTE_LENGTH_MS`). Called from `patternScheduler.onTick()`.
+ *
+ * @param {string} track - Kit track ID
+ * @param {number} level - Step level
+ * @param {number} time - Scheduled time of the step (seconds)
+ * @returns {void}
+ */
+export function sendPatternNote(track, level, time) {
+  if (!_output || !getMidiOutputSettings().notes) return;
+  const noteOn = buildNoteOn(track, level);
+  if (!noteOn) return;
+  const at = _toMidiTime(time);
+  _send(noteOn, at);
+  _send(
+    [0x80 | (noteOn[0] & 0x0f), noteOn[1], 0],
+    at + AUDIO.MIDI.NOTE_LENGTH_MS
+  );
+}
+
+/**
+ * Ends playback on the port. With `time` (a core stopping at a bar line)
+ * everything queued still plays and Stop follows it; otherwise queued
+ * pulses and notes are dropped where the browser allows it (or the stop
+ * waits until they have gone out). Stop is sent if the clock ran, and all
+ * notes are released. The next clock starts on a bar line.
+ *
+ * @param {number} [time] - Audio-context time playback ends at (seconds)
+ * @returns {void}
+ */
+export function stopOutput(time) {
+  _endPlayback(time, false);
+}
+
+/**
+ * Like `stopOutput()`, for a paused core: the next beat sends Continue
+ * instead of waiting for a bar line to send Start.
+ *
+ * @returns {void}
+ */
+export function pauseOutput() {
+  _endPlayback(undefined, true);
+}
+
+/** @private */
+function _endPlayback(time, paused) {
+  if (!_output) return;
+  let at = performance.now();
+  if (time !== undefined) {
+    at = stopMessageTime(_toMidiTime(time), _lastQueuedAt);
+  } else if (typeof _output.clear === "function") {
+    _output.clear();
+  } else {
+    at = stopMessageTime(at, _lastQueuedAt);
+  }
+  _lastQueuedAt = 0;
+
+  if (_clockRunning) {
+    _output.send([STOP], at);
+    debugLog("audio", `🎹 MIDI clock ${paused ? "paused" : "stopped"}`);
+  }
+  _clockPaused = paused && (_clockRunning || _clockPaused);
+  _clockRunning = false;
+  _output.send([0xb0 | (AUDIO.MIDI.NOTE_CHANNEL - 1), 123, 0], at); // All notes off
+}
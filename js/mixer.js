@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Per-track mixer for groove patterns.
+ * Routes every kit track through its own gain → stereo pan chain and
+ * persists volume, pan, mute and solo either globally or per groove.
+ * @module mixer
+ */
+
+import { STORAGE_KEYS } from "./constants.js";
+import { debugLog } from "./debug.js";
+
+const DEFAULT_CHANNEL = Object.freeze({
+  volume: 1,
+  pan: 0,
+  mute: false,
+  solo: false,
+});
+const RAMP_S = 0.015; // Smooths slider moves during playback
+
+let _state = _getRaw();
+let _patternName = null; // Groove whose mix applies in "pattern" scope
+let _graphCtx = null; // AudioContext that owns the cached nodes
+const _channels = new Map(); // trackID -> { gain, panner }
+
+/**
+ * Internal helper to safely parse localStorage.
+ * @private
+ */
+function _getRaw() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.MIXER));
+    return {
+      scope: data?.scope === "pattern" ? "pattern" : "global",
+      global: data?.global || {},
+      patterns: data?.patterns || {},
+    };
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse mixer storage:", e);
+    return { scope: "global", global: {}, patterns: {} };
+  }
+}
+
+function _persist() {
+  try {
+    localStorage.setItem(STORAGE_KEYS.MIXER, JSON.stringify(_state));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in mixer storage", e);
+  }
+}
+
+/**
+ * Returns the track map the current scope reads and writes.
+ * Falls back to the global mix when no groove is active.
+ * @private
+ * @param {boolean} [create=false] - Allocate a missing per-groove entry
+ */
+function _activeMix(create = false) {
+  if (_state.scope === "pattern" && _patternName) {
+    if (!_state.patterns[_patternName]) {
+      if (!create) return {};
+      _state.patterns[_patternName] = {};
+    }
+    return _state.patterns[_patternName];
+  }
+  return _state.global;
+}
+
+/**
+ * Final linear gain for a track in the live mix: mute wins, then solo,
+ * then volume.
+ * @param {string} trackID
+ * @returns {number} 0 when the track is silenced
+ */
+export function getEffectiveGain(trackID) {
+  const mix = _activeMix();
+  const ch = getChannel(trackID);
+  const anySolo = Object.values(mix).some((c) => c.solo);
+  if (ch.mute || (anySolo && !ch.solo)) return 0;
+  return ch.volume;
+}
+
+/**
+ * Pushes the stored mix onto every live channel node.
+ * @private
+ */
+function _applyAll() {
+  if (!_graphCtx) return;
+  const now = _graphCtx.currentTime;
+  _channels.forEach(({ gain, panner }, trackID) => {
+    gain.gain.setTargetAtTime(getEffectiveGain(trackID), now, RAMP_S);
+    if (panner)
+      panner.pan.setTargetAtTime(getChannel(trackID).pan, now, RAMP_S);
+  });
+}
+
+function _notify() {
+  document.dispatchEvent(
+    new CustomEvent("mixer:changed", {
+      detail: { scope: _state.scope, pattern: _patternName },
+    })
+  );
+}
+
+/**
+ * Selects which groove's mix is live. Called by patternScheduler.load().
+ * @param {string|null} name - Groove name, or null when no pattern plays
+ */
+export function setActivePattern(name) {
+  _patternName = name ? name.trim() : null;
+  _applyAll();
+  _notify();
+}
+
+export function getActivePattern() {
+  return _patternName;
+}
+
+/**
+ * @returns {"global"|"pattern"}
+ */
+export function getScope() {
+  return _state.scope;
+}
+
+/**
+ * Switches between one shared mix and a mix per groove.
+ * @param {"global"|"pattern"} scope
+ */
+export function setScope(scope) {
+  _state.scope = scope === "pattern" ? "pattern" : "global";
+  _persist();
+  _applyAll();
+  _notify();
+  debugLog("state", `🎚️ Mixer scope: ${_state.scope}`);
+}
+
+/**
+ * Returns the stored settings for a track, filled with defaults.
+ * @param {string} trackID - Kit track ID (see drumKit.KIT)
+ * @returns {{volume: number, pan: number, mute: boolean, solo: boolean}}
+ */
+export function getChannel(trackID) {
+  return { ...DEFAULT_CHANNEL, ..._activeMix()[trackID] };
+}
+
+/**
+ * Updates one or more settings of a track and persists the mix.
+ * @param {string} trackID
+ * @param {Partial<{volume: number, pan: number, mute: boolean, solo: boolean}>} changes
+ */
+export function setChannel(trackID, changes) {
+  const mix = _activeMix(true);
+  const next = { ...getChannel(trackID), ...changes };
+  next.volume = Math.min(1, Math.max(0, Number(next.volume) || 0));
+  next.pan = Math.min(1, Math.max(-1, Number(next.pan) || 0));
+  next.mute = !!next.mute;
+  next.solo = !!next.solo;
+  mix[trackID] = next;
+
+  _persist();
+  _applyAll();
+  _notify();
+}
+
+/**
+ * Restores every track of the current scope to unity gain, centre pan.
+ */
+export function resetMix() {
+  const mix = _activeMix();
+  Object.keys(mix).forEach((trackID) => delete mix[trackID]);
+  _persist();
+  _applyAll();
+  _notify();
+  debugLog("state", "🎚️ Mixer reset");
+}
+
+/**
+ * Drops the per-groove mixes of patterns that were deleted. Called by
+ * grooveStorage so mixes never outlive their pattern.
+ * @param {string[]} names - Groove names
+ */
+export function deletePatternMixes(names) {
+  const stale = names.map((n) => n.trim()).filter((n) => _state.patterns[n]);
+  if (stale.length === 0) return;
+  stale.forEach((name) => delete _state.patterns[name]);
+  _persist();
+  _applyAll();
+  _notify();
+  debugLog("state", `🎚️ Dropped mixes of: ${stale.join(", ")}`);
+}
+
+/**
+ * Returns the input node of a track's channel strip, building it on first use.
+ * Sources connect here instead of ctx.destination.
+ * @param {AudioContext} ctx
+ * @param {string} trackID
+ * @returns {AudioNode}
+ */
+export function getTrackInput(ctx, trackID) {
+  // A new context invalidates every cached node
+  if (_graphCtx !== ctx) {
+    _channels.clear();
+    _graphCtx = ctx;
+  }
+
+  let channel = _channels.get(trackID);
+  if (!channel) {
+    const gain = ctx.createGain();
+    gain.gain.value = getEffectiveGain(trackID);
+
+    // StereoPannerNode is missing on some older WebKit builds
+    const panner = ctx.createStereoPanner ? ctx.createStereoPanner() : null;
+    if (panner) {
+      panner.pan.value = getChannel(trackID).pan;
+      gain.connect(panner);
+      panner.connect(ctx.destination);
+    } else {
+      gain.connect(ctx.destination);
+    }
+
+    channel = { gain, panner };
+    _channels.set(trackID, channel);
+  }
+  return channel.gain;
+}
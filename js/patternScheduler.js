@@ -1,40 +1,81 @@
 /**
  * @fileoverview Audio scheduler for groove patterns.
- * Generates procedural Kick, Snare, and Hi-Hat sounds.
+ * Plays whichever kit tracks the active pattern declares.
  * @module patternScheduler
  */
 
 import { ensureAudio, isMuted } from "./audioProfiles.js";
 import { getSampleBuffer } from "./sampleLoader.js";
+import { AUDIO } from "./constants.js";
+import { KIT, getTrackIds } from "./drumKit.js";
+import * as mixer from "./mixer.js";
+import * as midiOutput from "./midiOutput.js";
 
 let _activePattern = null;
+let _activeTracks = [];
 let _stepCount = 0;
+let _stepsPerBar = 0;
 
 export const patternScheduler = {
-  load(patternObj) {
+  /**
+   * Activates a pattern for playback.
+   * @param {Object} patternObj - Stored groove pattern
+   * @param {string|null} [name=null] - Groove name, selects its per-groove mix
+   */
+  load(patternObj, name = null) {
     _activePattern = patternObj;
     if (patternObj) {
       const ts = patternObj.patternTimeSignature || { beats: 4 };
       const ticks = patternObj.ticksPerBeat || 1;
       const measures = patternObj.measures || 1;
-      _stepCount = ts.beats * ticks * measures;
+      _stepsPerBar = ts.beats * ticks;
+      _stepCount = _stepsPerBar * measures;
+      _activeTracks = getTrackIds(patternObj.patterns);
     }
+    mixer.setActivePattern(patternObj ? name : null);
   },
 
   clear() {
     _activePattern = null;
+    _activeTracks = [];
     _stepCount = 0;
+    _stepsPerBar = 0;
+    mixer.setActivePattern(null);
   },
 
   isActive() {
     return _activePattern !== null;
   },
 
+  /**
+   * Returns the kit tracks of the loaded pattern, in registry order.
+   * @returns {string[]}
+   */
+  getTracks() {
+    return [..._activeTracks];
+  },
+
+  /**
+   * Returns the length of the loaded pattern in steps.
+   * @returns {number} 0 when no pattern is loaded
+   */
+  getStepCount() {
+    return _stepCount;
+  },
+
+  /**
+   * Returns the number of steps in one bar of the loaded pattern.
+   * @returns {number} 0 when no pattern is loaded
+   */
+  getStepsPerBar() {
+    return _stepsPerBar;
+  },
+
   /**
    * Returns hit data for a specific track and step.
-   * @param {string} track - hihat, kick, snare, or HHPed
+   * @param {string} track - Kit track ID (see drumKit.KIT)
    * @param {number} step - The absolute step index in the pattern
-   * @returns {number} 1 for hit, 0 for rest
+   * @returns {number} Velocity level (0 rest, 1 normal, 2 accent, 3 ghost)
    */
   getStepData(track, step) {
     if (!_activePattern || !_activePattern.patterns[track]) return 0;
@@ -48,28 +89,48 @@ export const patternScheduler = {
   onTick(tickIndex, time) {
     if (!_activePattern || _stepCount === 0) return false;
 
+    const currentStep = tickIndex % _stepCount;
+    const p = _activePattern.patterns;
+
+    // MIDI notes follow the mixer's mute/solo but ignore the app mute, so a
+    // drum module can replace the samples
+    _activeTracks.forEach((track) => {
+      const level = p[track][currentStep];
+      if (level && mixer.getEffectiveGain(track) > 0) {
+        midiOutput.sendPatternNote(track, level, time);
+      }
+    });
+
     if (isMuted()) return true; // Suppress audio if muted, but still return true to keep metronome silent
 
     const audioCtx = ensureAudio();
-    const currentStep = tickIndex % _stepCount;
-    const p = _activePattern.patterns;
 
-    // Trigger Samples
-    if (p.hihat?.[currentStep]) this._playSample(audioCtx, "hihat", time);
-    if (p.kick?.[currentStep]) this._playSample(audioCtx, "kick", time);
-    if (p.snare?.[currentStep]) this._playSample(audioCtx, "snare", time);
-    if (p.HHPed?.[currentStep]) this._playSample(audioCtx, "HHPed", time);
+    // Trigger Samples (step value doubles as the velocity level)
+    _activeTracks.forEach((track) => {
+      const level = p[track][currentStep];
+      if (level) this._playSample(audioCtx, track, time, level);
+    });
 
     return true;
   },
 
-  _playSample(ctx, key, time) {
+  _playSample(ctx, key, time, velocity = AUDIO.VELOCITY.LEVELS.NORMAL) {
     const buffer = getSampleBuffer(key);
     if (!buffer) return;
 
     const source = ctx.createBufferSource();
     source.buffer = buffer;
-    source.connect(ctx.destination);
+    source.playbackRate.value = KIT[key]?.rate ?? 1;
+
+    // Unknown levels fall back to normal loudness
+    const gain = ctx.createGain();
+    gain.gain.value =
+      AUDIO.VELOCITY.GAINS[velocity] ??
+      AUDIO.VELOCITY.GAINS[AUDIO.VELOCITY.LEVELS.NORMAL];
+
+    // Velocity gain feeds the track's mixer channel (volume, pan, mute/solo)
+    source.connect(gain);
+    gain.connect(mixer.getTrackInput(ctx, key));
     source.start(time);
   },
 };
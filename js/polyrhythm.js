@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Polyrhythm presets for the simple metronome.
+ * A ratio such as 3:2 plays independent pulse streams over one shared
+ * cycle. The last number is the reference layer: it pulses on the beat at
+ * the metronome's BPM, and every other layer divides the same span evenly.
+ * @module polyrhythm
+ */
+
+import { DEFAULTS } from "./constants.js";
+
+/** Selectable ratios, in menu order. "off" plays the regular meter. */
+export const POLYRHYTHMS = Object.freeze({
+  off: "Off",
+  "3:2": "3 against 2",
+  "4:3": "4 against 3",
+  "5:4": "5 against 4",
+  "7:4": "7 against 4",
+  "4:3:2": "4 against 3 against 2",
+});
+
+/**
+ * @param {*} raw - Stored or selected ratio
+ * @returns {string} A key of POLYRHYTHMS
+ */
+export function sanitizePolyrhythm(raw) {
+  return Object.prototype.hasOwnProperty.call(POLYRHYTHMS, raw)
+    ? raw
+    : DEFAULTS.POLYRHYTHM;
+}
+
+/**
+ * @param {string} ratio - A key of POLYRHYTHMS
+ * @returns {number[]|null} Pulses per cycle for each layer, or null when off
+ * @example
+ * parseRatio("3:2"); // [3, 2]
+ */
+export function parseRatio(ratio) {
+  const key = sanitizePolyrhythm(ratio);
+  return key === "off" ? null : key.split(":").map(Number);
+}
+
+/**
+ * Lays the layers out on a common grid so coinciding pulses share one
+ * event. Grid steps are exact integers (the least common multiple of the
+ * layers), so no floating-point drift decides whether pulses meet.
+ *
+ * @param {number[]} layers - Pulses per cycle for each layer
+ * @returns {{layers: number[], steps: number, events: {step: number, layers: number[]}[]}}
+ * @example
+ * buildPolyrhythmGrid([3, 2]).events;
+ * // [{step: 0, layers: [0, 1]}, {step: 2, layers: [0]},
+ * //  {step: 3, layers: [1]}, {step: 4, layers: [0]}]
+ */
+export function buildPolyrhythmGrid(layers) {
+  const steps = layers.reduce((acc, n) => (acc * n) / _gcd(acc, n), 1);
+  const byStep = new Map();
+
+  layers.forEach((pulses, layer) => {
+    for (let k = 0; k < pulses; k++) {
+      const step = k * (steps / pulses);
+      if (!byStep.has(step)) byStep.set(step, []);
+      byStep.get(step).push(layer);
+    }
+  });
+
+  const events = [...byStep.keys()]
+    .sort((a, b) => a - b)
+    .map((step) => ({ step, layers: byStep.get(step) }));
+  return { layers: [...layers], steps, events };
+}
+
+/** @private */
+function _gcd(a, b) {
+  return b === 0 ? a : _gcd(b, a % b);
+}
@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Practice journal persisted in IndexedDB.
+ * Records one entry per groove session or simple-metronome run: when it
+ * started, how long it lasted, how it ended, every cycle played (groove, BPM,
+ * time signature, outcome) and every pause.
+ * The record is saved at every cycle boundary and updated when the session
+ * ends, so a crashed or killed tab still leaves the cycles it played
+ * (marked "interrupted"). Dispatches `practiceLog:saved` after the final
+ * write.
+ * @module practiceLog
+ */
+
+import { debugLog } from "./debug.js";
+
+const DB_NAME = "rgtPracticeLog";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+let _dbPromise = null;
+let _current = null; // Record being built for the running session
+let _pauseStartedAt = null;
+let _writes = Promise.resolve(); // Writes run one at a time, in order
+
+/**
+ * Opens (and on first use creates) the journal database.
+ * @private
+ * @returns {Promise<IDBDatabase>}
+ */
+function _openDb() {
+  if (_dbPromise) return _dbPromise;
+
+  _dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      store.createIndex("startedAt", "startedAt");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Let a later call retry after a failed open
+  _dbPromise.catch(() => {
+    _dbPromise = null;
+  });
+  return _dbPromise;
+}
+
+/**
+ * Runs one request inside a transaction and resolves with its result.
+ * @private
+ */
+async function _run(mode, makeRequest) {
+  const db = await _openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+const _seconds = (ms) => Math.round(ms / 100) / 10;
+
+/**
+ * Copy of the running record as if it ended now: a running pause and the
+ * open cycle are closed in the copy only.
+ * @private
+ * @param {"completed"|"stopped"|"interrupted"} reason
+ * @returns {Object}
+ */
+function _snapshot(reason) {
+  const now = Date.now();
+  const record = JSON.parse(JSON.stringify(_current));
+  const pausedNow = _pauseStartedAt ? now - _pauseStartedAt : 0;
+  if (_pauseStartedAt) {
+    record.pauses.push({ at: _pauseStartedAt, seconds: _seconds(pausedNow) });
+  }
+
+  const cycle = record.cycles[record.cycles.length - 1];
+  if (cycle && !cycle.outcome) {
+    cycle.playedS = _seconds(
+      now - cycle.startedAt - cycle.pausedMs - pausedNow
+    );
+    cycle.outcome = reason === "completed" ? "completed" : "stopped";
+    delete cycle.pausedMs;
+  }
+
+  record.endedAt = now;
+  record.endReason = reason;
+  record.durationS = _seconds(now - record.startedAt);
+  record.activeS = _seconds(
+    record.durationS * 1000 -
+      record.pauses.reduce((sum, p) => sum + p.seconds * 1000, 0)
+  );
+  return record;
+}
+
+/**
+ * Queues a write of `record`. The first write of a session adds it; later
+ * ones overwrite it through the id kept on the live record.
+ * @private
+ * @param {Object} live - The session's working record
+ * @param {Object} record - Snapshot to store
+ * @returns {Promise<Object>} The stored record, with its id
+ */
+function _save(live, record) {
+  const write = _writes.then(async () => {
+    if (live.id !== undefined) record.id = live.id;
+    live.id = await _run("readwrite", (store) => store.put(record));
+    record.id = live.id;
+    return record;
+  });
+  _writes = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Saves the session so far. Called at every cycle boundary.
+ * @private
+ */
+function _checkpoint() {
+  if (!_current || _current.cycles.length === 0) return;
+  _save(_current, _snapshot("interrupted")).catch((e) =>
+    debugLog("state", "⚠️ Failed to checkpoint practice session", e)
+  );
+}
+
+/**
+ * Starts a new record. Any unfinished record is saved first.
+ *
+ * @param {"groove"|"simple"} type - Which metronome the session ran on
+ * @param {Object} [settings={}] - Session setup worth reviewing later
+ *   (limit mode, cycle length, tempo strategy, …)
+ * @returns {void}
+ */
+export function beginSession(type, settings = {}) {
+  if (_current) endSession("interrupted");
+
+  _current = {
+    type,
+    startedAt: Date.now(),
+    endedAt: null,
+    durationS: 0,
+    activeS: 0,
+    endReason: null,
+    settings: { ...settings },
+    cycles: [],
+    pauses: [],
+  };
+  _pauseStartedAt = null;
+  debugLog("state", `📓 Practice log: ${type} session started`);
+}
+
+/**
+ * @returns {boolean} True while a session is being recorded
+ */
+export function isRecording() {
+  return _current !== null;
+}
+
+/**
+ * Opens a cycle. An open cycle is closed as "completed" first.
+ *
+ * @param {Object} cycle
+ * @param {string|null} cycle.groove - Groove name (null for the simple metronome)
+ * @param {number} cycle.bpm
+ * @param {{beats: number, value: number}} cycle.timeSignature
+ * @param {number} cycle.ticksPerBeat
+ * @returns {void}
+ */
+export function logCycleStart({ groove, bpm, timeSignature, ticksPerBeat }) {
+  if (!_current) return;
+  logCycleEnd("completed");
+
+  _current.cycles.push({
+    groove: groove || null,
+    bpm,
+    timeSignature: `${timeSignature.beats}/${timeSignature.value}`,
+    ticksPerBeat,
+    startedAt: Date.now(),
+    playedS: 0,
+    pausedMs: 0,
+    outcome: null,
+  });
+  _checkpoint();
+}
+
+/**
+ * Closes the open cycle, if any.
+ *
+ * @param {"completed"|"skipped"|"stopped"} outcome
+ * @returns {void}
+ */
+export function logCycleEnd(outcome) {
+  const cycle = _current?.cycles[_current.cycles.length - 1];
+  if (!cycle || cycle.outcome) return;
+
+  const pausedNow = _pauseStartedAt ? Date.now() - _pauseStartedAt : 0;
+  cycle.playedS = _seconds(
+    Date.now() - cycle.startedAt - cycle.pausedMs - pausedNow
+  );
+  cycle.outcome = outcome;
+  delete cycle.pausedMs;
+}
+
+export function logPause() {
+  if (!_current || _pauseStartedAt) return;
+  _pauseStartedAt = Date.now();
+}
+
+export function logResume() {
+  if (!_current || !_pauseStartedAt) return;
+
+  const now = Date.now();
+  const pausedMs = now - _pauseStartedAt;
+  _current.pauses.push({
+    at: _pauseStartedAt,
+    seconds: _seconds(pausedMs),
+  });
+  const cycle = _current.cycles[_current.cycles.length - 1];
+  if (cycle && !cycle.outcome) cycle.pausedMs += pausedMs;
+  _pauseStartedAt = null;
+}
+
+/**
+ * Finalizes the running record and writes it to IndexedDB, replacing the
+ * last checkpoint. Sessions that never reached a cycle are discarded.
+ *
+ * @param {"completed"|"stopped"|"interrupted"} reason - How the session ended
+ * @returns {Promise<Object|null>} The saved record, or null
+ */
+export async function endSession(reason) {
+  if (!_current) return null;
+  logResume(); // Close a pause that was still running
+  logCycleEnd(reason === "completed" ? "completed" : "stopped");
+
+  const live = _current;
+  const record = _snapshot(reason);
+  _current = null;
+
+  if (record.cycles.length === 0) return null;
+
+  try {
+    await _save(live, record);
+    debugLog("state", `📓 Practice log: saved session #${record.id}`);
+    document.dispatchEvent(
+      new CustomEvent("practiceLog:saved", { detail: { id: record.id } })
+    );
+    return record;
+  } catch (e) {
+    debugLog("state", "❌ Failed to save practice session", e);
+    return null;
+  }
+}
+
+/**
+ * @returns {Promise<Object[]>} Every saved session, newest first
+ */
+export async function getSessions() {
+  try {
+    const all = await _run("readonly", (store) => store.getAll());
+    return all.sort((a, b) => b.startedAt - a.startedAt);
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to read practice log", e);
+    return [];
+  }
+}
+
+/**
+ * Deletes every saved session.
+ * @returns {Promise<void>}
+ */
+export async function clearSessions() {
+  await _run("readwrite", (store) => store.clear());
+  debugLog("state", "🗑️ Practice log cleared");
+}
+
+/**
+ * Flattens sessions to CSV with one row per cycle.
+ *
+ * @param {Object[]} sessions - Records from getSessions()
+ * @returns {string}
+ */
+export function sessionsToCSV(sessions) {
+  const header = [
+    "session_id",
+    "session_type",
+    "session_start",
+    "session_duration_s",
+    "session_active_s",
+    "session_end_reason",
+    "session_pauses",
+    "cycle",
+    "cycle_start",
+    "groove",
+    "bpm",
+    "time_signature",
+    "ticks_per_beat",
+    "played_s",
+    "outcome",
+  ];
+  const quote = (v) => {
+    const s = v === null || v === undefined ? "" : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+
+  const rows = sessions.flatMap((s) =>
+    s.cycles.map((c, i) => [
+      s.id,
+      s.type,
+      new Date(s.startedAt).toISOString(),
+      s.durationS,
+      s.activeS,
+      s.endReason,
+      s.pauses.length,
+      i + 1,
+      new Date(c.startedAt).toISOString(),
+      c.groove,
+      c.bpm,
+      c.timeSignature,
+      c.ticksPerBeat,
+      c.playedS,
+      c.outcome,
+    ])
+  );
+
+  return [header, ...rows].map((r) => r.map(quote).join(",")).join("\n");
+}
+
+// Mark the session as interrupted if the tab closes mid-session; the last
+// checkpoint already holds its cycles should this write not commit
+if (typeof window !== "undefined") {
+  window.addEventListener("pagehide", () => {
+    if (_current) endSession("interrupted");
+  });
+}
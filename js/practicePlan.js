@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Practice plan: an ordered list of timed segments.
+ * A "simple" segment plays the simple metronome at a fixed BPM; a "groove"
+ * segment runs groove cycles with its own groove list, BPM range and cycle
+ * length. sessionEngine.startPlan() executes the plan end to end.
+ * @module practicePlan
+ */
+
+import { LIMITS, DEFAULTS, STORAGE_KEYS } from "./constants.js";
+import { clamp } from "./utils.js";
+import { debugLog } from "./debug.js";
+
+/** Segment types, in menu order. */
+export const SEGMENT_TYPES = Object.freeze({
+  simple: "Metronome",
+  groove: "Grooves",
+});
+
+/** @private */
+function _int(raw, fallback) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Clamps a segment into a safe shape.
+ *
+ * @param {Object} raw - Candidate segment
+ * @returns {Object|null} Clean segment, or null for an unknown type or a
+ *   groove segment without grooves
+ */
+export function sanitizeSegment(raw) {
+  if (!raw || !Object.prototype.hasOwnProperty.call(SEGMENT_TYPES, raw.type)) {
+    return null;
+  }
+  const { MIN, MAX } = LIMITS.PLAN.MINUTES;
+  const minutes = clamp(_int(raw.minutes, MIN), MIN, MAX);
+  const bpm = (v, fallback) =>
+    clamp(_int(v, fallback), LIMITS.BPM.MIN, LIMITS.BPM.MAX);
+
+  if (raw.type === "simple") {
+    return { type: "simple", minutes, bpm: bpm(raw.bpm, DEFAULTS.BPM) };
+  }
+
+  const grooves = String(raw.grooves || "")
+    .split("\n")
+    .map((n) => n.trim())
+    .filter(Boolean)
+    .join("\n");
+  if (!grooves) return null;
+
+  let bpmMin = bpm(raw.bpmMin, DEFAULTS.GROOVE_RANGE.MIN);
+  let bpmMax = bpm(raw.bpmMax, DEFAULTS.GROOVE_RANGE.MAX);
+  if (bpmMin > bpmMax) [bpmMin, bpmMax] = [bpmMax, bpmMin];
+
+  const cycle = LIMITS.INPUT.cycleDuration;
+  return {
+    type: "groove",
+    minutes,
+    grooves,
+    bpmMin,
+    bpmMax,
+    cycleSeconds: clamp(
+      _int(raw.cycleSeconds, cycle.defaultValue),
+      cycle.min,
+      cycle.max
+    ),
+  };
+}
+
+/**
+ * Sanitizes a whole plan, dropping unusable segments.
+ *
+ * @param {Object[]} segments
+ * @returns {Object[]} At most LIMITS.PLAN.SEGMENTS_MAX segments
+ */
+export function sanitizePlan(segments) {
+  if (!Array.isArray(segments)) return [];
+  return segments
+    .map(sanitizeSegment)
+    .filter(Boolean)
+    .slice(0, LIMITS.PLAN.SEGMENTS_MAX);
+}
+
+/**
+ * @param {Object[]} segments
+ * @returns {number} Planned length in seconds
+ */
+export function getPlanDuration(segments) {
+  return segments.reduce((sum, seg) => sum + seg.minutes * 60, 0);
+}
+
+/**
+ * @returns {Object[]} The saved plan (the default plan on first use)
+ */
+export function getPlan() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PRACTICE_PLAN));
+    if (Array.isArray(stored)) return sanitizePlan(stored);
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse practice plan:", e);
+  }
+  return sanitizePlan(DEFAULTS.PLAN);
+}
+
+/**
+ * Sanitizes and stores the plan.
+ *
+ * @param {Object[]} segments
+ * @returns {Object[]} The stored plan
+ */
+export function savePlan(segments) {
+  const plan = sanitizePlan(segments);
+  try {
+    localStorage.setItem(STORAGE_KEYS.PRACTICE_PLAN, JSON.stringify(plan));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in practice plan storage", e);
+  }
+  return plan;
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Aggregates the practice journal into dashboard statistics.
+ * Pure functions over practiceLog records, so the numbers can be tested
+ * without IndexedDB or the DOM.
+ * @module practiceStats
+ */
+
+const DAY_MS = 86400000;
+
+/**
+ * Local calendar day of a timestamp as "YYYY-MM-DD".
+ *
+ * @param {number|Date} time
+ * @returns {string}
+ */
+export function dayKey(time) {
+  const d = new Date(time);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Local midnight of the Monday that starts the timestamp's week.
+ * @private
+ */
+function _weekStart(time) {
+  const d = new Date(time);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Sunday → 6 days back
+  return d;
+}
+
+/**
+ * Counts consecutive practice days.
+ * The current streak survives until the end of today, so practising
+ * yesterday but not yet today still counts.
+ *
+ * @param {Set<string>} days - Day keys with any practice
+ * @param {number} now - Reference timestamp
+ * @returns {{current: number, longest: number}}
+ */
+export function computeStreaks(days, now) {
+  const sorted = [...days].sort();
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  sorted.forEach((key) => {
+    const t = new Date(`${key}T00:00:00`).getTime();
+    // Round to absorb 23h/25h days around DST changes
+    run = prev !== null && Math.round((t - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = t;
+  });
+
+  let current = 0;
+  const cursor = new Date(now);
+  if (!days.has(dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+  while (days.has(dayKey(cursor))) {
+    current++;
+    cursor.setDate(cursor.getDate() - 1);
+  }
+
+  return { current, longest };
+}
+
+/**
+ * Builds every figure the stats dashboard shows.
+ *
+ * @param {Object[]} sessions - Records from practiceLog.getSessions()
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Reference time for recent windows
+ * @param {number} [options.days=14] - Daily bars to return
+ * @param {number} [options.weeks=8] - Weekly bars to return
+ * @returns {{
+ *   totalSeconds: number,
+ *   daily: {key: string, date: Date, seconds: number}[],
+ *   weekly: {key: string, date: Date, seconds: number}[],
+ *   grooves: {groove: string, seconds: number, cycles: number, skips: number, minBpm: number|null, maxBpm: number|null}[],
+ *   mostSkipped: {groove: string, skips: number}[],
+ *   streak: {current: number, longest: number}
+ * }}
+ */
+export function computeStats(sessions, options = {}) {
+  const now = options.now ?? Date.now();
+  const dayCount = options.days ?? 14;
+  const weekCount = options.weeks ?? 8;
+
+  const perDay = new Map(); // dayKey -> seconds
+  const perWeek = new Map(); // weekStart dayKey -> seconds
+  const perGroove = new Map();
+  let totalSeconds = 0;
+
+  sessions.forEach((session) => {
+    (session.cycles || []).forEach((c) => {
+      const seconds = c.playedS || 0;
+      const day = dayKey(c.startedAt);
+      const week = dayKey(_weekStart(c.startedAt));
+      perDay.set(day, (perDay.get(day) || 0) + seconds);
+      perWeek.set(week, (perWeek.get(week) || 0) + seconds);
+      totalSeconds += seconds;
+
+      if (!c.groove) return; // Simple-metronome runs have no groove
+
+      if (!perGroove.has(c.groove)) {
+        perGroove.set(c.groove, {
+          groove: c.groove,
+          seconds: 0,
+          cycles: 0,
+          skips: 0,
+          minBpm: null,
+          maxBpm: null,
+        });
+      }
+      const g = perGroove.get(c.groove);
+      g.seconds += seconds;
+      g.cycles++;
+      if (c.outcome === "skipped") g.skips++;
+      // Only finished cycles count as a tempo "reached"
+      if (c.outcome === "completed") {
+        g.minBpm = g.minBpm === null ? c.bpm : Math.min(g.minBpm, c.bpm);
+        g.maxBpm = g.maxBpm === null ? c.bpm : Math.max(g.maxBpm, c.bpm);
+      }
+    });
+  });
+
+  const daily = [];
+  for (let i = dayCount - 1; i >= 0; i--) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - i);
+    const key = dayKey(date);
+    daily.push({ key, date, seconds: perDay.get(key) || 0 });
+  }
+
+  const weekly = [];
+  for (let i = weekCount - 1; i >= 0; i--) {
+    const date = _weekStart(now);
+    date.setDate(date.getDate() - 7 * i);
+    const key = dayKey(date);
+    weekly.push({ key, date, seconds: perWeek.get(key) || 0 });
+  }
+
+  const grooves = [...perGroove.values()].sort((a, b) => b.seconds - a.seconds);
+  const mostSkipped = grooves
+    .filter((g) => g.skips > 0)
+    .map(({ groove, skips }) => ({ groove, skips }))
+    .sort((a, b) => b.skips - a.skips);
+
+  const practiced = new Set(
+    [...perDay.entries()].filter(([, s]) => s > 0).map(([key]) => key)
+  );
+
+  return {
+    totalSeconds,
+    daily,
+    weekly,
+    grooves,
+    mostSkipped,
+    streak: computeStreaks(practiced, now),
+  };
+}
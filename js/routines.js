@@ -0,0 +1,257 @@
+/**
+ * @fileoverview Data layer for named practice routines.
+ * A routine is a complete groove-session setup (BPM range, groove list and
+ * weights, session limit, cycle length, time signature, tempo and groove
+ * order, drop-out and count-in) saved under a name. Routines travel with the
+ * library backup.
+ * Dispatches `routines:changed` whenever the stored set changes.
+ * @module routines
+ */
+
+import { debugLog } from "./debug.js";
+import { LIMITS, STORAGE_KEYS } from "./constants.js";
+import { sanitizeTempoStrategy } from "./tempoStrategy.js";
+import { sanitizeGroovePolicy } from "./grooveSelection.js";
+import { sanitizeGapSettings } from "./gapClick.js";
+import { sanitizeCountInSettings } from "./countIn.js";
+
+const MAX_ROUTINES = LIMITS.STORAGE.MAX_ROUTINES;
+
+// Option values of the matching <select> elements
+const SESSION_MODES = ["infinite", "cycles", "time"];
+const CYCLE_UNITS = ["seconds", "minutes"];
+const TOTAL_TIME_UNITS = ["seconds", "minutes", "hours"];
+const TIME_SIG_PRESETS = ["4/4", "3/4", "2/4", "6/8", "7/8", "12/8", "custom"];
+const SUBDIVISIONS = LIMITS.TIME_SIG.SUBDIVISIONS;
+
+/**
+ * Internal helper to safely parse localStorage.
+ * @private
+ */
+function _getRaw() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEYS.ROUTINES));
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse routine storage:", e);
+    return {};
+  }
+}
+
+/**
+ * Writes the whole set and notifies listeners.
+ * @private
+ * @returns {boolean} False when storage is full
+ */
+function _persist(routines) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.ROUTINES, JSON.stringify(routines));
+  } catch (e) {
+    debugLog("state", "❌ QuotaExceededError in routine storage", e);
+    return false;
+  }
+  document.dispatchEvent(new CustomEvent("routines:changed"));
+  return true;
+}
+
+/** @private */
+function _clampInt(raw, { min, max, defaultValue }) {
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : defaultValue;
+}
+
+/** @private */
+function _oneOf(value, allowed) {
+  return allowed.includes(value) ? value : allowed[0];
+}
+
+/**
+ * Normalizes a routine (from the UI or an imported file).
+ * Out-of-range numbers are clamped and unknown options fall back to their
+ * defaults; only a routine without any groove name is rejected.
+ *
+ * @param {Object} data - Candidate routine
+ * @returns {Object|null} Clean routine, or null if unusable
+ */
+export function sanitizeRoutine(data) {
+  if (!data || typeof data !== "object") return null;
+  if (typeof data.grooves !== "string" || !data.grooves.trim()) return null;
+
+  const input = LIMITS.INPUT;
+  const names = data.grooves
+    .split("\n")
+    .map((n) => n.trim())
+    .filter(Boolean);
+
+  // Keep only weights for grooves in the list, within the allowed range
+  const weights = {};
+  if (data.weights && typeof data.weights === "object") {
+    names.forEach((name) => {
+      const w = data.weights[name];
+      if (Number.isInteger(w)) {
+        weights[name] = Math.min(
+          LIMITS.GROOVE_WEIGHT.MAX,
+          Math.max(LIMITS.GROOVE_WEIGHT.MIN, w)
+        );
+      }
+    });
+  }
+
+  const ts = data.timeSignature || {};
+  const denominator = parseInt(ts.value, 10);
+
+  return {
+    bpmMin: _clampInt(data.bpmMin, input.bpmMin),
+    bpmMax: _clampInt(data.bpmMax, input.bpmMax),
+    grooves: names.join("\n"),
+    weights,
+    sessionMode: _oneOf(data.sessionMode, SESSION_MODES),
+    totalCycles: _clampInt(data.totalCycles, input.totalCycles),
+    totalTime: _clampInt(data.totalTime, input.totalTime),
+    totalTimeUnit: _oneOf(data.totalTimeUnit, TOTAL_TIME_UNITS),
+    cycleDuration: _clampInt(data.cycleDuration, input.cycleDuration),
+    cycleUnit: _oneOf(data.cycleUnit, CYCLE_UNITS),
+    timeSignature: {
+      preset: _oneOf(ts.preset, TIME_SIG_PRESETS),
+      beats: _clampInt(ts.beats, input.grooveCustomNumerator),
+      value: input.grooveCustomDenominator.allowed.includes(denominator)
+        ? denominator
+        : input.grooveCustomDenominator.defaultValue,
+      subdivision: _oneOf(parseInt(ts.subdivision, 10), SUBDIVISIONS),
+    },
+    tempoStrategy: sanitizeTempoStrategy(data.tempoStrategy),
+    groovePolicy: sanitizeGroovePolicy(data.groovePolicy),
+    gapClick: sanitizeGapSettings(data.gapClick || {}),
+    countIn: sanitizeCountInSettings(data.countIn || {}),
+  };
+}
+
+/**
+ * Retrieves a routine by name, re-sanitized so fields added since it was
+ * saved come back with their defaults.
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getRoutine(name) {
+  if (!name) return null;
+  return sanitizeRoutine(_getRaw()[name.trim()]);
+}
+
+/**
+ * @returns {string[]} Routine names, alphabetically
+ */
+export function getAllRoutineNames() {
+  return Object.keys(_getRaw()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * @returns {Object} Map of name -> routine (used by the library backup)
+ */
+export function getAllRoutines() {
+  return _getRaw();
+}
+
+/**
+ * Saves a routine under a name, replacing any routine of the same name.
+ *
+ * @param {string} name
+ * @param {Object} data - Routine fields (sanitized before storing)
+ * @returns {{success: boolean, error: string|null}} error is "INVALID",
+ *   "FULL" or "QUOTA_EXCEEDED"
+ */
+export function saveRoutine(name, data) {
+  const trimmedName = (name || "").trim();
+  const routine = sanitizeRoutine(data);
+  if (!trimmedName || !routine) return { success: false, error: "INVALID" };
+
+  const routines = _getRaw();
+  if (!routines[trimmedName] && Object.keys(routines).length >= MAX_ROUTINES) {
+    return { success: false, error: "FULL" };
+  }
+
+  routines[trimmedName] = { ...routine, updatedAt: Date.now() };
+  if (!_persist(routines)) return { success: false, error: "QUOTA_EXCEEDED" };
+
+  debugLog("state", `📋 Saved routine: ${trimmedName}`);
+  return { success: true, error: null };
+}
+
+/**
+ * Deletes a saved routine.
+ * @param {string} name
+ */
+export function deleteRoutine(name) {
+  if (!name) return;
+  const routines = _getRaw();
+  delete routines[name.trim()];
+  _persist(routines);
+  debugLog("state", `🗑️ Deleted routine: ${name}`);
+}
+
+/**
+ * Pre-import analysis for the routines of a library bundle.
+ * Same shape as grooveStorage.getImportReport(); routines identical to
+ * the stored ones are ignored silently.
+ *
+ * @param {Object} [incoming] - The 'routines' object from the bundle
+ * @returns {{validIncoming: string[], collisions: string[], newItems: string[], identicalIgnored: number, canFit: boolean}}
+ */
+export function getRoutineImportReport(incoming) {
+  const report = {
+    validIncoming: [],
+    collisions: [],
+    newItems: [],
+    identicalIgnored: 0,
+    canFit: true,
+  };
+  if (!incoming || typeof incoming !== "object") return report;
+
+  const current = _getRaw();
+  Object.entries(incoming).forEach(([name, data]) => {
+    const routine = sanitizeRoutine(data);
+    const trimmedName = name.trim();
+    if (!routine || !trimmedName) return;
+
+    const existing = current[trimmedName];
+    if (existing) {
+      // Compare normalized copies so updatedAt is ignored
+      const stored = sanitizeRoutine(existing);
+      if (JSON.stringify(stored) === JSON.stringify(routine)) {
+        report.identicalIgnored++;
+        return;
+      }
+      report.collisions.push(name);
+    } else {
+      report.newItems.push(name);
+    }
+    report.validIncoming.push(name);
+  });
+
+  report.canFit =
+    report.newItems.length <= MAX_ROUTINES - Object.keys(current).length;
+  return report;
+}
+
+/**
+ * Commits a selection of imported routines to storage.
+ *
+ * @param {Object} [incoming] - The 'routines' object from the bundle
+ * @param {string[]} namesToImport - Names the user agreed to import
+ * @returns {number} Count of routines stored
+ */
+export function commitRoutineImport(incoming, namesToImport) {
+  if (!incoming || namesToImport.length === 0) return 0;
+
+  const routines = _getRaw();
+  let addedCount = 0;
+  namesToImport.forEach((name) => {
+    const routine = sanitizeRoutine(incoming[name]);
+    if (!routine) return;
+    routines[name.trim()] = { ...routine, updatedAt: Date.now() };
+    addedCount++;
+  });
+
+  if (!_persist(routines)) return 0;
+  debugLog("state", `📥 Import Complete: ${addedCount} routines committed.`);
+  return addedCount;
+}
@@ -4,17 +4,12 @@
  */
 
 import { ensureAudio } from "./audioProfiles.js";
+import { KIT } from "./drumKit.js";
 import { debugLog } from "./debug.js";
 
 const SAMPLE_PATH = "./assets/audio/";
-const SAMPLES = {
-  kick: "kick.wav",
-  snare: "snare.wav",
-  hihat: "hh_closed.wav",
-  HHPed: "hh_pedal.wav",
-  xstick: "snare_xstick.wav",
-};
 
+// Decoded buffers keyed by file name (several kit tracks may share one WAV)
 const _bufferCache = {};
 
 /**
@@ -24,19 +19,19 @@ const _bufferCache = {};
  * @returns {Promise<void>}
  */
 export async function loadDrumSamples() {
-  const keys = Object.keys(SAMPLES);
+  const files = [...new Set(Object.values(KIT).map((t) => t.sample))];
 
-  const loadTasks = keys.map(async (key) => {
+  const loadTasks = files.map(async (file) => {
     try {
-      const response = await fetch(`${SAMPLE_PATH}${SAMPLES[key]}`);
+      const response = await fetch(`${SAMPLE_PATH}${file}`);
       const arrayBuffer = await response.arrayBuffer();
 
       const ctx = ensureAudio();
       const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-      _bufferCache[key] = audioBuffer;
-      debugLog("audio", `✅ Sample Loaded: ${key}`);
+      _bufferCache[file] = audioBuffer;
+      debugLog("audio", `✅ Sample Loaded: ${file}`);
     } catch (e) {
-      console.error(`❌ Failed to load sample [${key}]:`, e);
+      console.error(`❌ Failed to load sample [${file}]:`, e);
     }
   });
 
@@ -45,7 +40,9 @@ export async function loadDrumSamples() {
 
 /**
  * Returns the cached AudioBuffer for a specific instrument.
+ * @param {string} key - Kit track ID (see drumKit.KIT)
  */
 export function getSampleBuffer(key) {
-  return _bufferCache[key] || null;
+  const file = KIT[key]?.sample;
+  return (file && _bufferCache[file]) || null;
 }
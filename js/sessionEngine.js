@@ -12,6 +12,22 @@ import { animateTextUpdate } from "./uiController.js";
 import * as grooveStorage from "./grooveStorage.js";
 import { patternScheduler } from "./patternScheduler.js";
 import { getActiveModeOwner, setActiveModeOwner } from "./ownership.js";
+import {
+  createTempoPicker,
+  recordTempoOutcome,
+  sanitizeTempoStrategy,
+  rateCycle,
+} from "./tempoStrategy.js";
+import { createGroovePicker, sanitizeGroovePolicy } from "./grooveSelection.js";
+import { AUDIO, DEFAULTS, STORAGE_KEYS } from "./constants.js";
+import * as practiceLog from "./practiceLog.js";
+import {
+  getCountInSettings,
+  buildCountInSteps,
+  getCountInIntervalMs,
+} from "./countIn.js";
+import { getUpNextSeconds, showUpNext, hideUpNext } from "./ui/upNext.js";
+import { getStoredGrouping, presetTakesGrouping } from "./meterGrouping.js";
 
 // === Internal State ===
 let metronome = {};
@@ -19,6 +35,11 @@ let ui = {};
 let sessionConfig = {};
 let timers = {};
 let flags = {};
+let tempoPicker = createTempoPicker("random"); // Replaced at session start
+let groovePicker = createGroovePicker("random"); // Replaced at session start
+let simple = {}; // Simple metronome controls, used by practice plans
+let planState = null; // Running practice plan
+let activeSegment = null; // Groove segment the current session belongs to
 
 /**
  * Initializes the session engine with metronome and UI dependencies.
@@ -26,16 +47,21 @@ let flags = {};
  * @param {Object} deps - Dependency injection object
  * @param {Object} deps.metronome - Metronome core functions
  * @param {Object} deps.ui - UI element references
+ * @param {Object} [deps.simple] - Simple metronome start/stop/isPaused,
+ *   needed to run practice plans
  * @returns {void}
  */
 export function initSessionEngine(deps) {
   // Store injected dependencies
   metronome = deps.metronome;
   ui = deps.ui;
+  simple = deps.simple || {};
 
   // Config options
   sessionConfig = {
     tempoSynced: false,
+    tempoStrategy: "random",
+    groovePolicy: "random",
   };
 
   // Session state flags
@@ -45,10 +71,14 @@ export function initSessionEngine(deps) {
     isCountingIn: false,
     isFinishingBar: false,
     sessionEnding: false,
+    hasCountedIn: false, // Set once the session's first count-in ran
     cyclesDone: 0,
     remaining: 0,
     pausedRemaining: 0,
     sessionRemaining: 0,
+    currentGroove: null,
+    currentBpm: null,
+    upNext: null, // {bpm, groove} pre-drawn for the following cycle
   };
 
   // Timer handles
@@ -57,6 +87,7 @@ export function initSessionEngine(deps) {
     sessionTimer: null,
     sessionInterval: null,
     visualCountdownTimer: null,
+    ratingTimer: null,
   };
 
   // Read persisted tempoSynced preference
@@ -84,6 +115,56 @@ export function initSessionEngine(deps) {
       "⚠️ tempoSyncedToggle not found — no UI toggle available"
     );
   }
+
+  // Which BPM and which groove each cycle plays
+  _bindSessionSelect(
+    "tempoStrategySelect",
+    "tempoStrategy",
+    STORAGE_KEYS.TEMPO_STRATEGY,
+    sanitizeTempoStrategy
+  );
+  _bindSessionSelect(
+    "grooveSelectionSelect",
+    "groovePolicy",
+    STORAGE_KEYS.GROOVE_POLICY,
+    sanitizeGroovePolicy
+  );
+
+  // Self-rating buttons shown after a cycle under the "adaptive" strategy
+  document.getElementById("tempoRating")?.addEventListener("click", (e) => {
+    const rating = e.target.dataset?.rating;
+    if (rating) _applyRating(rating);
+  });
+
+  // Stopping the simple metronome by hand ends a plan's metronome segment
+  document.addEventListener("simpleMetronome:state", (e) => {
+    const segment = planState?.segments[planState.index];
+    if (segment?.type === "simple" && !planState.handoff && !e.detail.running)
+      _finishPlan("stopped");
+  });
+}
+
+/**
+ * Restores a persisted session option and keeps its <select> in sync.
+ *
+ * @private
+ * @param {string} id - Select element ID
+ * @param {string} configKey - Key in sessionConfig
+ * @param {string} storageKey - localStorage key
+ * @param {Function} sanitize - Maps any stored value to a valid option
+ * @returns {void}
+ */
+function _bindSessionSelect(id, configKey, storageKey, sanitize) {
+  sessionConfig[configKey] = sanitize(localStorage.getItem(storageKey));
+  const el = document.getElementById(id);
+  if (!el) return;
+
+  el.value = sessionConfig[configKey];
+  el.onchange = () => {
+    sessionConfig[configKey] = sanitize(el.value);
+    localStorage.setItem(storageKey, sessionConfig[configKey]);
+    debugLog("state", `${configKey} set to ${sessionConfig[configKey]}`);
+  };
 }
 
 /**
@@ -137,6 +218,15 @@ export function startSession() {
   flags.isPaused = false;
   flags.cyclesDone = 0;
   flags.sessionEnding = false;
+  flags.hasCountedIn = false;
+
+  _beginPracticeRecord();
+
+  _hideRatingPrompt(); // A new session starts unrated
+
+  // Fresh pickers so ladders and shuffle bags start over
+  tempoPicker = createTempoPicker(sessionConfig.tempoStrategy);
+  groovePicker = createGroovePicker(sessionConfig.groovePolicy);
 
   // Disable controls during count-in
   ui.startBtn.disabled = true;
@@ -148,18 +238,19 @@ export function startSession() {
   document.getElementById("groovePresetSelect").disabled = true;
   document.getElementById("grooveCustomNumerator").disabled = true;
   document.getElementById("grooveCustomDenominator").disabled = true;
+  document.getElementById("grooveCustomGrouping").disabled = true;
   document.getElementById("grooveSubdivisionSelect").disabled = true;
+  ["tempoStrategySelect", "grooveSelectionSelect"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.disabled = true;
+  });
 
   runCycle(); // handles count-in and re-enables buttons
 
   // Handle time-based session countdown
-  const mode = ui.sessionModeEl.value;
-  if (mode === "time") {
-    const totalValue = parseInt(ui.totalTimeEl.value);
-    const totalUnit = ui.totalTimeUnitEl.value;
-    const totalSeconds = utils.convertToSeconds(totalValue, totalUnit);
-
-    flags.sessionRemaining = totalSeconds;
+  const setup = _getSessionSetup();
+  if (setup.mode === "time") {
+    flags.sessionRemaining = setup.totalSeconds;
     if (ui.sessionCountdownEl)
       ui.sessionCountdownEl.textContent = utils.formatTime(
         flags.sessionRemaining
@@ -207,7 +298,10 @@ export function startSession() {
             );
             setFinishingBar(false);
             flags.sessionEnding = false;
-            stopSession("✅ Session complete (time limit reached)");
+            stopSession(
+              "✅ Session complete (time limit reached)",
+              "completed"
+            );
             ui.startBtn.textContent = "Start";
             ui.startBtn.disabled = false;
             ui.pauseBtn.disabled = true;
@@ -219,7 +313,7 @@ export function startSession() {
           );
           setFinishingBar(false);
           flags.sessionEnding = false;
-          stopSession("✅ Session complete (time limit reached)");
+          stopSession("✅ Session complete (time limit reached)", "completed");
           ui.startBtn.textContent = "Start";
           ui.startBtn.disabled = false;
           ui.pauseBtn.disabled = true;
@@ -249,11 +343,13 @@ export function pauseSession() {
     // ▶️ Resume
     flags.isPaused = false;
     metronome.resumeMetronome();
+    practiceLog.logResume();
 
     timers.activeTimer = setInterval(() => {
       if (flags.isPaused) return;
       flags.remaining--;
       ui.countdownEl.textContent = utils.formatTime(flags.remaining);
+      _checkUpNext();
 
       if (flags.remaining <= 0) {
         clearInterval(timers.activeTimer);
@@ -286,6 +382,7 @@ export function pauseSession() {
     // ⏸️ Pause
     flags.isPaused = true;
     metronome.pauseMetronome();
+    practiceLog.logPause();
 
     clearInterval(timers.activeTimer);
     flags.pausedRemaining = flags.remaining;
@@ -311,7 +408,21 @@ export function nextCycle() {
     return;
   }
 
+  // Waiting for a self-rating: Next just stops waiting
+  if (timers.ratingTimer) {
+    _runRatedCycle();
+    return;
+  }
+
   debugLog("state", "⏭️ Skipping to next cycle");
+  recordTempoOutcome(flags.currentGroove, flags.currentBpm, "skipped");
+  practiceLog.logResume(); // Skipping also ends a pause
+  practiceLog.logCycleEnd("skipped");
+  // A skip still ends the session once its time is up
+  _emitCycleEnd(
+    "skipped",
+    _getSessionSetup().mode === "time" && flags.sessionEnding
+  );
 
   metronome.pauseMetronome();
   metronome.resetPlaybackFlag(); // ✅ allows clean restart
@@ -330,9 +441,11 @@ export function nextCycle() {
  * Stops the session gracefully.
  *
  * @param {string} [message=''] - Reason for stopping
+ * @param {"completed"|"stopped"} [endReason="stopped"] - Recorded in the practice log
  * @returns {void}
  */
-export function stopSession(message = "") {
+export function stopSession(message = "", endReason = "stopped") {
+  practiceLog.endSession(endReason);
   // Ownership release: clear active mode owner
   setActiveModeOwner(null);
   document.dispatchEvent(
@@ -347,6 +460,7 @@ export function stopSession(message = "") {
   flags.remaining = 0;
   flags.pausedRemaining = 0;
   flags.sessionRemaining = 0;
+  _clearUpNext();
 
   // Release ownership so other modes can start
   setActiveModeOwner(null);
@@ -355,6 +469,8 @@ export function stopSession(message = "") {
 
   clearInterval(timers.activeTimer);
   clearTimeout(timers.sessionTimer);
+  clearTimeout(timers.ratingTimer);
+  timers.ratingTimer = null;
   if (timers.sessionInterval) clearInterval(timers.sessionInterval);
   timers.sessionInterval = null;
 
@@ -387,8 +503,14 @@ export function stopSession(message = "") {
     document.getElementById("grooveCustomNumerator").disabled = false;
   if (document.getElementById("grooveCustomDenominator"))
     document.getElementById("grooveCustomDenominator").disabled = false;
+  if (document.getElementById("grooveCustomGrouping"))
+    document.getElementById("grooveCustomGrouping").disabled = false;
   if (document.getElementById("grooveSubdivisionSelect"))
     document.getElementById("grooveSubdivisionSelect").disabled = false;
+  if (document.getElementById("tempoStrategySelect"))
+    document.getElementById("tempoStrategySelect").disabled = false;
+  if (document.getElementById("grooveSelectionSelect"))
+    document.getElementById("grooveSelectionSelect").disabled = false;
 
   if (ui.countdownEl) ui.countdownEl.textContent = "";
   if (ui.sessionCountdownEl) ui.sessionCountdownEl.textContent = "";
@@ -400,6 +522,197 @@ export function stopSession(message = "") {
   debugLog("state", message || "Session stopped");
   // Re-enable groove slider when session stops
   toggleGrooveSliderDisabled(false);
+
+  // A plan's groove segment hands over once its time is up
+  if (activeSegment) {
+    activeSegment = null;
+    if (endReason === "completed") {
+      // Deferred so the caller's button resets don't touch the next segment
+      setTimeout(_advancePlan, 0);
+    } else {
+      _finishPlan("stopped");
+    }
+  }
+}
+
+// === Practice Plans ===
+
+/**
+ * Runs a practice plan: each segment plays for its length, then hands over
+ * to the next. Metronome segments run on the simple core and groove
+ * segments as groove sessions; ownership passes between them through
+ * ownership.js. Progress is broadcast as `practicePlan:progress`.
+ *
+ * @param {Object[]} segments - Sanitized segments from practicePlan.js
+ * @returns {boolean} False if a plan or another mode is already running
+ */
+export function startPlan(segments) {
+  const owner = getActiveModeOwner();
+  if (planState || owner || !segments.length) {
+    debugLog("ownership", `⚠️ Cannot start plan: owner is ${owner}`);
+    return false;
+  }
+
+  planState = {
+    segments,
+    index: -1,
+    remaining: 0,
+    handoff: false, // True while the engine itself stops the simple core
+    ticker: setInterval(_tickPlan, 1000),
+  };
+  debugLog("state", `🗺️ Practice plan started (${segments.length} segments)`);
+  _advancePlan();
+  return true;
+}
+
+/**
+ * Stops the running plan and whatever segment is playing.
+ *
+ * @returns {void}
+ */
+export function stopPlan() {
+  if (!planState) return;
+  const segment = planState.segments[planState.index];
+
+  if (segment?.type === "groove" && flags.sessionActive) {
+    if (flags.isCountingIn || flags.isFinishingBar) return;
+    stopSession("🛑 Practice plan stopped"); // Ends the plan via activeSegment
+    return;
+  }
+
+  planState.handoff = true;
+  simple.stop?.();
+  _finishPlan("stopped");
+}
+
+/**
+ * @returns {{index: number, total: number, segment: Object, remaining: number}|null}
+ *   Progress of the running plan, or null when idle
+ */
+export function getPlanProgress() {
+  if (!planState) return null;
+  return {
+    index: planState.index,
+    total: planState.segments.length,
+    segment: planState.segments[planState.index] || null,
+    remaining: planState.remaining,
+  };
+}
+
+/**
+ * Starts the next segment, or finishes the plan after the last one.
+ * @private
+ */
+function _advancePlan() {
+  if (!planState) return;
+
+  // Close a metronome segment; groove segments have already stopped
+  const previous = planState.segments[planState.index];
+  if (previous?.type === "simple") {
+    planState.handoff = true;
+    simple.stop?.("completed");
+    planState.handoff = false;
+  }
+
+  planState.index++;
+  const segment = planState.segments[planState.index];
+  if (!segment) {
+    _finishPlan("completed");
+    return;
+  }
+
+  planState.remaining = segment.minutes * 60;
+  debugLog(
+    "state",
+    `🗺️ Plan segment ${planState.index + 1}/${planState.segments.length}: ${segment.type}`
+  );
+
+  if (segment.type === "simple") {
+    Promise.resolve(
+      simple.start?.({
+        bpm: segment.bpm,
+        plan: `${planState.index + 1}/${planState.segments.length}`,
+      })
+    ).then((ok) => {
+      if (!ok) _finishPlan("stopped");
+    });
+  } else {
+    activeSegment = segment;
+    if (startSession() === false) {
+      activeSegment = null;
+      _finishPlan("stopped");
+    }
+  }
+  _emitPlanProgress();
+}
+
+/**
+ * One-second plan clock. Groove segments mirror the session countdown;
+ * metronome segments count down here and skip while paused.
+ * @private
+ */
+function _tickPlan() {
+  const segment = planState?.segments[planState.index];
+  if (!segment) return;
+
+  if (segment.type === "groove") {
+    if (flags.sessionActive) planState.remaining = flags.sessionRemaining;
+  } else {
+    if (simple.isPaused?.()) return;
+    planState.remaining--;
+    if (planState.remaining <= 0) {
+      _advancePlan();
+      return;
+    }
+  }
+  _emitPlanProgress();
+}
+
+/**
+ * Clears plan state and reports how it ended.
+ * @private
+ * @param {"completed"|"stopped"} reason
+ */
+function _finishPlan(reason) {
+  if (!planState) return;
+  clearInterval(planState.ticker);
+  planState = null;
+
+  showNotice(
+    reason === "completed"
+      ? "✅ Practice plan complete"
+      : "🛑 Practice plan stopped"
+  );
+  debugLog("state", `🗺️ Practice plan ${reason}`);
+  document.dispatchEvent(
+    new CustomEvent("practicePlan:progress", {
+      detail: { running: false, reason },
+    })
+  );
+}
+
+/**
+ * Tells listeners (tap-along accuracy, e-kit scoring) that a groove cycle
+ * has ended.
+ *
+ * @param {"completed"|"skipped"} outcome
+ * @param {boolean} last - No cycle follows: the session stops next
+ * @private
+ */
+function _emitCycleEnd(outcome, last) {
+  document.dispatchEvent(
+    new CustomEvent("groove:cycleEnd", { detail: { outcome, last } })
+  );
+}
+
+/** @private */
+function _emitPlanProgress() {
+  if (!planState) return;
+  document.dispatchEvent(
+    new CustomEvent("practicePlan:progress", {
+      detail: { running: true, ...getPlanProgress() },
+    })
+  );
 }
 
 // === Internal Helpers ===
@@ -409,7 +722,7 @@ export function stopSession(message = "") {
  *
  * This is the heart of the session engine - it:
  * - Sanitizes BPM range
- * - Randomizes groove and tempo
+ * - Picks groove and tempo via the session's selection policy and tempo strategy
  * - Plays count-in (if enabled)
  * - Starts metronome
  * - Manages cycle countdown
@@ -432,110 +745,26 @@ function runCycle() {
     );
   }
 
-  const mode = ui.sessionModeEl.value;
-  const cyclesLimit = parseInt(ui.totalCyclesEl.value);
+  const setup = _getSessionSetup();
 
-  if (mode === "cycles" && flags.cyclesDone >= cyclesLimit) {
-    stopSession("✅ Session complete (cycles limit reached)");
+  if (setup.mode === "cycles" && flags.cyclesDone >= setup.totalCycles) {
+    stopSession("✅ Session complete (cycles limit reached)", "completed");
     ui.startBtn.textContent = "Start";
     ui.startBtn.disabled = false;
     ui.pauseBtn.disabled = true;
     return;
   }
-  if (mode === "time" && flags.sessionEnding) {
-    stopSession("✅ Session complete (time limit reached)");
+  if (setup.mode === "time" && flags.sessionEnding) {
+    stopSession("✅ Session complete (time limit reached)", "completed");
     return;
   }
 
-  // Determine BPM range and grid anchor based on current mode.
-  // Advanced Mode: clamp only, anchor-relative grid, play-time gap correction.
-  // Simple Mode: existing sanitizeBpmRange path unchanged (0-anchored, step=5).
-  let bpm, groove;
-
-  if (isAdvancedMode()) {
-    let bpmMin = Math.max(
-      30,
-      Math.min(300, parseInt(ui.bpmMinEl.value, 10) || 30)
-    );
-    let bpmMax = Math.max(
-      30,
-      Math.min(300, parseInt(ui.bpmMaxEl.value, 10) || 60)
-    );
-    const step = utils.QUANTIZATION.groove;
+  // The last seconds of the previous cycle may already have drawn this one
+  const { bpm, groove } = flags.upNext || _drawCycle();
+  _clearUpNext();
 
-    if (bpmMin >= bpmMax) {
-      // Degenerate range — safety net, should not reach here given checkGrooveMargin
-      bpmMax = Math.min(bpmMin + step, 300);
-      if (bpmMax === bpmMin) bpmMin = Math.max(bpmMax - step, 30);
-      ui.bpmMinEl.value = bpmMin;
-      ui.bpmMinEl.dataset.lastValidValue = String(bpmMin);
-      ui.bpmMaxEl.value = bpmMax;
-      ui.bpmMaxEl.dataset.lastValidValue = String(bpmMax);
-      showNotice(`⚠️ BPM range corrected to ${bpmMin}–${bpmMax}`);
-    } else if (bpmMax - bpmMin < step) {
-      // Gap too narrow for one step — apply same decision tree as _correctMarginIfViolated
-      const anchorDir = getGrooveAnchor();
-      if (anchorDir === "min") {
-        const candidate = bpmMin + step;
-        if (candidate <= 300) {
-          bpmMax = candidate;
-        } else {
-          bpmMin = 300 - step;
-          bpmMax = 300;
-        }
-      } else {
-        const candidate = bpmMax - step;
-        if (candidate >= 30) {
-          bpmMin = candidate;
-        } else {
-          bpmMax = 30 + step;
-          bpmMin = 30;
-        }
-      }
-      ui.bpmMinEl.value = bpmMin;
-      ui.bpmMinEl.dataset.lastValidValue = String(bpmMin);
-      ui.bpmMaxEl.value = bpmMax;
-      ui.bpmMaxEl.dataset.lastValidValue = String(bpmMax);
-      showNotice(`🎚️ BPM range expanded to ${bpmMin}–${bpmMax} (step=${step})`);
-    }
-
-    const anchorDir = getGrooveAnchor();
-    const anchorValue = anchorDir === "max" ? bpmMax : bpmMin;
-    ({ bpm, groove } = utils.randomizeGroove(
-      ui.groovesEl.value,
-      bpmMin,
-      bpmMax,
-      anchorValue,
-      anchorDir
-    ));
-  } else {
-    // Simple Mode: use existing sanitizeBpmRange path unchanged
-    const originalMin = parseInt(ui.bpmMinEl.value);
-    const originalMax = parseInt(ui.bpmMaxEl.value);
-    const {
-      bpmMin,
-      bpmMax,
-      step: quantStep,
-    } = utils.sanitizeBpmRange(
-      ui.bpmMinEl.value,
-      ui.bpmMaxEl.value,
-      utils.QUANTIZATION.groove
-    );
-    ui.bpmMinEl.value = bpmMin;
-    ui.bpmMaxEl.value = bpmMax;
-    if (bpmMin !== originalMin || bpmMax !== originalMax) {
-      showNotice(
-        `🎚️ BPM range adjusted to ${bpmMin}–${bpmMax} (step=${quantStep})`
-      );
-    }
-    ({ bpm, groove } = utils.randomizeGroove(
-      ui.groovesEl.value,
-      bpmMin,
-      bpmMax,
-      null,
-      "min"
-    ));
-  }
+  flags.currentGroove = groove;
+  flags.currentBpm = bpm;
 
   // update the UI to reflect current groove and BPM
   animateTextUpdate(
@@ -546,7 +775,7 @@ function runCycle() {
   // --- Resolve and load pattern if it exists ---
   const pattern = grooveStorage.getGroovePattern(groove);
   if (pattern) {
-    patternScheduler.load(pattern);
+    patternScheduler.load(pattern, groove);
 
     // Apply Pattern Sovereignty: Override Metronome Core rhythm
     const pTS = pattern.patternTimeSignature || {};
@@ -554,6 +783,8 @@ function runCycle() {
     const value = parseInt(pTS.value, 10) || 4;
     metronome.setTimeSignature(beats, value);
     metronome.setTicksPerBeat(pattern.ticksPerBeat || 1);
+    metronome.setGrouping(grooveStorage.getPatternGrouping(pattern));
+    metronome.setSwing(grooveStorage.getPatternSwing(pattern));
     // disable default UI controls that would conflict with pattern settings
     _toggleGlobalRhythmLock(true);
 
@@ -582,17 +813,27 @@ function runCycle() {
       const [beats, value] = presetEl.value.split("/").map(Number);
       metronome.setTimeSignature(beats, value);
     }
+    metronome.setGrouping(
+      presetTakesGrouping(presetEl.value)
+        ? getStoredGrouping(metronome.getTimeSignature())
+        : null
+    );
     metronome.setTicksPerBeat(parseInt(subEl.value, 10));
+    metronome.setSwing(DEFAULTS.SWING); // Swing belongs to patterns
     // Re-enable UI controls in case they were disabled by a pattern with sovereignty
     _toggleGlobalRhythmLock(false);
 
     debugLog("audio", "🍃 Global Sovereignty: Restored UI rhythmic settings");
   }
 
-  const durationValue = parseInt(ui.cycleDurationEl.value);
-  const durationUnit = ui.cycleUnitEl.value;
-  flags.remaining =
-    durationUnit === "minutes" ? durationValue * 60 : durationValue;
+  practiceLog.logCycleStart({
+    groove,
+    bpm,
+    timeSignature: metronome.getTimeSignature(),
+    ticksPerBeat: metronome.getTicksPerBeat(),
+  });
+
+  flags.remaining = setup.cycleSeconds;
 
   const startAfterCountIn = () => {
     metronome.startMetronome(bpm); // ✅ now allowed to start again
@@ -611,6 +852,7 @@ function runCycle() {
       if (flags.isPaused) return;
       flags.remaining--;
       ui.countdownEl.textContent = utils.formatTime(flags.remaining);
+      _checkUpNext();
 
       if (flags.remaining <= 0) {
         clearInterval(timers.activeTimer);
@@ -644,19 +886,38 @@ function runCycle() {
     timers.visualCountdownTimer = null;
   }
 
-  let step = 3;
-  const interval = sessionConfig.tempoSynced ? 60000 / bpm : 1000;
   // Claim ownership so UI can block other modes during count-in and playback
   setActiveModeOwner("groove");
+
+  // Later cycles may go straight in when counting in at session start only
+  const countIn = getCountInSettings();
+  if (countIn.firstCycleOnly && flags.hasCountedIn) {
+    ui.pauseBtn.disabled = false;
+    ui.startBtn.disabled = false;
+    ui.nextBtn.disabled = false;
+    startAfterCountIn();
+    return;
+  }
+  flags.hasCountedIn = true;
+
+  // The count-in follows the meter just applied for this groove
+  const ts = metronome.getTimeSignature();
+  const steps = buildCountInSteps(countIn, ts.beats);
+  const interval = getCountInIntervalMs(
+    bpm,
+    sessionConfig.tempoSynced,
+    ts.value
+  );
+  let step = 0;
   flags.isCountingIn = true;
   ui.pauseBtn.disabled = true;
   ui.startBtn.disabled = true;
   ui.nextBtn.disabled = true;
 
-  showCountdownVisual(step--);
+  showCountdownVisual(steps[step++].label);
 
   timers.visualCountdownTimer = setInterval(() => {
-    if (step === 0) {
+    if (step === steps.length) {
       clearInterval(timers.visualCountdownTimer);
       timers.visualCountdownTimer = null;
 
@@ -672,7 +933,7 @@ function runCycle() {
       return;
     }
 
-    showCountdownVisual(step--);
+    showCountdownVisual(steps[step++].label);
   }, interval);
 
   if (typeof metronome.performCountIn === "function") {
@@ -688,6 +949,156 @@ function runCycle() {
   }
 }
 
+/**
+ * Picks the groove and tempo of a cycle.
+ *
+ * Determines the BPM range and grid anchor based on current mode.
+ * Advanced Mode: clamp only, anchor-relative grid, play-time gap correction.
+ * Simple Mode: existing sanitizeBpmRange path unchanged (0-anchored, step=5).
+ * Grooves whose pattern carries its own range override it (_pickGrooveBpm).
+ *
+ * @private
+ * @returns {{bpm: number, groove: string}}
+ */
+function _drawCycle() {
+  let bpm, groove;
+
+  if (activeSegment) {
+    // Plan segments bring their own grooves and range (sanitized when saved)
+    ({ bpm, groove } = utils.randomizeGroove(
+      activeSegment.grooves,
+      activeSegment.bpmMin,
+      activeSegment.bpmMax,
+      null,
+      "min",
+      _pickGrooveBpm,
+      groovePicker.pick
+    ));
+  } else if (isAdvancedMode()) {
+    let bpmMin = Math.max(
+      30,
+      Math.min(300, parseInt(ui.bpmMinEl.value, 10) || 30)
+    );
+    let bpmMax = Math.max(
+      30,
+      Math.min(300, parseInt(ui.bpmMaxEl.value, 10) || 60)
+    );
+    const step = utils.QUANTIZATION.groove;
+
+    if (bpmMin >= bpmMax) {
+      // Degenerate range — safety net, should not reach here given checkGrooveMargin
+      bpmMax = Math.min(bpmMin + step, 300);
+      if (bpmMax === bpmMin) bpmMin = Math.max(bpmMax - step, 30);
+      ui.bpmMinEl.value = bpmMin;
+      ui.bpmMinEl.dataset.lastValidValue = String(bpmMin);
+      ui.bpmMaxEl.value = bpmMax;
+      ui.bpmMaxEl.dataset.lastValidValue = String(bpmMax);
+      showNotice(`⚠️ BPM range corrected to ${bpmMin}–${bpmMax}`);
+    } else if (bpmMax - bpmMin < step) {
+      // Gap too narrow for one step — apply same decision tree as _correctMarginIfViolated
+      const anchorDir = getGrooveAnchor();
+      if (anchorDir === "min") {
+        const candidate = bpmMin + step;
+        if (candidate <= 300) {
+          bpmMax = candidate;
+        } else {
+          bpmMin = 300 - step;
+          bpmMax = 300;
+        }
+      } else {
+        const candidate = bpmMax - step;
+        if (candidate >= 30) {
+          bpmMin = candidate;
+        } else {
+          bpmMax = 30 + step;
+          bpmMin = 30;
+        }
+      }
+      ui.bpmMinEl.value = bpmMin;
+      ui.bpmMinEl.dataset.lastValidValue = String(bpmMin);
+      ui.bpmMaxEl.value = bpmMax;
+      ui.bpmMaxEl.dataset.lastValidValue = String(bpmMax);
+      showNotice(`🎚️ BPM range expanded to ${bpmMin}–${bpmMax} (step=${step})`);
+    }
+
+    const anchorDir = getGrooveAnchor();
+    const anchorValue = anchorDir === "max" ? bpmMax : bpmMin;
+    ({ bpm, groove } = utils.randomizeGroove(
+      ui.groovesEl.value,
+      bpmMin,
+      bpmMax,
+      anchorValue,
+      anchorDir,
+      _pickGrooveBpm,
+      groovePicker.pick
+    ));
+  } else {
+    // Simple Mode: use existing sanitizeBpmRange path unchanged
+    const originalMin = parseInt(ui.bpmMinEl.value);
+    const originalMax = parseInt(ui.bpmMaxEl.value);
+    const {
+      bpmMin,
+      bpmMax,
+      step: quantStep,
+    } = utils.sanitizeBpmRange(
+      ui.bpmMinEl.value,
+      ui.bpmMaxEl.value,
+      utils.QUANTIZATION.groove
+    );
+    ui.bpmMinEl.value = bpmMin;
+    ui.bpmMaxEl.value = bpmMax;
+    if (bpmMin !== originalMin || bpmMax !== originalMax) {
+      showNotice(
+        `🎚️ BPM range adjusted to ${bpmMin}–${bpmMax} (step=${quantStep})`
+      );
+    }
+    ({ bpm, groove } = utils.randomizeGroove(
+      ui.groovesEl.value,
+      bpmMin,
+      bpmMax,
+      null,
+      "min",
+      _pickGrooveBpm,
+      groovePicker.pick
+    ));
+  }
+
+  return { bpm, groove };
+}
+
+/**
+ * Pre-draws the following cycle once the current one enters its last
+ * seconds, so the player sees what comes next. runCycle plays the drawn
+ * groove and tempo instead of drawing again.
+ * @private
+ */
+function _checkUpNext() {
+  const seconds = getUpNextSeconds();
+  if (flags.upNext || seconds === 0 || flags.remaining > seconds) return;
+  if (flags.remaining <= 0 || !_hasNextCycle()) return;
+  // Adaptive tempos wait for the rating at the end of this cycle
+  if (sessionConfig.tempoStrategy === "adaptive") return;
+
+  flags.upNext = _drawCycle();
+  const { groove, bpm } = flags.upNext;
+  showUpNext(groove, bpm, grooveStorage.getGroovePattern(groove));
+  debugLog("state", `⏭️ Up next: ${groove} @ ${bpm} BPM`);
+}
+
+/**
+ * @private
+ * @returns {boolean} True if another cycle follows the current one
+ */
+function _hasNextCycle() {
+  return utils.hasNextCycle(_getSessionSetup(), flags);
+}
+
+/** @private */
+function _clearUpNext() {
+  flags.upNext = null;
+  hideUpNext();
+}
+
 /**
  * Called after a cycle finishes — updates state and starts next if needed.
  *
@@ -706,31 +1117,192 @@ function runCycle() {
 export function completeCycle() {
   debugLog("state", `Cycle complete: ${flags.cyclesDone + 1}`);
   setFinishingBar(false);
+  recordTempoOutcome(flags.currentGroove, flags.currentBpm, "completed");
+  practiceLog.logCycleEnd("completed");
   flags.cyclesDone++;
   ui.cyclesDoneEl.textContent = flags.cyclesDone;
 
-  const mode = ui.sessionModeEl.value;
-  const cyclesLimit = parseInt(ui.totalCyclesEl.value);
+  const setup = _getSessionSetup();
+  _emitCycleEnd(
+    "completed",
+    (setup.mode === "cycles" && flags.cyclesDone >= setup.totalCycles) ||
+      (setup.mode === "time" && flags.sessionEnding)
+  );
+  const adaptive = sessionConfig.tempoStrategy === "adaptive";
+  if (adaptive) _showRatingPrompt(flags.currentGroove, flags.currentBpm);
 
-  if (mode === "cycles" && flags.cyclesDone >= cyclesLimit) {
-    stopSession("✅ Session complete (cycles limit reached)");
+  if (setup.mode === "cycles" && flags.cyclesDone >= setup.totalCycles) {
+    stopSession("✅ Session complete (cycles limit reached)", "completed");
     ui.startBtn.textContent = "Start";
     ui.startBtn.disabled = false;
     ui.pauseBtn.disabled = true;
     return;
   }
 
-  if (mode === "time" && flags.sessionEnding) {
-    stopSession("✅ Session complete (time limit reached)");
+  if (setup.mode === "time" && flags.sessionEnding) {
+    stopSession("✅ Session complete (time limit reached)", "completed");
     ui.startBtn.textContent = "Start";
     ui.startBtn.disabled = false;
     ui.pauseBtn.disabled = true;
     return;
   }
 
+  if (adaptive) {
+    // The answer moves the working tempo, so draw the next cycle after it.
+    // Stop stays available while waiting (stopSession clears the timer).
+    ui.startBtn.textContent = "Stop";
+    ui.startBtn.disabled = false;
+    timers.ratingTimer = setTimeout(_runRatedCycle, AUDIO.RATING_WAIT_MS);
+    return;
+  }
   runCycle(); // Start next cycle
 }
 
+/**
+ * Ends the wait for a self-rating and starts the next cycle.
+ * @private
+ */
+function _runRatedCycle() {
+  clearTimeout(timers.ratingTimer);
+  timers.ratingTimer = null;
+  runCycle();
+}
+
+/**
+ * Asks how the finished cycle went. The next cycle waits up to
+ * `AUDIO.RATING_WAIT_MS` for the answer; unanswered, the prompt stays up
+ * through the next count-in (and after the last cycle) until answered or
+ * replaced.
+ *
+ * @private
+ * @param {string} groove
+ * @param {number} bpm
+ */
+function _showRatingPrompt(groove, bpm) {
+  const prompt = document.getElementById("tempoRating");
+  if (!prompt || !groove) return;
+  prompt.dataset.groove = groove;
+  prompt.dataset.bpm = String(bpm);
+  prompt.querySelector(".tempo-rating-label").textContent =
+    `How was ${groove} at ${bpm}?`;
+  prompt.classList.remove("hidden");
+}
+
+/** @private */
+function _hideRatingPrompt() {
+  document.getElementById("tempoRating")?.classList.add("hidden");
+}
+
+/**
+ * Moves the rated groove's working tempo for its future cycles.
+ * @private
+ * @param {string} rating - Key of CYCLE_RATINGS
+ */
+function _applyRating(rating) {
+  const prompt = document.getElementById("tempoRating");
+  const { groove, bpm } = prompt.dataset;
+  const step = utils.sanitizeQuantizationStep(utils.QUANTIZATION.groove);
+  const next = rateCycle(groove, parseInt(bpm, 10), rating, step);
+  _hideRatingPrompt();
+  if (next !== null) showNotice(`🎯 ${groove}: working tempo ${next} BPM`);
+  if (timers.ratingTimer) _runRatedCycle();
+}
+
+/**
+ * Tempo pick for the drawn groove. A pattern with its own BPM range plays
+ * on that range's grid, climbing its own ladder; otherwise the session grid
+ * applies.
+ *
+ * @private
+ * @param {number[]} grid - On-grid BPMs of the session range
+ * @param {string} groove - Groove the cycle will play
+ * @returns {number}
+ */
+function _pickGrooveBpm(grid, groove) {
+  const range = grooveStorage.getPatternBpmRange(
+    grooveStorage.getGroovePattern(groove)
+  );
+  if (!range) return tempoPicker.pick(grid, groove);
+
+  const step = utils.sanitizeQuantizationStep(utils.QUANTIZATION.groove);
+  debugLog(
+    "state",
+    `🎯 ${groove} uses its own range ${range.min}-${range.max}`
+  );
+  return tempoPicker.pick(
+    utils.getBpmGrid(range.min, range.max, step, range.min),
+    groove,
+    true
+  );
+}
+
+/**
+ * Session limit and cycle length for the current session: the running
+ * plan segment's, or the panel inputs'.
+ *
+ * @private
+ * @returns {{mode: string, totalCycles: number, totalSeconds: number, cycleSeconds: number}}
+ */
+function _getSessionSetup() {
+  if (activeSegment) {
+    return {
+      mode: "time",
+      totalCycles: 0,
+      totalSeconds: activeSegment.minutes * 60,
+      cycleSeconds: activeSegment.cycleSeconds,
+    };
+  }
+  return {
+    mode: ui.sessionModeEl.value,
+    totalCycles: parseInt(ui.totalCyclesEl.value),
+    totalSeconds: utils.convertToSeconds(
+      ui.totalTimeEl.value,
+      ui.totalTimeUnitEl.value
+    ),
+    cycleSeconds: utils.convertToSeconds(
+      ui.cycleDurationEl.value,
+      ui.cycleUnitEl.value
+    ),
+  };
+}
+
+/**
+ * Opens a practice-log record with the session setup a teacher would
+ * want to see next to the cycles played.
+ *
+ * @private
+ * @returns {void}
+ */
+function _beginPracticeRecord() {
+  if (activeSegment) {
+    practiceLog.beginSession("groove", {
+      limit: "time",
+      cycleDuration: `${activeSegment.cycleSeconds} seconds`,
+      bpmRange: `${activeSegment.bpmMin}-${activeSegment.bpmMax}`,
+      tempoStrategy: sessionConfig.tempoStrategy,
+      groovePolicy: sessionConfig.groovePolicy,
+      totalTime: `${activeSegment.minutes} minutes`,
+      plan: `${planState.index + 1}/${planState.segments.length}`,
+    });
+    return;
+  }
+
+  const limit = ui.sessionModeEl.value;
+  const settings = {
+    limit,
+    cycleDuration: `${ui.cycleDurationEl.value} ${ui.cycleUnitEl.value}`,
+    bpmRange: `${ui.bpmMinEl.value}-${ui.bpmMaxEl.value}`,
+    tempoStrategy: sessionConfig.tempoStrategy,
+    groovePolicy: sessionConfig.groovePolicy,
+  };
+  if (limit === "cycles")
+    settings.totalCycles = parseInt(ui.totalCyclesEl.value);
+  if (limit === "time")
+    settings.totalTime = `${ui.totalTimeEl.value} ${ui.totalTimeUnitEl.value}`;
+
+  practiceLog.beginSession("groove", settings);
+}
+
 /**
  * Toggles the finishing bar badge and disables Next button during final bar.
  *
@@ -755,12 +1327,12 @@ function setFinishingBar(flag) {
 }
 
 /**
- * Updates countdown badge with current step (3, 2, 1).
+ * Updates countdown badge with the current count-in beat.
  *
  * Delegates to visuals.js for animation handling.
  *
  * @private
- * @param {number} step - Count-in step (3, 2, or 1)
+ * @param {number} step - Count-in beat label (3-2-1, or 1-2-3-4 for bars)
  * @returns {void}
  *
  * @example
@@ -783,6 +1355,7 @@ function _toggleGlobalRhythmLock(locked) {
     "groovePresetSelect",
     "grooveCustomNumerator",
     "grooveCustomDenominator",
+    "grooveCustomGrouping",
     "grooveSubdivisionSelect",
   ];
   ids.forEach((id) => {
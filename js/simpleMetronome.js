@@ -8,6 +8,9 @@
 
 import { getActiveModeOwner, setActiveModeOwner } from "./ownership.js";
 import * as simpleCore from "./simpleMetronomeCore.js";
+import * as speedTrainer from "./speedTrainer.js";
+import { parseRatio } from "./polyrhythm.js";
+import * as practiceLog from "./practiceLog.js";
 import { createVisualCallback } from "./visuals.js";
 import { toggleSimpleSliderDisabled } from "./ui/sliders.js";
 import * as utils from "./utils.js";
@@ -20,6 +23,7 @@ let running = false;
 let paused = false;
 let bpm = 120;
 let visualRegistered = false;
+let restoreBpm = null; // Manual BPM to restore after a speed-trainer or plan run
 
 // DOM helpers
 
@@ -54,6 +58,42 @@ function updateSimpleDisplayBpm() {
   }
 }
 
+/**
+ * Advances the speed trainer at each bar line and retimes the core.
+ * Bar 0 is the first bar of the run, so nothing has completed yet.
+ */
+function handleBarStart(barIndex) {
+  if (barIndex === 0 || !speedTrainer.isRampActive()) return;
+
+  // A polyrhythm cycle spans the pulses of its reference (last) layer
+  const sig = simpleCore.getTimeSignature();
+  const layers = parseRatio(simpleCore.getPolyrhythm());
+  const beats = layers ? layers[layers.length - 1] : sig.beats;
+  const barSeconds = (60 / bpm) * (4 / sig.value) * beats;
+  const next = speedTrainer.advanceOnBar(barSeconds);
+  if (next === null) return;
+
+  bpm = next;
+  simpleCore.setBpm(next);
+  updateSimpleDisplayBpm();
+  _logTempoSegment(); // Each ramp stage is its own entry in the journal
+}
+
+/**
+ * Opens a practice-log entry for the current tempo and meter.
+ * @private
+ */
+function _logTempoSegment() {
+  practiceLog.logCycleStart({
+    groove: null,
+    bpm,
+    timeSignature: simpleCore.getTimeSignature(),
+    ticksPerBeat: simpleCore.getTicksPerBeat(),
+  });
+}
+
+simpleCore.registerBarCallback(handleBarStart);
+
 /**
  * Initializes the simple metronome module.
  *
@@ -169,12 +209,17 @@ export function setBpm(newBpm) {
  * Claims ownership and starts audio core.
  *
  * @public
+ * @param {Object} [options={}]
+ * @param {number} [options.bpm] - Fixed tempo for this run (practice plan
+ *   segments); the speed trainer stays off and the manual BPM returns on stop
+ * @param {string} [options.plan] - Plan segment label for the practice log
  * @returns {Promise<boolean>} Success/failure
  *
  * @example
  * await start(); // Starts metronome at current BPM
+ * await start({ bpm: 80, plan: "1/3" }); // Warm-up segment of a plan
  */
-export function start() {
+export function start(options = {}) {
   const owner = getActiveModeOwner();
   if (owner && owner !== "simple") {
     debugLog(
@@ -193,6 +238,19 @@ export function start() {
     new CustomEvent("metronome:ownerChanged", { detail: { owner: "simple" } })
   );
 
+  // start() also resumes a paused run; only a fresh run resets the ramp/log
+  const freshRun = !running;
+
+  // A plan segment or the speed trainer takes over the tempo for this run
+  const useRamp = freshRun && !options.bpm && speedTrainer.isEnabled();
+  if (freshRun && options.bpm) {
+    restoreBpm = bpm;
+    bpm = options.bpm;
+  } else if (useRamp) {
+    restoreBpm = bpm;
+    bpm = speedTrainer.beginRamp();
+  }
+
   // Start audio core
   try {
     if (typeof simpleCore.startMetronome === "function") {
@@ -206,6 +264,15 @@ export function start() {
     return Promise.resolve(false);
   }
 
+  if (freshRun) {
+    const settings = { speedTrainer: useRamp };
+    if (options.plan) settings.plan = options.plan;
+    practiceLog.beginSession("simple", settings);
+    _logTempoSegment();
+  } else {
+    practiceLog.logResume();
+  }
+
   running = true;
   paused = false;
   updateSimpleDisplayBpm();
@@ -220,7 +287,13 @@ export function start() {
   document.getElementById("simplePresetSelect").disabled = true;
   document.getElementById("simpleCustomNumerator").disabled = true;
   document.getElementById("simpleCustomDenominator").disabled = true;
+  document.getElementById("simpleCustomGrouping").disabled = true;
   document.getElementById("simpleSubdivisionSelect").disabled = true;
+  document.getElementById("simplePolyrhythmSelect").disabled = true;
+  document.getElementById("simpleSwingInput").disabled = true;
+  document
+    .querySelectorAll("#simpleBeatAccents button")
+    .forEach((btn) => (btn.disabled = true));
 
   debugLog("audio", "simpleMetronome started at BPM", bpm);
   return Promise.resolve(true);
@@ -240,6 +313,7 @@ export function pause() {
   if (typeof simpleCore.pauseMetronome === "function")
     simpleCore.pauseMetronome();
   paused = true;
+  practiceLog.logPause();
   updateSimpleDisplayBpm();
   document.dispatchEvent(
     new CustomEvent("simpleMetronome:state", {
@@ -265,6 +339,7 @@ export function resume() {
   if (typeof simpleCore.resumeMetronome === "function")
     simpleCore.resumeMetronome();
   paused = false;
+  practiceLog.logResume();
   updateSimpleDisplayBpm();
   document.dispatchEvent(
     new CustomEvent("simpleMetronome:state", {
@@ -280,17 +355,25 @@ export function resume() {
  * Stops the simple metronome and releases ownership.
  *
  * @public
+ * @param {"completed"|"stopped"} [endReason="stopped"] - Recorded in the
+ *   practice log; a plan passes "completed" when the segment's time is up
  * @returns {void}
  *
  * @example
  * stop(); // Stops playback completely
  */
-export function stop() {
+export function stop(endReason = "stopped") {
   if (!running) return;
   if (typeof simpleCore.stopMetronome === "function")
     simpleCore.stopMetronome();
   running = false;
   paused = false;
+  practiceLog.endSession(endReason);
+  if (restoreBpm !== null) {
+    bpm = restoreBpm;
+    restoreBpm = null;
+  }
+  speedTrainer.endRamp();
   updateSimpleDisplayBpm();
   setActiveModeOwner(null);
   // Broadcast canonical owner cleared
@@ -303,11 +386,17 @@ export function stop() {
       detail: { running: false, paused: false },
     })
   );
-  debugLog("audio", "simpleMetronome stopped");
+  debugLog("audio", `simpleMetronome stopped (${endReason})`);
   toggleSliderDisabled(false);
   document.getElementById("simpleBpm").disabled = false;
   document.getElementById("simplePresetSelect").disabled = false;
   document.getElementById("simpleCustomNumerator").disabled = false;
   document.getElementById("simpleCustomDenominator").disabled = false;
+  document.getElementById("simpleCustomGrouping").disabled = false;
   document.getElementById("simpleSubdivisionSelect").disabled = false;
+  document.getElementById("simplePolyrhythmSelect").disabled = false;
+  document.getElementById("simpleSwingInput").disabled = false;
+  document
+    .querySelectorAll("#simpleBeatAccents button")
+    .forEach((btn) => (btn.disabled = false));
 }
@@ -5,6 +5,13 @@
 import { debugLog, DebugTimer } from "./debug.js";
 import * as constants from "./constants.js";
 import * as audioProfiles from "./audioProfiles.js";
+import { createGapGate } from "./gapClick.js";
+import { playCountIn } from "./countIn.js";
+import { sanitizeGrouping, getGroupStartBeats } from "./meterGrouping.js";
+import { sanitizeSwing, getSwungTickDuration } from "./swing.js";
+import * as midiOutput from "./midiOutput.js";
+import { sanitizeBeatAccents } from "./beatAccents.js";
+import { parseRatio, buildPolyrhythmGrid } from "./polyrhythm.js";
 
 let audioCtx = null;
 let nextNoteTime = 0;
@@ -18,12 +25,21 @@ let bpm = 120;
 // timeSignature object replaces beatsPerBar
 let timeSignature = { beats: 4, value: 4 };
 let ticksPerBeat = 1;
+const gapGate = createGapGate(); // Drop-out practice gate
+let grouping = null; // Additive grouping such as [2, 2, 3]
+let groupStarts = new Set([0]); // Beat indices that open a group
+let swing = constants.DEFAULTS.SWING; // Percent; 50 plays straight
+let beatAccents = null; // Per-beat levels, or null for the default accents
+let polyrhythm = "off";
+let polyGrid = null; // Event grid while a polyrhythm is selected
 
 const scheduleAheadTime = constants.AUDIO.LOOKAHEAD_S;
 const schedulerIntervalMs = constants.AUDIO.TIMER_INTERVAL_MS;
 const adjustmentPauseMs = constants.AUDIO.ADJUSTMENT_PAUSE_MS;
 
 let onBeatVisual = () => {};
+let onBarStart = null; // Optional bar-line hook (speed trainer)
+let onPolyVisual = () => {};
 let endOfCycleRequested = false;
 let onCycleComplete = null;
 
@@ -37,11 +53,33 @@ export function registerVisualCallback(cb) {
   if (typeof cb === "function") onBeatVisual = cb;
 }
 
-function playTick(isAccent) {
+/**
+ * Registers a hook fired at the start of every bar, before that bar's
+ * first tick is timed. Calling setBpm() from it retimes the whole bar.
+ *
+ * @param {Function} cb - Callback receiving (barIndex)
+ * @returns {void}
+ */
+export function registerBarCallback(cb) {
+  if (typeof cb === "function") onBarStart = cb;
+}
+
+/**
+ * Registers the visual callback used while a polyrhythm plays. It replaces
+ * the beat callback, which only understands the regular meter.
+ *
+ * @param {Function} cb - Callback receiving (eventIndex, event, grid)
+ * @returns {void}
+ */
+export function registerPolyrhythmCallback(cb) {
+  if (typeof cb === "function") onPolyVisual = cb;
+}
+
+function playTick(isAccent, isGroupAccent, isSoft) {
   // Always ensure the shared audio context exists
   audioCtx = audioProfiles.ensureAudio();
   audioProfiles.setNextNoteTime(nextNoteTime);
-  audioProfiles.playTick(isAccent);
+  audioProfiles.playTick(isAccent, isGroupAccent, isSoft);
 }
 
 function scheduleNote() {
@@ -52,8 +90,28 @@ function scheduleNote() {
   // Determine if this tick is a main beat (1, 2, 3...)
   const isMainBeat = tickInMeasure % ticksPerBeat === 0;
 
+  if (tickInMeasure === 0 && onBarStart) {
+    try {
+      onBarStart(Math.floor(tickIndex / totalTicksInMeasure));
+    } catch (e) {
+      console.error("Bar callback error:", e);
+    }
+  }
+
   // The primary accent is ALWAYS the very first tick of the measure.
   const isPrimaryAccent = tickInMeasure === 0;
+  // Later group starts of an additive meter get a secondary accent
+  const isGroupAccent =
+    isMainBeat &&
+    !isPrimaryAccent &&
+    groupStarts.has(tickInMeasure / ticksPerBeat);
+  // A custom accent pattern overrides the level of each main beat
+  const beatLevel = isMainBeat
+    ? beatAccents?.[tickInMeasure / ticksPerBeat]
+    : undefined;
+  const isAccent = beatLevel
+    ? beatLevel === "accent"
+    : isMainBeat && isPrimaryAccent;
 
   debugLog(
     "audio",
@@ -63,11 +121,17 @@ function scheduleNote() {
   // We play a sound for EVERY tick.
   // The accent is only passed if it's a main beat.
   // This produces a strong DOWNBEAT, weaker main beats, and quietest subdivisions.
-  playTick(isMainBeat ? isPrimaryAccent : false);
+  // Drop-out gaps and muted beats skip the sound only; the visual callback below still fires.
+  if (
+    beatLevel !== "muted" &&
+    !gapGate.isGap(tickIndex, ticksPerBeat, timeSignature.beats)
+  ) {
+    playTick(isAccent, isGroupAccent, beatLevel === "soft");
+  }
 
   // Safe visual callback with more detailed info
   try {
-    onBeatVisual(tickIndex, isPrimaryAccent, isMainBeat);
+    onBeatVisual(tickIndex, isPrimaryAccent, isMainBeat, nextNoteTime);
   } catch (e) {
     console.error("Visual callback error:", e);
   }
@@ -76,50 +140,108 @@ function scheduleNote() {
   tickIndex++;
   const durationOfOneBeat = (60.0 / bpm) * (4 / timeSignature.value);
   const secondsPerTick = durationOfOneBeat / ticksPerBeat;
-  nextNoteTime += secondsPerTick;
+  // Swing lengthens each pair's first tick; visuals follow the swung times
+  nextNoteTime += getSwungTickDuration(
+    secondsPerTick,
+    tickInMeasure % ticksPerBeat,
+    ticksPerBeat,
+    swing
+  );
 
   // If end-of-cycle requested, stop at the next bar boundary
   const nextMainBeatIndex = Math.floor(tickIndex / ticksPerBeat);
-  if (
-    endOfCycleRequested &&
+  finishCycleIfRequested(
     nextMainBeatIndex % timeSignature.beats === 0 &&
-    tickIndex % ticksPerBeat === 0
-  ) {
-    endOfCycleRequested = false;
-    isMetronomePlaying = false;
+      tickIndex % ticksPerBeat === 0
+  );
+  timer.end();
+}
+
+/**
+ * Stops at a bar (or polyrhythm cycle) boundary once end-of-cycle was
+ * requested, then fires the completion callback after the adjustment pause.
+ *
+ * @param {boolean} atBoundary - True if the next tick starts a new bar
+ */
+function finishCycleIfRequested(atBoundary) {
+  if (!endOfCycleRequested || !atBoundary) return;
+  endOfCycleRequested = false;
+  isMetronomePlaying = false;
 
-    if (schedulerTimer) {
-      clearTimeout(schedulerTimer);
-      schedulerTimer = null;
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    schedulerTimer = null;
+  }
+
+  midiOutput.stopOutput(nextNoteTime);
+  debugLog("state", "🟢 Cycle finished cleanly at bar boundary.");
+
+  if (typeof onCycleComplete === "function") {
+    try {
+      debugLog(
+        "state",
+        `⏸️ Scheduling ${adjustmentPauseMs}ms adjustment pause before cycle-complete callback.`
+      );
+      setTimeout(() => {
+        try {
+          onCycleComplete();
+        } catch (err) {
+          console.error("onCycleComplete callback error:", err);
+        }
+      }, adjustmentPauseMs);
+    } catch (err) {
+      console.error("Failed to schedule onCycleComplete:", err);
     }
+  }
+}
 
-    debugLog("state", "🟢 Cycle finished cleanly at bar boundary.");
-
-    if (typeof onCycleComplete === "function") {
-      try {
-        debugLog(
-          "state",
-          `⏸️ Scheduling ${adjustmentPauseMs}ms adjustment pause before cycle-complete callback.`
-        );
-        setTimeout(() => {
-          try {
-            onCycleComplete();
-          } catch (err) {
-            console.error("onCycleComplete callback error:", err);
-          }
-        }, adjustmentPauseMs);
-      } catch (err) {
-        console.error("Failed to schedule onCycleComplete:", err);
-      }
+/**
+ * Schedules the next polyrhythm event. The cycle spans as many beats as
+ * the reference (last) layer has pulses, in the meter's beat unit.
+ */
+function schedulePolyEvent() {
+  const { events, steps, layers } = polyGrid;
+  const eventInCycle = tickIndex % events.length;
+  const event = events[eventInCycle];
+
+  if (eventInCycle === 0 && onBarStart) {
+    try {
+      onBarStart(Math.floor(tickIndex / events.length));
+    } catch (e) {
+      console.error("Bar callback error:", e);
     }
   }
-  timer.end();
+
+  // Each cycle counts as a bar and each event as a beat for drop-outs
+  if (!gapGate.isGap(tickIndex, 1, events.length)) {
+    audioCtx = audioProfiles.ensureAudio();
+    audioProfiles.setNextNoteTime(nextNoteTime);
+    event.layers.forEach((layer) =>
+      audioProfiles.playLayerTick(layer, eventInCycle === 0)
+    );
+  }
+
+  try {
+    onPolyVisual(eventInCycle, event, polyGrid, nextNoteTime);
+  } catch (e) {
+    console.error("Polyrhythm visual callback error:", e);
+  }
+
+  tickIndex++;
+  const nextStep =
+    eventInCycle + 1 < events.length ? events[eventInCycle + 1].step : steps;
+  const durationOfOneBeat = (60.0 / bpm) * (4 / timeSignature.value);
+  const cycleSeconds = durationOfOneBeat * layers[layers.length - 1];
+  nextNoteTime += ((nextStep - event.step) / steps) * cycleSeconds;
+
+  finishCycleIfRequested(tickIndex % events.length === 0);
 }
 
 function scheduler() {
   if (!isPlaying || isPaused) return;
   while (nextNoteTime < audioCtx.currentTime + scheduleAheadTime) {
-    scheduleNote();
+    if (polyGrid) schedulePolyEvent();
+    else scheduleNote();
   }
   schedulerTimer = setTimeout(scheduler, schedulerIntervalMs);
 }
@@ -150,6 +272,7 @@ export function startMetronome(newBpm = 120) {
     Math.min(constants.LIMITS.BPM.MAX, Number(newBpm) || bpm)
   );
   tickIndex = 0;
+  gapGate.reset();
 
   // UPDATED: Use the new formula for the initial tick scheduling
   const durationOfOneBeat = (60.0 / bpm) * (4 / timeSignature.value);
@@ -172,6 +295,7 @@ export function startMetronome(newBpm = 120) {
  */
 export function stopMetronome() {
   stopInternalScheduling();
+  midiOutput.stopOutput();
   debugLog("audio", "simpleMetronomeCore stopped");
 }
 
@@ -188,6 +312,7 @@ export function pauseMetronome() {
     schedulerTimer = null;
   }
   pauseAudioOffset = nextNoteTime - (audioCtx ? audioCtx.currentTime : 0);
+  midiOutput.pauseOutput();
   debugLog("audio", "⏸️ simpleMetronomeCore paused");
 }
 
@@ -205,43 +330,15 @@ export function resumeMetronome() {
 }
 
 /**
- * Plays a 3-2-1 count-in using procedural audio.
+ * Plays the configured count-in (see countIn.js) in the current meter.
  *
  * @param {number} [nextBpm=120] - Tempo for count-in timing
  * @param {boolean} [tempoSynced=true] - Use tempo-based intervals
  * @returns {Promise<void>} Resolves when count-in completes
  */
 export function performCountIn(nextBpm = 120, tempoSynced = true) {
-  const steps = constants.AUDIO.COUNT_IN.STEPS;
-  const intervalMs = tempoSynced
-    ? 60000 / Math.max(1, nextBpm)
-    : constants.AUDIO.COUNT_IN.FIXED_INTERVAL_MS;
-  return new Promise((resolve) => {
-    audioProfiles.ensureAudio();
-    const now = audioCtx.currentTime + constants.AUDIO.COUNT_IN.HEADROOM_S;
-    for (let i = 0; i < steps; i++) {
-      const t = now + (i * intervalMs) / 1000;
-      const osc = audioCtx.createOscillator();
-      const envelope = audioCtx.createGain();
-      if (i === 0) {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-        osc.type = "sine";
-      } else if (i === 1) {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-        osc.type = "sine";
-      } else {
-        osc.frequency.value = constants.AUDIO.COUNT_IN.FREQS[i];
-        envelope.gain.value = constants.AUDIO.COUNT_IN.GAINS[i];
-      }
-      osc.connect(envelope);
-      envelope.connect(audioCtx.destination);
-      osc.start(t);
-      osc.stop(t + constants.AUDIO.COUNT_IN.STEP_DURATIONS[i]);
-    }
-    setTimeout(() => resolve(), Math.ceil(intervalMs * steps) + 30);
-  });
+  audioCtx = audioProfiles.ensureAudio();
+  return playCountIn(audioCtx, { bpm: nextBpm, tempoSynced, timeSignature });
 }
 
 /**
@@ -294,6 +391,8 @@ export function setTimeSignature(beats, value) {
   const denominatorChanged = timeSignature.value !== newValue;
 
   timeSignature = { beats: newBeats, value: newValue };
+  _applyGrouping(grouping); // Drops a grouping that no longer fits
+  beatAccents = sanitizeBeatAccents(beatAccents, newBeats);
 
   if (denominatorChanged) {
     setTicksPerBeat(1);
@@ -313,6 +412,98 @@ export function setTimeSignature(beats, value) {
   );
 }
 
+/**
+ * Sets the additive grouping of the bar (see meterGrouping.js), or clears
+ * it with null. A grouping that does not add up to the numerator is ignored.
+ * Blocked during active playback.
+ *
+ * @param {string|number[]|null} raw - "2+2+3" or [2, 2, 3]
+ * @returns {void}
+ */
+export function setGrouping(raw) {
+  if (isPlaying && !isPaused) {
+    debugLog("state", "⚠️ setGrouping blocked - Simple metronome is playing");
+    return;
+  }
+  _applyGrouping(raw);
+  debugLog(
+    "state",
+    `simpleMetronomeCore: grouping set to ${grouping ? grouping.join("+") : "none"}`
+  );
+}
+
+/**
+ * Returns the active grouping.
+ *
+ * @returns {number[]|null} Beats per group, or null for a plain bar
+ */
+export function getGrouping() {
+  return grouping ? [...grouping] : null;
+}
+
+/** @private */
+function _applyGrouping(raw) {
+  grouping = sanitizeGrouping(raw, timeSignature.beats);
+  groupStarts = new Set(getGroupStartBeats(grouping));
+}
+
+/**
+ * Sets the swing amount (see swing.js). 50 plays straight; 8th, 16th and
+ * 32nd subdivisions swing up to 75. Blocked during active playback.
+ *
+ * @param {number} percent - 50 to 75
+ * @returns {void}
+ */
+export function setSwing(percent) {
+  if (isPlaying && !isPaused) {
+    debugLog("state", "⚠️ setSwing blocked - Simple metronome is playing");
+    return;
+  }
+  swing = sanitizeSwing(percent);
+  debugLog("state", `simpleMetronomeCore: swing set to ${swing}%`);
+}
+
+/**
+ * Returns the swing amount.
+ *
+ * @returns {number} Percent, 50 when straight
+ */
+export function getSwing() {
+  return swing;
+}
+
+/**
+ * Sets the level of each beat (see beatAccents.js), or restores the
+ * default accented downbeat with null. A pattern that does not match the
+ * numerator is ignored. Blocked during active playback.
+ *
+ * @param {string[]|null} levels - "accent", "normal", "soft" or "muted" per beat
+ * @returns {void}
+ */
+export function setBeatAccents(levels) {
+  if (isPlaying && !isPaused) {
+    debugLog(
+      "state",
+      "⚠️ setBeatAccents blocked - Simple metronome is playing"
+    );
+    return;
+  }
+  beatAccents = sanitizeBeatAccents(levels, timeSignature.beats);
+  debugLog(
+    "state",
+    `simpleMetronomeCore: beat accents set to ${beatAccents ? beatAccents.join(",") : "default"}`
+  );
+}
+
+/**
+ * Returns the active accent pattern.
+ *
+ * @returns {string[]|null} One level per beat, or null for the default
+ */
+export function getBeatAccents() {
+  return beatAccents ? [...beatAccents] : null;
+}
+
 /**
  * Returns the current time signature.
  *
@@ -323,7 +514,8 @@ export function getTimeSignature() {
 }
 
 /**
- * Sets subdivision level (1=none, 2=8ths, 4=16ths).
+ * Sets subdivision level (1=none, 2=8ths, 3=triplets, 4=16ths,
+ * 5=quintuplets, 6=sextuplets, 8=32nds).
  * Blocked during active playback.
  *
  * @param {number} n - Ticks per beat
@@ -352,6 +544,71 @@ export function getTicksPerBeat() {
   return ticksPerBeat;
 }
 
+/**
+ * Selects a polyrhythm (see polyrhythm.js) or "off" for the regular meter.
+ * Blocked during active playback.
+ *
+ * @param {string} ratio - A key of POLYRHYTHMS
+ * @returns {void}
+ */
+export function setPolyrhythm(ratio) {
+  if (isPlaying && !isPaused) {
+    debugLog("state", "⚠️ setPolyrhythm blocked - Simple metronome is playing");
+    return;
+  }
+
+  const layers = parseRatio(ratio);
+  polyrhythm = layers ? layers.join(":") : "off";
+  polyGrid = layers ? buildPolyrhythmGrid(layers) : null;
+  tickIndex = 0;
+  debugLog("state", `simpleMetronomeCore: polyrhythm set to ${polyrhythm}`);
+}
+
+/**
+ * Returns the selected polyrhythm.
+ *
+ * @returns {string} Ratio such as "3:2", or "off"
+ */
+export function getPolyrhythm() {
+  return polyrhythm;
+}
+
+/**
+ * Changes tempo, including during playback (applies from the next tick).
+ *
+ * @param {number} newBpm - Tempo, clamped to LIMITS.BPM
+ * @returns {void}
+ */
+export function setBpm(newBpm) {
+  bpm = Math.max(
+    constants.LIMITS.BPM.MIN,
+    Math.min(constants.LIMITS.BPM.MAX, Number(newBpm) || bpm)
+  );
+}
+
+/**
+ * Configures drop-out practice (click rests while visuals continue).
+ *
+ * @param {{mode: string, playBars: number, muteBars: number, mutePercent: number}} settings
+ * @returns {void}
+ */
+export function setGapClick(settings) {
+  gapGate.configure(settings);
+  debugLog(
+    "state",
+    `🔕 simpleMetronomeCore gap click: ${JSON.stringify(gapGate.getSettings())}`
+  );
+}
+
+/**
+ * Returns the active drop-out settings.
+ *
+ * @returns {{mode: string, playBars: number, muteBars: number, mutePercent: number}}
+ */
+export function getGapClick() {
+  return gapGate.getSettings();
+}
+
 /**
  * Returns the current tempo.
  *
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Speed trainer (gradual tempo ramp) for the simple metronome.
+ * Holds the ramp settings and advances through BPM stages at bar lines.
+ * simpleMetronome.js drives it; the UI listens for `speedTrainer:stage`.
+ * @module speedTrainer
+ */
+
+import { LIMITS, DEFAULTS } from "./constants.js";
+import { buildTempoRamp, clamp } from "./utils.js";
+import { debugLog } from "./debug.js";
+
+let _settings = sanitizeSpeedTrainerSettings(DEFAULTS.SPEED_TRAINER);
+let _stages = [];
+let _pos = 0; // Index into _stages
+let _dir = 1; // +1 climbing, -1 descending (loop mode)
+let _barsInStage = 0;
+let _secondsInStage = 0;
+let _active = false;
+
+/**
+ * Clamps raw settings (localStorage or inputs) into a safe shape.
+ * Start, target and increment are snapped to whole multiples of the
+ * quantization step, so every stage lands on the BPM grid.
+ *
+ * @param {Object} [raw] - Partial settings
+ * @param {number} [quantStep=LIMITS.STEP.DEFAULT] - BPM grid step
+ * @returns {{enabled: boolean, startBpm: number, targetBpm: number, increment: number, every: number, unit: string, loop: boolean}}
+ */
+export function sanitizeSpeedTrainerSettings(
+  raw = {},
+  quantStep = LIMITS.STEP.DEFAULT
+) {
+  const base = DEFAULTS.SPEED_TRAINER;
+  const num = (v, fallback) => {
+    const n = parseInt(v, 10);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  const step = Math.max(1, quantStep);
+  const increment = Math.max(
+    step,
+    Math.round(num(raw.increment, base.increment) / step) * step
+  );
+  // Nearest multiple of the step that stays within the BPM limits
+  const snapBpm = (v) =>
+    clamp(
+      Math.round(v / step) * step,
+      Math.ceil(LIMITS.BPM.MIN / step) * step,
+      Math.floor(LIMITS.BPM.MAX / step) * step
+    );
+
+  return {
+    enabled: !!raw.enabled,
+    startBpm: snapBpm(num(raw.startBpm, base.startBpm)),
+    targetBpm: snapBpm(num(raw.targetBpm, base.targetBpm)),
+    increment,
+    every: clamp(
+      num(raw.every, base.every),
+      LIMITS.SPEED_TRAINER.EVERY.MIN,
+      LIMITS.SPEED_TRAINER.EVERY.MAX
+    ),
+    unit: raw.unit === "seconds" ? "seconds" : "bars",
+    loop: !!raw.loop,
+  };
+}
+
+/**
+ * Replaces the active settings. Takes effect on the next start.
+ *
+ * @param {Object} raw - Partial settings
+ * @param {number} [quantStep] - BPM grid step
+ * @returns {Object} The sanitized settings
+ */
+export function configureSpeedTrainer(raw, quantStep) {
+  _settings = sanitizeSpeedTrainerSettings(raw, quantStep);
+  return getSpeedTrainerSettings();
+}
+
+export function getSpeedTrainerSettings() {
+  return { ..._settings };
+}
+
+export function isEnabled() {
+  return _settings.enabled;
+}
+
+export function isRampActive() {
+  return _active;
+}
+
+/**
+ * Resets progress and returns the first stage's BPM.
+ * @returns {number}
+ */
+export function beginRamp() {
+  _stages = buildTempoRamp(
+    _settings.startBpm,
+    _settings.targetBpm,
+    _settings.increment
+  );
+  _pos = 0;
+  _dir = 1;
+  _barsInStage = 0;
+  _secondsInStage = 0;
+  _active = true;
+  debugLog("state", `🏁 Speed trainer ramp: ${_stages.join(" → ")}`);
+  _notify();
+  return _stages[0];
+}
+
+export function endRamp() {
+  if (!_active) return;
+  _active = false;
+  _notify();
+}
+
+/**
+ * Reports one completed bar. Stages only change on bar lines so the
+ * tempo never shifts mid-bar, even in seconds mode.
+ *
+ * @param {number} barSeconds - Duration of the bar that just finished
+ * @returns {number|null} New BPM if the stage advanced, otherwise null
+ */
+export function advanceOnBar(barSeconds) {
+  if (!_active || _stages.length < 2) return null;
+
+  _barsInStage++;
+  _secondsInStage += barSeconds;
+  const due =
+    _settings.unit === "bars"
+      ? _barsInStage >= _settings.every
+      : _secondsInStage >= _settings.every;
+  if (!due) return null;
+
+  const nextPos = _pos + _dir;
+  if (nextPos >= 0 && nextPos < _stages.length) {
+    _pos = nextPos;
+  } else if (_settings.loop) {
+    _dir = -_dir; // Bounce off either end
+    _pos += _dir;
+  } else {
+    return null; // Hold the target tempo
+  }
+
+  _barsInStage = 0;
+  _secondsInStage = 0;
+  _notify();
+  debugLog("state", `⏫ Speed trainer stage ${_pos + 1}: ${_stages[_pos]} BPM`);
+  return _stages[_pos];
+}
+
+/**
+ * @returns {{active: boolean, index: number, total: number, bpm: number|null, direction: string}}
+ */
+export function getStage() {
+  return {
+    active: _active,
+    index: _pos + 1,
+    total: _stages.length,
+    bpm: _stages[_pos] ?? null,
+    direction: _dir > 0 ? "up" : "down",
+  };
+}
+
+function _notify() {
+  document.dispatchEvent(
+    new CustomEvent("speedTrainer:stage", { detail: getStage() })
+  );
+}
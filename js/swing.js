@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Swing feel shared by both metronome cores.
+ * Swing delays every second subdivision tick: at 50% the pair is straight,
+ * at 67% it is a triplet shuffle, at 75% a dotted feel. Only 8th, 16th and
+ * 32nd subdivisions swing; triplet-type grids already have their own feel.
+ * @module swing
+ */
+
+import { LIMITS, DEFAULTS } from "./constants.js";
+
+/** Ticks per beat that pair up into long-short swing. */
+const SWUNG_SUBDIVISIONS = [2, 4, 8];
+
+/**
+ * Clamps a swing amount to whole percent.
+ *
+ * @param {*} raw - Stored or typed percentage
+ * @returns {number} 50 (straight) to 75
+ */
+export function sanitizeSwing(raw) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n)) return DEFAULTS.SWING;
+  return Math.min(LIMITS.SWING.MAX, Math.max(LIMITS.SWING.MIN, n));
+}
+
+/**
+ * @param {number} ticksPerBeat
+ * @returns {boolean} True for the subdivisions that swing (8th, 16th, 32nd)
+ */
+export function isSwingSubdivision(ticksPerBeat) {
+  return SWUNG_SUBDIVISIONS.includes(ticksPerBeat);
+}
+
+/**
+ * Length of one tick once swing is applied. Ticks on the pair's downbeat
+ * grow to `swing`% of the pair and the off-beat tick shrinks to the rest,
+ * so every beat still lasts exactly as long as it does straight.
+ *
+ * @param {number} secondsPerTick - Straight tick length
+ * @param {number} tickInBeat - Index of the tick just scheduled
+ * @param {number} ticksPerBeat
+ * @param {number} swing - Sanitized percentage
+ * @returns {number} Seconds until the next tick
+ * @example
+ * getSwungTickDuration(0.25, 0, 2, 67); // 0.335
+ * getSwungTickDuration(0.25, 1, 2, 67); // 0.165
+ */
+export function getSwungTickDuration(
+  secondsPerTick,
+  tickInBeat,
+  ticksPerBeat,
+  swing
+) {
+  if (swing <= LIMITS.SWING.MIN || !isSwingSubdivision(ticksPerBeat)) {
+    return secondsPerTick;
+  }
+  const share = tickInBeat % 2 === 0 ? swing / 100 : 1 - swing / 100;
+  return 2 * secondsPerTick * share;
+}
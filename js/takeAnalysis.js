@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Offline timing analysis of a recorded practice take.
+ * The file is rendered through a high-pass filter in an
+ * OfflineAudioContext, hits are found by peak picking the rise in frame
+ * energy, and each hit is scored against the ideal grid of the stated
+ * tempo, meter and subdivision. Recordings carry no click, so the first
+ * hit sets beat 1 of bar 1.
+ * @module takeAnalysis
+ */
+
+import { AUDIO } from "./constants.js";
+import { debugLog } from "./debug.js";
+import { summarizeOffsets } from "./tapAccuracy.js";
+import { generateMeasureLayout } from "./utils.js";
+
+/**
+ * Finds the hits in a mono signal.
+ *
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number[]} Onset times in seconds, ascending
+ */
+export function detectOnsets(samples, sampleRate) {
+  const { FRAME_S, HOP_S, MEDIAN_FRAMES, THRESHOLD, MIN_FLUX, MIN_GAP_S } =
+    AUDIO.ONSET;
+  const frame = Math.max(1, Math.round(FRAME_S * sampleRate));
+  const hop = Math.max(1, Math.round(HOP_S * sampleRate));
+  const frames = Math.max(0, Math.floor((samples.length - frame) / hop) + 1);
+
+  // 1. RMS per frame, then the positive rise between frames
+  const energy = new Float32Array(frames);
+  for (let k = 0; k < frames; k++) {
+    let sum = 0;
+    for (let i = k * hop; i < k * hop + frame; i++) sum += samples[i] ** 2;
+    energy[k] = Math.sqrt(sum / frame);
+  }
+  const flux = energy.map((e, k) => (k ? Math.max(0, e - energy[k - 1]) : 0));
+  const floor = MIN_FLUX * flux.reduce((max, f) => Math.max(max, f), 0);
+  if (floor === 0) return [];
+
+  // 2. Local maxima above an adaptive threshold, at least MIN_GAP_S apart
+  const onsets = [];
+  for (let k = 1; k < frames - 1; k++) {
+    if (flux[k] < floor || flux[k] < flux[k - 1] || flux[k] <= flux[k + 1]) {
+      continue;
+    }
+    const local = Array.from(
+      flux.subarray(Math.max(0, k - MEDIAN_FRAMES), k + MEDIAN_FRAMES + 1)
+    ).sort((a, b) => a - b);
+    if (flux[k] < THRESHOLD * local[Math.floor(local.length / 2)]) continue;
+
+    const time = (k * hop) / sampleRate;
+    if (onsets.length && time - onsets[onsets.length - 1] < MIN_GAP_S) {
+      continue;
+    }
+    onsets.push(time);
+  }
+  return onsets;
+}
+
+/**
+ * Ideal tick times of a take.
+ *
+ * @param {Object} options
+ * @param {number} options.bpm
+ * @param {{beats: number, value: number}} options.timeSignature
+ * @param {number} options.ticksPerBeat
+ * @param {number} options.startS - Time of beat 1 of bar 1
+ * @param {number} options.durationS - Length of the recording
+ * @returns {{time: number, bar: number, label: string}[]} One entry per
+ *   tick from the start to one tick past the end
+ * @example
+ * buildGrid({ bpm: 120, timeSignature: { beats: 4, value: 4 },
+ *   ticksPerBeat: 2, startS: 1, durationS: 3 });
+ * // [{ time: 1, bar: 1, label: "1" }, { time: 1.25, bar: 1, label: "&" }, ...]
+ */
+export function buildGrid({
+  bpm,
+  timeSignature,
+  ticksPerBeat,
+  startS,
+  durationS,
+}) {
+  const secondsPerTick =
+    ((60 / bpm) * (4 / timeSignature.value)) / ticksPerBeat;
+  const ticksPerMeasure = timeSignature.beats * ticksPerBeat;
+  const totalTicks =
+    Math.floor(Math.max(0, durationS - startS) / secondsPerTick) + 2;
+  const layout = generateMeasureLayout(
+    timeSignature,
+    ticksPerBeat,
+    Math.ceil(totalTicks / ticksPerMeasure)
+  );
+
+  return layout.slice(0, totalTicks).map((tick, i) => ({
+    time: startS + i * secondsPerTick,
+    bar: Math.floor(i / ticksPerMeasure) + 1,
+    label: tick.label,
+  }));
+}
+
+/**
+ * Scores each onset against its nearest grid tick.
+ *
+ * @param {number[]} onsets - Seconds, ascending
+ * @param {{time: number, bar: number, label: string}[]} grid - Ascending
+ * @returns {{time: number, bar: number, label: string,
+ *   deviationMs: number}[]} One entry per onset, negative when early
+ */
+export function scoreHits(onsets, grid) {
+  if (grid.length === 0) return [];
+  let j = 0;
+  return onsets.map((time) => {
+    // Both lists ascend, so the nearest tick only ever moves forward
+    while (
+      j < grid.length - 1 &&
+      Math.abs(grid[j + 1].time - time) <= Math.abs(grid[j].time - time)
+    ) {
+      j++;
+    }
+    const tick = grid[j];
+    return {
+      time,
+      bar: tick.bar,
+      label: tick.label,
+      deviationMs: Math.round((time - tick.time) * 1000),
+    };
+  });
+}
+
+/**
+ * Decodes and analyses a recording.
+ *
+ * @param {ArrayBuffer} data - Contents of the audio file
+ * @param {Object} options
+ * @param {number} options.bpm
+ * @param {{beats: number, value: number}} options.timeSignature
+ * @param {number} options.ticksPerBeat
+ * @returns {Promise<{durationS: number, hits: Object[],
+ *   summary: ReturnType<typeof summarizeOffsets>}>}
+ * @throws {Error} When the file can't be decoded or is too long
+ */
+export async function analyzeTake(data, { bpm, timeSignature, ticksPerBeat }) {
+  // 1. Decode (an OfflineAudioContext decodes without an audio device)
+  const decoded = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(
+    data
+  );
+  if (decoded.duration > AUDIO.ONSET.MAX_DURATION_S) {
+    throw new Error(
+      `Recordings can be up to ${AUDIO.ONSET.MAX_DURATION_S / 60} minutes long.`
+    );
+  }
+
+  // 2. Render a high-passed mono mix
+  const offline = new OfflineAudioContext(
+    1,
+    decoded.length,
+    decoded.sampleRate
+  );
+  const source = offline.createBufferSource();
+  const highpass = offline.createBiquadFilter();
+  source.buffer = decoded;
+  highpass.type = "highpass";
+  highpass.frequency.value = AUDIO.ONSET.HIGHPASS_HZ;
+  source.connect(highpass);
+  highpass.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+
+  // 3. Find the hits and lay the grid from the first one
+  const onsets = detectOnsets(rendered.getChannelData(0), rendered.sampleRate);
+  const grid = onsets.length
+    ? buildGrid({
+        bpm,
+        timeSignature,
+        ticksPerBeat,
+        startS: onsets[0],
+        durationS: decoded.duration,
+      })
+    : [];
+  const hits = scoreHits(onsets, grid);
+
+  debugLog(
+    "audio",
+    `🎙️ Take analysed: ${hits.length} hits in ${decoded.duration.toFixed(1)}s`
+  );
+  return {
+    durationS: decoded.duration,
+    hits,
+    summary: summarizeOffsets(hits.map((h) => h.deviationMs)),
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Tap-along timing accuracy.
+ * The cores report every tick they schedule; each tap is moved back onto
+ * the scheduled timeline by the calibrated output latency and compared
+ * with the nearest tick. A take runs for one groove cycle or one simple
+ * metronome run and ends with the mean offset, spread and a histogram.
+ * @module tapAccuracy
+ */
+
+import { UX } from "./constants.js";
+import { debugLog } from "./debug.js";
+import { getTapScheduleTime } from "./latency.js";
+
+let _armed = false;
+let _ticks = [];
+let _offsets = [];
+
+/**
+ * Offset of a tap from the nearest tick.
+ *
+ * @param {number} tapTime - Tap on the scheduled timeline (seconds)
+ * @param {number[]} tickTimes - Scheduled tick times (seconds)
+ * @returns {number|null} Milliseconds, negative when early; null when no
+ *   tick is within `UX.TAP_ACCURACY.MAX_OFFSET_MS`
+ * @example
+ * matchTap(1.012, [0.5, 1, 1.5]); // 12 (late)
+ * matchTap(1.49, [0.5, 1, 1.5]);  // -10 (early)
+ */
+export function matchTap(tapTime, tickTimes) {
+  if (tickTimes.length === 0) return null;
+  const nearest = tickTimes.reduce((best, tick) =>
+    Math.abs(tick - tapTime) < Math.abs(best - tapTime) ? tick : best
+  );
+  const ms = Math.round((tapTime - nearest) * 1000);
+  return Math.abs(ms) <= UX.TAP_ACCURACY.MAX_OFFSET_MS ? ms : null;
+}
+
+/**
+ * Sums up the offsets of a take.
+ *
+ * @param {number[]} offsets - Milliseconds per tap, negative when early
+ * @returns {{count: number, mean: number, std: number, early: number,
+ *   late: number, histogram: {from: number, to: number, count: number}[]}}
+ *   Mean and standard deviation in ms (0 without taps); the outer
+ *   histogram bins also hold offsets beyond the range
+ */
+export function summarizeOffsets(offsets) {
+  const { HISTOGRAM_BIN_MS: bin, HISTOGRAM_RANGE_MS: range } = UX.TAP_ACCURACY;
+  const histogram = Array.from({ length: (2 * range) / bin }, (_, i) => ({
+    from: -range + i * bin,
+    to: -range + (i + 1) * bin,
+    count: 0,
+  }));
+
+  const count = offsets.length;
+  const mean = count ? offsets.reduce((a, b) => a + b, 0) / count : 0;
+  const variance = count
+    ? offsets.reduce((sum, ms) => sum + (ms - mean) ** 2, 0) / count
+    : 0;
+
+  offsets.forEach((ms) => {
+    const i = Math.floor((ms + range) / bin);
+    histogram[Math.min(histogram.length - 1, Math.max(0, i))].count++;
+  });
+
+  return {
+    count,
+    mean: Math.round(mean * 10) / 10,
+    std: Math.round(Math.sqrt(variance) * 10) / 10,
+    early: offsets.filter((ms) => ms < 0).length,
+    late: offsets.filter((ms) => ms > 0).length,
+    histogram,
+  };
+}
+
+/**
+ * Starts collecting ticks and taps for a new take.
+ *
+ * @returns {void}
+ */
+export function startTake() {
+  _armed = true;
+  _ticks = [];
+  _offsets = [];
+}
+
+/**
+ * Ends the take.
+ *
+ * @returns {ReturnType<typeof summarizeOffsets>|null} Summary, or null when
+ *   no take was running
+ */
+export function endTake() {
+  if (!_armed) return null;
+  const summary = summarizeOffsets(_offsets);
+  _armed = false;
+  _ticks = [];
+  _offsets = [];
+  debugLog(
+    "state",
+    `🎯 Tap take: ${summary.count} taps, mean ${summary.mean}ms, σ ${summary.std}ms`
+  );
+  return summary;
+}
+
+/**
+ * @returns {boolean} Whether a take is collecting taps
+ */
+export function isTakeRunning() {
+  return _armed;
+}
+
+/**
+ * Records a scheduled tick. Called by the cores' tick callbacks; ticks
+ * older than `UX.TAP_ACCURACY.TICK_WINDOW_S` are dropped.
+ *
+ * @param {number} audioTime - Scheduled time of the tick (seconds)
+ * @returns {void}
+ */
+export function recordTick(audioTime) {
+  if (!_armed || !Number.isFinite(audioTime)) return;
+  const oldest = audioTime - UX.TAP_ACCURACY.TICK_WINDOW_S;
+  _ticks = _ticks.filter((t) => t >= oldest);
+  _ticks.push(audioTime);
+}
+
+/**
+ * Records a tap made now.
+ *
+ * @param {AudioContext} ctx - The context the cores schedule on
+ * @returns {number|null} Offset in ms, or null outside a take or when no
+ *   tick is close enough
+ */
+export function recordTap(ctx) {
+  if (!_armed) return null;
+  const ms = matchTap(getTapScheduleTime(ctx), _ticks);
+  if (ms !== null) _offsets.push(ms);
+  return ms;
+}
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Tempo strategies for groove sessions.
+ * Decides which on-grid BPM each cycle plays: a uniform dice roll, a ladder,
+ * a pyramid, a draw weighted toward the tempos a groove is weakest at, or
+ * the groove's self-rated working tempo.
+ * @module tempoStrategy
+ */
+
+import { LIMITS, STORAGE_KEYS } from "./constants.js";
+import { pickRandom, pickWeighted, clamp } from "./utils.js";
+import { debugLog } from "./debug.js";
+
+/** Selectable strategies, in menu order. */
+export const TEMPO_STRATEGIES = Object.freeze({
+  random: "Random",
+  ascending: "Ascending ladder",
+  descending: "Descending ladder",
+  pyramid: "Pyramid (up, then down)",
+  weakest: "Weighted toward weakest",
+  adaptive: "Self-rated working tempo",
+});
+
+/** Ratings offered after a cycle under the "adaptive" strategy. */
+export const CYCLE_RATINGS = Object.freeze({
+  nailed: "Nailed it",
+  okay: "Okay",
+  struggled: "Struggled",
+});
+
+const SKIP_WEIGHT = 2; // A skipped cycle counts as two missing completions
+
+let _stats = _getRaw(STORAGE_KEYS.TEMPO_STATS); // { [groove]: { [bpm]: { completed, skipped } } }
+let _working = _getRaw(STORAGE_KEYS.WORKING_TEMPOS); // { [groove]: bpm }
+
+/**
+ * Internal helper to safely parse localStorage.
+ * @private
+ */
+function _getRaw(key) {
+  try {
+    const data = JSON.parse(localStorage.getItem(key));
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    debugLog("state", `⚠️ Failed to parse ${key}:`, e);
+    return {};
+  }
+}
+
+function _persist(key, data) {
+  try {
+    localStorage.setItem(key, JSON.stringify(data));
+  } catch (e) {
+    debugLog("state", `❌ QuotaExceededError in ${key} storage`, e);
+  }
+}
+
+/**
+ * @param {string} name - Candidate strategy ID
+ * @returns {string} A known strategy ID ("random" if unknown)
+ */
+export function sanitizeTempoStrategy(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPO_STRATEGIES, name)
+    ? name
+    : "random";
+}
+
+/**
+ * Records how a cycle ended so "weakest" can favour tempos that keep
+ * getting skipped or have had the least practice.
+ *
+ * @param {string} groove - Groove name
+ * @param {number} bpm - Tempo the cycle played at
+ * @param {"completed"|"skipped"} outcome
+ * @returns {void}
+ */
+export function recordTempoOutcome(groove, bpm, outcome) {
+  if (!groove || !Number.isFinite(bpm)) return;
+  if (!_stats[groove]) _stats[groove] = {};
+  if (!_stats[groove][bpm]) _stats[groove][bpm] = { completed: 0, skipped: 0 };
+  const entry = _stats[groove][bpm];
+  if (outcome === "skipped") entry.skipped++;
+  else entry.completed++;
+  _persist(STORAGE_KEYS.TEMPO_STATS, _stats);
+}
+
+/**
+ * Relative draw weight of one tempo: skips raise it, completions lower it.
+ * An unplayed tempo weighs 1.
+ *
+ * @param {string} groove
+ * @param {number} bpm
+ * @returns {number}
+ */
+export function getTempoWeight(groove, bpm) {
+  const entry = _stats[groove]?.[bpm];
+  if (!entry) return 1;
+  return (1 + SKIP_WEIGHT * entry.skipped) / (1 + entry.completed);
+}
+
+/**
+ * @param {string} groove
+ * @returns {number|null} The groove's working tempo, or null if never rated
+ */
+export function getWorkingTempo(groove) {
+  const bpm = _working[groove];
+  return Number.isFinite(bpm) ? bpm : null;
+}
+
+/**
+ * Moves a groove's working tempo after the drummer rates a cycle: one grid
+ * step up when nailed, one step down after a struggle, unchanged for okay.
+ * The new tempo is kept across sessions.
+ *
+ * @param {string} groove - Groove name
+ * @param {number} bpm - Tempo the rated cycle played at
+ * @param {string} rating - Key of CYCLE_RATINGS
+ * @param {number} step - Grid step of the session
+ * @returns {number|null} The new working tempo, or null for bad input
+ */
+export function rateCycle(groove, bpm, rating, step) {
+  if (!groove || !Number.isFinite(bpm)) return null;
+  if (!Object.prototype.hasOwnProperty.call(CYCLE_RATINGS, rating)) return null;
+
+  const delta = { nailed: step, okay: 0, struggled: -step }[rating];
+  _working[groove] = clamp(bpm + delta, LIMITS.BPM.MIN, LIMITS.BPM.MAX);
+  _persist(STORAGE_KEYS.WORKING_TEMPOS, _working);
+  debugLog("state", `🎯 ${groove} rated ${rating} → ${_working[groove]} BPM`);
+  return _working[groove];
+}
+
+/**
+ * Creates a picker for one session. Ladder strategies keep their position
+ * between cycles, so create a fresh picker whenever a session starts.
+ * A groove climbing its own grid keeps its own position on it.
+ *
+ * @param {string} strategy - Key of TEMPO_STRATEGIES
+ * @returns {{strategy: string, pick: Function}}
+ *   pick(grid, groove, ownGrid) => bpm
+ * @example
+ * const picker = createTempoPicker("pyramid");
+ * [1, 2, 3, 4, 5].map(() => picker.pick([80, 90, 100])); // 80 90 100 90 80
+ */
+export function createTempoPicker(strategy) {
+  const name = sanitizeTempoStrategy(strategy);
+  let cycle = 0; // Cycles picked on the session grid so far
+  const grooveCycles = new Map(); // Groove → cycles picked on its own grid
+
+  return {
+    strategy: name,
+
+    /**
+     * @param {number[]} grid - Ascending on-grid BPMs
+     * @param {string} [groove] - Groove the cycle will play
+     * @param {boolean} [ownGrid=false] - Whether `grid` is the groove's own
+     *   (from its pattern's BPM range) rather than the session's
+     * @returns {number}
+     */
+    pick(grid, groove, ownGrid = false) {
+      const n = grid.length;
+      let i;
+      if (ownGrid) {
+        i = grooveCycles.get(groove) ?? 0;
+        grooveCycles.set(groove, i + 1);
+      } else {
+        i = cycle++;
+      }
+      if (n <= 1) return grid[0];
+
+      switch (name) {
+        case "ascending":
+          return grid[i % n];
+        case "descending":
+          return grid[n - 1 - (i % n)];
+        case "pyramid": {
+          // Peak is played once: 0 … n-1 … 1, then repeat
+          const pos = i % (2 * n - 2);
+          return grid[pos < n ? pos : 2 * n - 2 - pos];
+        }
+        case "weakest":
+          return pickWeighted(
+            grid,
+            grid.map((bpm) => getTempoWeight(groove, bpm))
+          );
+        case "adaptive": {
+          // Closest grid tempo to the working tempo; unrated grooves start slow
+          const target = getWorkingTempo(groove) ?? grid[0];
+          return grid.reduce((best, bpm) =>
+            Math.abs(bpm - target) < Math.abs(best - target) ? bpm : best
+          );
+        }
+        default:
+          return pickRandom(grid);
+      }
+    },
+  };
+}
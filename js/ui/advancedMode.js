@@ -348,7 +348,15 @@ function _renderChip() {
 
   const rawProfile = localStorage.getItem("activeSoundProfile") ?? "digital";
   const profile = rawProfile.charAt(0).toUpperCase() + rawProfile.slice(1);
-  const subdivMap = { 1: "None", 2: "8th Notes", 4: "16th Notes" };
+  const subdivMap = {
+    1: "None",
+    2: "8th Notes",
+    3: "Triplets",
+    4: "16th Notes",
+    5: "Quintuplets",
+    6: "Sextuplets",
+    8: "32nd Notes",
+  };
   const tip =
     "These settings carry over from Advanced Mode. Switch to Advanced to change them.";
 
@@ -356,6 +364,7 @@ function _renderChip() {
     const timeSigEl = document.getElementById("groovePresetSelect");
     const numEl = document.getElementById("grooveCustomNumerator");
     const denEl = document.getElementById("grooveCustomDenominator");
+    const groupEl = document.getElementById("grooveCustomGrouping");
     const subdivEl = document.getElementById("grooveSubdivisionSelect");
     let timeSig = "4/4";
     if (timeSigEl) {
@@ -363,9 +372,11 @@ function _renderChip() {
         timeSigEl.value === "custom"
           ? `${numEl?.value ?? 4}/${denEl?.value ?? 4}`
           : timeSigEl.value;
+      if (groupEl?.value) timeSig += ` (${groupEl.value})`;
     }
     const subdiv = subdivMap[subdivEl?.value ?? "1"] ?? "None";
-    grooveChip.textContent = `${timeSig} · ${profile} · ${subdiv}`;
+    const gap = _gapChipSuffix("groove");
+    grooveChip.textContent = `${timeSig} · ${profile} · ${subdiv}${gap}`;
     grooveChip.title = tip;
   }
 
@@ -373,6 +384,7 @@ function _renderChip() {
     const timeSigEl = document.getElementById("simplePresetSelect");
     const numEl = document.getElementById("simpleCustomNumerator");
     const denEl = document.getElementById("simpleCustomDenominator");
+    const groupEl = document.getElementById("simpleCustomGrouping");
     const subdivEl = document.getElementById("simpleSubdivisionSelect");
     let timeSig = "4/4";
     if (timeSigEl) {
@@ -380,9 +392,20 @@ function _renderChip() {
         timeSigEl.value === "custom"
           ? `${numEl?.value ?? 4}/${denEl?.value ?? 4}`
           : timeSigEl.value;
+      if (groupEl?.value) timeSig += ` (${groupEl.value})`;
     }
     const subdiv = subdivMap[subdivEl?.value ?? "1"] ?? "None";
-    simpleChip.textContent = `${timeSig} · ${profile} · ${subdiv}`;
+    const gap = _gapChipSuffix("simple");
+    const poly = document.getElementById("simplePolyrhythmSelect")?.value;
+    const polySuffix = poly && poly !== "off" ? ` · ${poly}` : "";
+    const accents = document
+      .getElementById("simpleBeatAccents")
+      ?.classList.contains("custom-accents")
+      ? " · Accents"
+      : "";
+    const swing = Number(document.getElementById("simpleSwingInput")?.value);
+    const swingSuffix = swing > 50 ? ` · Swing ${swing}%` : "";
+    simpleChip.textContent = `${timeSig} · ${profile} · ${subdiv}${gap}${polySuffix}${swingSuffix}${accents}`;
     simpleChip.title = tip;
   }
 
@@ -392,6 +415,15 @@ function _renderChip() {
   );
 }
 
+/**
+ * Flags an active drop-out mode so it never runs unnoticed in Simple Mode.
+ * @private
+ */
+function _gapChipSuffix(panelPrefix) {
+  const mode = document.getElementById(`${panelPrefix}GapMode`)?.value;
+  return mode && mode !== "off" ? " · Drop-out" : "";
+}
+
 // ── Private: event wiring ────────────────────────────────────────
 
 function _wireToggle(toggle) {
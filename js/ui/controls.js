@@ -10,6 +10,24 @@ import * as audioProfiles from "../audioProfiles.js";
 import * as metronome from "../metronomeCore.js";
 import * as simpleMetronome from "../simpleMetronome.js";
 import { getActiveModeOwner } from "../ownership.js";
+import { LIMITS, STORAGE_KEYS } from "../constants.js";
+import { sanitizeGapSettings } from "../gapClick.js";
+import { getCountInSettings, saveCountInSettings } from "../countIn.js";
+import { POLYRHYTHMS, sanitizePolyrhythm } from "../polyrhythm.js";
+import { sanitizeSwing } from "../swing.js";
+import {
+  formatGrouping,
+  getStoredGrouping,
+  presetTakesGrouping,
+  saveStoredGrouping,
+} from "../meterGrouping.js";
+import {
+  defaultBeatAccents,
+  nextBeatLevel,
+  getStoredBeatAccents,
+  saveStoredBeatAccents,
+} from "../beatAccents.js";
+import { primeVisuals } from "../visuals.js";
 
 /**
  * Initializes sound profile dropdowns for both groove and simple panels.
@@ -251,6 +269,9 @@ export function initTimeSignatureUI() {
     const customDenominator = document.getElementById(
       `${panelPrefix}CustomDenominator`
     );
+    const customGrouping = document.getElementById(
+      `${panelPrefix}CustomGrouping`
+    );
     const subdivisionContainer = document.getElementById(
       `${panelPrefix}SubdivisionContainer`
     );
@@ -275,17 +296,30 @@ export function initTimeSignatureUI() {
       const presetValue = presetSelect.value;
 
       if (presetValue === "custom") {
-        requestAnimationFrame(() => customContainer.classList.add("visible"));
         beats = parseInt(customNumerator.value, 10);
         value = parseInt(customDenominator.value, 10);
       } else {
-        customContainer.classList.remove("visible");
         [beats, value] = presetValue.split("/").map(Number);
       }
 
+      // Eighth-note presets show only the grouping field of the row
+      const grouped = presetTakesGrouping(presetValue);
+      customContainer.classList.toggle(
+        "grouping-only",
+        presetValue !== "custom"
+      );
+      if (grouped) {
+        requestAnimationFrame(() => customContainer.classList.add("visible"));
+      } else {
+        customContainer.classList.remove("visible");
+      }
+
       core.setTimeSignature(beats, value);
       const updatedSignature = core.getTimeSignature();
 
+      core.setGrouping(grouped ? getStoredGrouping(updatedSignature) : null);
+      customGrouping.value = formatGrouping(core.getGrouping());
+
       if (updatedSignature.value === 4) {
         requestAnimationFrame(() =>
           subdivisionContainer.classList.add("visible")
@@ -332,10 +366,28 @@ export function initTimeSignatureUI() {
       );
     };
 
+    /**
+     * Stores the grouping typed for the current meter.
+     * Invalid groupings (not adding up to the bar) clear the field.
+     *
+     * @returns {void}
+     */
+    const updateGrouping = () => {
+      const grouping = saveStoredGrouping(
+        core.getTimeSignature(),
+        customGrouping.value
+      );
+      core.setGrouping(grouping);
+      customGrouping.value = formatGrouping(core.getGrouping());
+      primeVisuals(panelPrefix);
+      document.dispatchEvent(new Event("advancedSettings:changed"));
+    };
+
     // Attach event listeners
     presetSelect.addEventListener("change", updateMetronomeState);
     customNumerator.addEventListener("change", updateMetronomeState);
     customDenominator.addEventListener("change", updateMetronomeState);
+    customGrouping.addEventListener("change", updateGrouping);
     subdivisionSelect.addEventListener("change", updateSubdivision);
 
     // Initial setup
@@ -346,3 +398,239 @@ export function initTimeSignatureUI() {
   setupControls("groove");
   setupControls("simple");
 }
+
+/**
+ * Initializes the count-in length, unit, sound and start-only controls.
+ * Both cores read the stored settings at each count-in.
+ *
+ * @returns {void}
+ */
+export function initCountInUI() {
+  const lengthInput = document.getElementById("countInLength");
+  const unitSelect = document.getElementById("countInUnit");
+  const soundSelect = document.getElementById("countInSound");
+  const firstOnlyToggle = document.getElementById("countInFirstOnly");
+  if (!lengthInput || !unitSelect || !soundSelect || !firstOnlyToggle) return;
+
+  const syncInputs = (settings) => {
+    const { MIN, MAX } =
+      LIMITS.COUNT_IN[settings.unit === "bars" ? "BARS" : "BEATS"];
+    lengthInput.min = MIN;
+    lengthInput.max = MAX;
+    lengthInput.value = settings.length;
+    unitSelect.value = settings.unit;
+    soundSelect.value = settings.sound;
+    firstOnlyToggle.checked = settings.firstCycleOnly;
+  };
+
+  const apply = () => {
+    const settings = saveCountInSettings({
+      unit: unitSelect.value,
+      length: lengthInput.value,
+      sound: soundSelect.value,
+      firstCycleOnly: firstOnlyToggle.checked,
+    });
+    syncInputs(settings); // Reflect clamped values
+    debugLog("state", `🔢 Count-in: ${settings.length} ${settings.unit}`);
+  };
+
+  [lengthInput, unitSelect, soundSelect, firstOnlyToggle].forEach((el) =>
+    el.addEventListener("change", apply)
+  );
+  syncInputs(getCountInSettings());
+}
+
+/**
+ * Initializes the drop-out (gap click) controls next to each panel's
+ * time signature. Settings are stored per panel and applied live to the
+ * matching core, so a change takes effect on the next scheduled tick.
+ *
+ * @returns {void}
+ *
+ * @example
+ * initGapClickUI(); // Restores and wires both drop-out rows
+ */
+export function initGapClickUI() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.GAP_CLICK)) || {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse gap click settings:", e);
+  }
+
+  /**
+   * Sets up the drop-out row for one panel.
+   *
+   * @param {string} panelPrefix - 'groove' or 'simple'
+   * @returns {void}
+   */
+  const setupControls = (panelPrefix) => {
+    const modeSelect = document.getElementById(`${panelPrefix}GapMode`);
+    const barsFields = document.getElementById(`${panelPrefix}GapBarsFields`);
+    const randomFields = document.getElementById(
+      `${panelPrefix}GapRandomFields`
+    );
+    const playInput = document.getElementById(`${panelPrefix}GapPlay`);
+    const muteInput = document.getElementById(`${panelPrefix}GapMute`);
+    const percentInput = document.getElementById(`${panelPrefix}GapPercent`);
+    if (!modeSelect) return;
+
+    const core = panelPrefix === "groove" ? metronome : simpleMetronome.core;
+
+    const syncInputs = (settings) => {
+      modeSelect.value = settings.mode;
+      playInput.value = settings.playBars;
+      muteInput.value = settings.muteBars;
+      percentInput.value = settings.mutePercent;
+      barsFields.classList.toggle("hidden", settings.mode !== "bars");
+      randomFields.classList.toggle("hidden", settings.mode !== "random");
+    };
+
+    const apply = () => {
+      const settings = sanitizeGapSettings({
+        mode: modeSelect.value,
+        playBars: playInput.value,
+        muteBars: muteInput.value,
+        mutePercent: percentInput.value,
+      });
+      syncInputs(settings); // Reflect clamped values
+
+      core.setGapClick(settings);
+      stored[panelPrefix] = settings;
+      localStorage.setItem(STORAGE_KEYS.GAP_CLICK, JSON.stringify(stored));
+      document.dispatchEvent(new Event("advancedSettings:changed"));
+    };
+
+    [modeSelect, playInput, muteInput, percentInput].forEach((el) =>
+      el.addEventListener("change", apply)
+    );
+
+    // Restore persisted settings without re-saving them
+    const initial = sanitizeGapSettings(stored[panelPrefix]);
+    syncInputs(initial);
+    core.setGapClick(initial);
+  };
+
+  setupControls("groove");
+  setupControls("simple");
+  document.dispatchEvent(new Event("advancedSettings:changed")); // Refresh chips
+}
+
+/**
+ * Initializes the simple panel's polyrhythm selector. The choice is
+ * persisted and applied to the simple core; the idle visual switches to
+ * the layered view right away.
+ *
+ * @returns {void}
+ *
+ * @example
+ * initPolyrhythmUI(); // Restores and wires the polyrhythm dropdown
+ */
+export function initPolyrhythmUI() {
+  const select = document.getElementById("simplePolyrhythmSelect");
+  if (!select) return;
+
+  select.innerHTML = "";
+  Object.entries(POLYRHYTHMS).forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+
+  const apply = (ratio) => {
+    select.value = ratio;
+    simpleMetronome.core.setPolyrhythm(ratio);
+    primeVisuals("simple");
+    document.dispatchEvent(new Event("advancedSettings:changed"));
+  };
+
+  select.addEventListener("change", () => {
+    const ratio = sanitizePolyrhythm(select.value);
+    localStorage.setItem(STORAGE_KEYS.POLYRHYTHM, ratio);
+    apply(ratio);
+    debugLog("state", `🔀 Simple polyrhythm set to ${ratio}`);
+  });
+
+  apply(sanitizePolyrhythm(localStorage.getItem(STORAGE_KEYS.POLYRHYTHM)));
+}
+
+/**
+ * Initializes the simple panel's swing amount. The global setting is
+ * persisted and applied to the simple core; groove patterns carry their own.
+ *
+ * @returns {void}
+ */
+export function initSwingUI() {
+  const input = document.getElementById("simpleSwingInput");
+  if (!input) return;
+
+  const apply = (percent) => {
+    input.value = percent;
+    simpleMetronome.core.setSwing(percent);
+    document.dispatchEvent(new Event("advancedSettings:changed"));
+  };
+
+  input.addEventListener("change", () => {
+    const percent = sanitizeSwing(input.value);
+    localStorage.setItem(STORAGE_KEYS.SWING, String(percent));
+    apply(percent);
+    debugLog("state", `🎷 Simple swing set to ${percent}%`);
+  });
+
+  apply(sanitizeSwing(localStorage.getItem(STORAGE_KEYS.SWING)));
+}
+
+/**
+ * Initializes the simple panel's beat accent strip.
+ * One button per beat cycles accent → normal → soft → muted; the pattern
+ * is stored per time signature and reloaded whenever the meter changes.
+ *
+ * @returns {void}
+ */
+export function initBeatAccentUI() {
+  const row = document.getElementById("simpleBeatAccents");
+  if (!row) return;
+  const strip = row.querySelector(".beat-accent-strip");
+  const core = simpleMetronome.core;
+
+  const render = () => {
+    const signature = core.getTimeSignature();
+    const custom = core.getBeatAccents();
+    const levels = custom || defaultBeatAccents(signature.beats);
+    row.classList.toggle("custom-accents", !!custom); // Read by the settings chip
+    strip.innerHTML = "";
+    levels.forEach((level, i) => {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "beat-accent-btn";
+      btn.dataset.level = level;
+      btn.textContent = String(i + 1);
+      btn.setAttribute("aria-label", `Beat ${i + 1}: ${level}`);
+      btn.disabled = simpleMetronome.isRunning(); // Re-enabled on stop
+      btn.addEventListener("click", () => {
+        levels[i] = nextBeatLevel(level);
+        apply(saveStoredBeatAccents(signature, levels));
+      });
+      strip.appendChild(btn);
+    });
+  };
+
+  const apply = (levels) => {
+    core.setBeatAccents(levels);
+    render();
+    document.dispatchEvent(new Event("advancedSettings:changed"));
+  };
+
+  row.querySelector(".beat-accent-reset").addEventListener("click", () => {
+    apply(saveStoredBeatAccents(core.getTimeSignature(), null));
+    debugLog("state", "🥁 Beat accents reset to default");
+  });
+
+  // Both panels announce meter changes; reload the simple core's pattern
+  document.addEventListener("metronome:timeSigChanged", () =>
+    apply(getStoredBeatAccents(core.getTimeSignature()))
+  );
+
+  apply(getStoredBeatAccents(core.getTimeSignature()));
+}
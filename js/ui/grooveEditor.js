@@ -6,13 +6,23 @@
 
 import { getTimeSignature, getTicksPerBeat } from "../metronomeCore.js";
 import * as grooveStorage from "../grooveStorage.js";
+import * as grooveSelection from "../grooveSelection.js";
 import { getActiveModeOwner, setActiveModeOwner } from "../ownership.js";
 import * as notices from "./notices.js";
 import * as interop from "./interop.js";
 import { patternScheduler } from "../patternScheduler.js";
 import { isAdvancedMode } from "./advancedMode.js";
 import { generateMeasureLayout } from "../utils.js";
+import { AUDIO, LIMITS, DEFAULTS } from "../constants.js";
+import {
+  KIT,
+  DEFAULT_TRACKS,
+  getTrackIds,
+  createEmptyTracks,
+} from "../drumKit.js";
 import { debugLog } from "../debug.js";
+import { sanitizeGrouping, formatGrouping } from "../meterGrouping.js";
+import { isSwingSubdivision, sanitizeSwing } from "../swing.js";
 
 // --- Internal State ---
 let _currentBeats = 4;
@@ -26,6 +36,14 @@ let _pendingSaveData = null; // --- Stores data while user picks a groove to rep
 let _pendingSaveName = null; // --- Stores the target name while user picks a groove to replace ---
 let _isReplacementMode = false; // --- Flag for the list state ---
 
+const { LEVELS, EDITOR_CYCLE } = AUDIO.VELOCITY;
+const VELOCITY_NAMES = {
+  [LEVELS.REST]: "off",
+  [LEVELS.NORMAL]: "normal",
+  [LEVELS.ACCENT]: "accent",
+  [LEVELS.GHOST]: "ghost",
+};
+
 // Helper to get local rhythmic values
 function _getLocalRhythm() {
   const num = document.getElementById("patNumerator");
@@ -41,6 +59,40 @@ function _getLocalRhythm() {
   };
 }
 
+/**
+ * Reads the pattern's beat grouping from the editor.
+ * @private
+ * @param {number} beats - Numerator the grouping must add up to
+ * @returns {number[]|null|false} false if a grouping is typed but invalid
+ */
+function _getLocalGrouping(beats) {
+  const raw = document.getElementById("patGrouping")?.value.trim() || "";
+  if (!raw) return null;
+  return sanitizeGrouping(raw, beats) || false;
+}
+
+/**
+ * Reads the pattern's own tempo range from the editor.
+ * Both fields empty means the pattern follows the session range.
+ * @private
+ * @returns {{min: number, max: number}|null|false} false if only one end is set
+ */
+function _getLocalBpmRange() {
+  const minEl = document.getElementById("patBpmMin");
+  const maxEl = document.getElementById("patBpmMax");
+  const min = parseInt(minEl.value, 10);
+  const max = parseInt(maxEl.value, 10);
+  if (isNaN(min) && isNaN(max)) return null;
+  if (isNaN(min) || isNaN(max)) return false;
+
+  const { MIN, MAX } = LIMITS.BPM;
+  const lo = Math.min(MAX, Math.max(MIN, Math.min(min, max)));
+  const hi = Math.min(MAX, Math.max(MIN, Math.max(min, max)));
+  minEl.value = lo; // Show the clamped, ordered range
+  maxEl.value = hi;
+  return { min: lo, max: hi };
+}
+
 /**
  * Initializes the Editor UI, wires state triggers, and grid interactions.
  */
@@ -98,6 +150,16 @@ export function initGrooveEditor() {
     if (track) track.classList.toggle("hidden", !e.target.checked);
   });
 
+  // Extra kit pieces are added per pattern from the registry
+  const addTrackSel = document.getElementById("patAddTrack");
+  addTrackSel.addEventListener("change", (e) => {
+    const trackID = e.target.value;
+    e.target.value = "";
+    if (!KIT[trackID] || _localPattern[trackID]) return;
+    _localPattern[trackID] = [];
+    _renderGrid();
+  });
+
   // 5. Listen for rhythm changes to re-render grid
   document.addEventListener("metronome:timeSigChanged", (e) => {
     _currentBeats = e.detail.beats;
@@ -107,14 +169,16 @@ export function initGrooveEditor() {
   });
 
   // 6. Listen for rhythm changes to re-render grid
-  ["patNumerator", "patDenominator", "patMeasures"].forEach((id) => {
-    // NOTE: patSubdivision is now handled separately below
-    if (id !== "patSubdivision") {
-      document.getElementById(id).addEventListener("change", _renderGrid);
+  ["patNumerator", "patDenominator", "patMeasures", "patGrouping"].forEach(
+    (id) => {
+      // NOTE: patSubdivision is now handled separately below
+      if (id !== "patSubdivision") {
+        document.getElementById(id).addEventListener("change", _renderGrid);
+      }
     }
-  });
+  );
 
-  // Subdivision Guard: Handles 6 cases of Upsampling/Downsampling
+  // Subdivision Guard: Handles Upsampling/Downsampling between any two grids
   const subEl = document.getElementById("patSubdivision");
   subEl.addEventListener("change", (e) => {
     const newTicks = parseInt(e.target.value, 10);
@@ -131,7 +195,7 @@ export function initGrooveEditor() {
     if (hasConflicts) {
       notices.showInteractiveNotice(`
         <div style="margin-bottom: 12px; font-weight: 600;">
-          ⚠️ Rhythmic Conflict: Some notes don't fit the smaller grid and will be deleted. Proceed?
+          ⚠️ Rhythmic Conflict: Some notes don't fit the new grid and will be deleted. Proceed?
         </div>
         <div style="display: flex; gap: 8px; justify-content: center;">
           <button id="resample-confirm" style="background: var(--accent); color: white; flex: 1; min-height: 36px;">Yes, delete</button>
@@ -177,6 +241,7 @@ function _toggleState(mode) {
       .split("\n")
       .filter((g) => g.trim());
     grooveStorage.purgeDanglingPatterns(activeNames);
+    grooveSelection.purgeDanglingWeights(activeNames);
 
     // 2. Rebuild UI
     _rebuildInteractiveList();
@@ -224,6 +289,9 @@ function _rebuildInteractiveList() {
     const li = document.createElement("li");
     li.className = "groove-list-item";
     const exists = grooveStorage.hasGroovePattern(name);
+    const range = grooveStorage.getPatternBpmRange(
+      grooveStorage.getGroovePattern(name)
+    );
 
     // Determine button label and action based on mode
     let btnLabel = exists ? "Edit Pattern" : "Add Pattern";
@@ -235,6 +303,15 @@ function _rebuildInteractiveList() {
     li.innerHTML = `
       <span class="groove-name-label">${name}</span>
       <div class="groove-item-actions" style="display: flex; align-items: center; gap: 6px;">
+        ${
+          _isReplacementMode
+            ? ""
+            : `<input class="groove-weight-input" type="number" inputmode="numeric"
+                 min="${LIMITS.GROOVE_WEIGHT.MIN}" max="${LIMITS.GROOVE_WEIGHT.MAX}"
+                 value="${grooveSelection.getGrooveWeight(name)}"
+                 title="Selection weight (0 = never picked)"
+                 aria-label="Selection weight for ${name}" />`
+        }
         <button class="edit-pattern-btn"
                 aria-label="${fullAriaLabel}"
                 ${_isReplacementMode && !exists ? "disabled" : ""}>
@@ -249,10 +326,24 @@ function _rebuildInteractiveList() {
         `
             : ""
         }
+        ${range ? `<span class="groove-range-badge" title="Own tempo range">${range.min}–${range.max}</span>` : ""}
         ${exists ? '<span class="saved-badge">✓</span>' : ""}
       </div>
     `;
 
+    // Wire Weight Input (read by the session's groove picker every cycle)
+    const weightInput = li.querySelector(".groove-weight-input");
+    if (weightInput) {
+      weightInput.onchange = () => {
+        weightInput.value = grooveSelection.setGrooveWeight(
+          name,
+          weightInput.value
+        );
+        li.classList.toggle("weight-excluded", weightInput.value === "0");
+      };
+      li.classList.toggle("weight-excluded", weightInput.value === "0");
+    }
+
     // Wire Copy Button
     const copyBtn = li.querySelector(".copy-link-btn");
     if (copyBtn) {
@@ -320,17 +411,29 @@ function _openEditor(name) {
       saved.patternTimeSignature.value;
     document.getElementById("patSubdivision").value = saved.ticksPerBeat || 1;
     document.getElementById("patMeasures").value = saved.measures || 1;
+    const range = grooveStorage.getPatternBpmRange(saved);
+    document.getElementById("patBpmMin").value = range ? range.min : "";
+    document.getElementById("patBpmMax").value = range ? range.max : "";
+    document.getElementById("patGrouping").value = formatGrouping(
+      grooveStorage.getPatternGrouping(saved)
+    );
+    document.getElementById("patSwing").value =
+      grooveStorage.getPatternSwing(saved);
     // Sync module state to loaded pattern
     _currentTicks = saved.ticksPerBeat || 1;
     _updateHint("Pattern loaded from storage.");
   } else {
-    _localPattern = { hihat: [], kick: [], snare: [], HHPed: [] };
+    _localPattern = createEmptyTracks();
     // Start with global metronome settings as defaults
     const globalSig = getTimeSignature();
     document.getElementById("patNumerator").value = globalSig.beats;
     document.getElementById("patDenominator").value = globalSig.value;
     document.getElementById("patSubdivision").value = getTicksPerBeat();
     document.getElementById("patMeasures").value = 1;
+    document.getElementById("patBpmMin").value = "";
+    document.getElementById("patBpmMax").value = "";
+    document.getElementById("patGrouping").value = "";
+    document.getElementById("patSwing").value = DEFAULTS.SWING;
     _updateHint("New pattern (unsaved)");
   }
 
@@ -345,14 +448,17 @@ function _openEditor(name) {
 }
 
 /**
- * Renders the 4 instrument rows based on rhythmic state.
+ * Renders one instrument row per kit track in the local pattern.
  */
 function _renderGrid() {
   const grid = document.getElementById("groove-editor-grid");
   const rhythm = _getLocalRhythm();
   const stepCount = rhythm.beats * rhythm.ticksPerBeat * rhythm.measures;
   _currentStepCount = stepCount; // Store for later use in tick scheduling
-  const tracks = ["hihat", "kick", "snare", "HHPed"];
+  const tracks = getTrackIds(_localPattern);
+  document.getElementById("patSwing").disabled = !isSwingSubdivision(
+    rhythm.ticksPerBeat
+  );
 
   gsap.killTweensOf(grid.querySelectorAll(".groove-cell"));
   grid.innerHTML = "";
@@ -371,7 +477,9 @@ function _renderGrid() {
   // Use visuals.js logic to get labels for one measure
   const layout = generateMeasureLayout(
     { beats: rhythm.beats, value: rhythm.value },
-    rhythm.ticksPerBeat
+    rhythm.ticksPerBeat,
+    1,
+    _getLocalGrouping(rhythm.beats) || null
   );
 
   // Repeat labels for total measure count
@@ -386,26 +494,33 @@ function _renderGrid() {
   labelsRow.appendChild(labelsCont);
   grid.appendChild(labelsRow);
 
-  const ariaLabels = {
-    hihat: "Hi-hat",
-    kick: "Kick drum",
-    snare: "Snare drum",
-    HHPed: "Hi-hat pedal",
-  };
-
   tracks.forEach((trackID) => {
+    const trackName = KIT[trackID].name;
+
     const row = document.createElement("div");
     row.className = "groove-track";
     row.dataset.track = trackID;
 
     // Identify rows as logical groups
     row.setAttribute("role", "group");
-    row.setAttribute("aria-label", `${ariaLabels[trackID]} track`);
+    row.setAttribute("aria-label", `${trackName} track`);
 
     const label = document.createElement("span");
     label.className = "groove-track-label";
-    label.textContent =
-      trackID === "HHPed" ? "HP" : trackID.substring(0, 2).toUpperCase();
+    label.textContent = KIT[trackID].label;
+
+    // Only added kit pieces can be removed; the core four always stay
+    if (!DEFAULT_TRACKS.includes(trackID)) {
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "groove-track-remove";
+      removeBtn.textContent = "×";
+      removeBtn.setAttribute("aria-label", `Remove ${trackName} track`);
+      removeBtn.onclick = () => {
+        delete _localPattern[trackID];
+        _renderGrid();
+      };
+      label.appendChild(removeBtn);
+    }
 
     const cellsCont = document.createElement("div");
     cellsCont.className = "groove-track-cells";
@@ -414,29 +529,28 @@ function _renderGrid() {
       const btn = document.createElement("button");
       btn.className = "groove-cell";
       btn.dataset.step = i;
-      btn.tabIndex = i === 0 && trackID === "hihat" ? "0" : "-1"; // Only first cell is tabbable for screen readers
+      btn.tabIndex = i === 0 && trackID === tracks[0] ? "0" : "-1"; // Only first cell is tabbable for screen readers
 
       const beatNum = Math.floor(i / rhythm.ticksPerBeat) + 1;
       const subIdx = (i % rhythm.ticksPerBeat) + 1;
       const subLabel = rhythm.ticksPerBeat > 1 ? `, tick ${subIdx}` : "";
-      const state = _localPattern[trackID]?.[i] ? "on" : "off";
+      const level = _localPattern[trackID]?.[i] || LEVELS.REST;
 
       btn.setAttribute(
         "aria-label",
-        `${ariaLabels[trackID]}, beat ${beatNum}${subLabel}, ${state}`
-      );
-      btn.setAttribute(
-        "aria-pressed",
-        _localPattern[trackID]?.[i] ? "true" : "false"
+        `${trackName}, beat ${beatNum}${subLabel}, ${VELOCITY_NAMES[level] || "normal"}`
       );
 
       if (i % _currentTicks === 0) btn.classList.add("beat-start");
       if (i === 0) btn.classList.add("downbeat");
+      else if (layout[i % layout.length].isGroupAccent) {
+        btn.classList.add("group-start");
+      }
 
-      if (_localPattern[trackID]?.[i]) btn.classList.add("active");
+      _applyCellVelocity(btn, level);
 
+      // Each click advances the step through the velocity cycle
       btn.onclick = () => {
-        btn.classList.toggle("active");
         if (!_localPattern[trackID]) _localPattern[trackID] = [];
 
         // Ensure pattern array is reconciled with current grid size before writing
@@ -444,15 +558,19 @@ function _renderGrid() {
           _localPattern[trackID].push(0);
         }
 
-        const isActive = btn.classList.contains("active");
-        _localPattern[trackID][i] = isActive ? 1 : 0;
+        const current = _localPattern[trackID][i] || LEVELS.REST;
+        const next =
+          EDITOR_CYCLE[
+            (EDITOR_CYCLE.indexOf(current) + 1) % EDITOR_CYCLE.length
+          ];
+        _localPattern[trackID][i] = next;
 
         // Sync state labels on click
-        btn.setAttribute("aria-pressed", isActive ? "true" : "false");
+        _applyCellVelocity(btn, next);
         const currentLabel = btn.getAttribute("aria-label");
         btn.setAttribute(
           "aria-label",
-          currentLabel.replace(/, (on|off)$/, `, ${isActive ? "on" : "off"}`)
+          currentLabel.replace(/, \w+$/, `, ${VELOCITY_NAMES[next]}`)
         );
       };
 
@@ -469,7 +587,9 @@ function _renderGrid() {
     const active = document.activeElement;
     if (!active.classList.contains("groove-cell")) return;
 
-    const tracks = ["hihat", "kick", "snare", "HHPed"];
+    const tracks = [...grid.querySelectorAll(".groove-track[data-track]")].map(
+      (row) => row.dataset.track
+    );
     const step = parseInt(active.dataset.step);
     const track = active.closest(".groove-track").dataset.track;
     const trackIdx = tracks.indexOf(track);
@@ -504,17 +624,62 @@ function _renderGrid() {
   const showPed = document.getElementById("toggleHHPed").checked;
   grid
     .querySelector('[data-track="HHPed"]')
-    .classList.toggle("hidden", !showPed);
+    ?.classList.toggle("hidden", !showPed);
+
+  _refreshAddTrackOptions(tracks);
+}
+
+/**
+ * Offers every kit track the local pattern doesn't use yet.
+ * @private
+ */
+function _refreshAddTrackOptions(usedTracks) {
+  const select = document.getElementById("patAddTrack");
+  if (!select) return;
+
+  select.innerHTML = '<option value="">+ Add track…</option>';
+  Object.entries(KIT).forEach(([trackID, { name }]) => {
+    if (usedTracks.includes(trackID)) return;
+    const opt = document.createElement("option");
+    opt.value = trackID;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  select.disabled = select.options.length === 1;
 }
 
 function _saveActivePattern() {
   const rhythm = _getLocalRhythm(); // Snapshots live UI values
+  const bpmRange = _getLocalBpmRange();
+  if (bpmRange === false) {
+    notices.showNotice("⚠️ Set both tempo range ends, or leave both empty.");
+    return;
+  }
+  const grouping = _getLocalGrouping(rhythm.beats);
+  if (grouping === false) {
+    notices.showNotice(
+      `⚠️ Grouping must add up to ${rhythm.beats} beats (e.g. 2+2+3).`
+    );
+    return;
+  }
+
   const data = {
     patternTimeSignature: { beats: rhythm.beats, value: rhythm.value },
     ticksPerBeat: rhythm.ticksPerBeat,
     measures: rhythm.measures,
     patterns: _localPattern,
   };
+  if (bpmRange) data.bpmRange = bpmRange;
+  if (grouping) data.grouping = grouping;
+  const swingEl = document.getElementById("patSwing");
+  swingEl.value = sanitizeSwing(swingEl.value); // Show the clamped amount
+  // Triplet-type and quarter grids have no long-short pairs to swing
+  if (
+    isSwingSubdivision(rhythm.ticksPerBeat) &&
+    Number(swingEl.value) > DEFAULTS.SWING
+  ) {
+    data.swing = Number(swingEl.value);
+  }
 
   const result = grooveStorage.setGroovePattern(_activeGrooveName, data);
   if (result.success) {
@@ -547,7 +712,7 @@ function _closeEditor() {
 }
 
 function _clearGrid() {
-  _localPattern = { hihat: [], kick: [], snare: [], HHPed: [] };
+  _localPattern = createEmptyTracks(getTrackIds(_localPattern)); // Keep the kit
   _renderGrid();
 }
 
@@ -565,7 +730,7 @@ function _deleteSavedPattern() {
   if (btn.classList.contains("confirming")) {
     // 2. SECOND CLICK (Confirm Action)
     grooveStorage.deleteGroovePattern(_activeGrooveName);
-    _localPattern = { hihat: [], kick: [], snare: [], HHPed: [] };
+    _localPattern = createEmptyTracks();
     _renderGrid();
     _rebuildInteractiveList();
     _closeEditor();
@@ -588,6 +753,17 @@ function _deleteSavedPattern() {
   }
 }
 
+/**
+ * Mirrors a step's velocity level onto its grid cell.
+ * @private
+ */
+function _applyCellVelocity(btn, level) {
+  btn.classList.toggle("active", !!level);
+  btn.classList.toggle("velocity-accent", level === LEVELS.ACCENT);
+  btn.classList.toggle("velocity-ghost", level === LEVELS.GHOST);
+  btn.setAttribute("aria-pressed", level ? "true" : "false");
+}
+
 function _updateHint(msg) {
   document.getElementById("groove-editor-hint").textContent = msg;
 }
@@ -667,21 +843,22 @@ function _executeReplacement(nameToReplace) {
 /**
  * Resampling Engine
  * Calculates the new index for every hit and flags if a note is lost.
+ * Hits keep their velocity level when they move.
  */
 function _calculateResample(oldSub, newSub) {
-  const ratio = newSub / oldSub;
-  const newData = { hihat: [], kick: [], snare: [], HHPed: [] };
+  const newData = createEmptyTracks(getTrackIds(_localPattern));
   let hasConflicts = false;
 
   Object.keys(_localPattern).forEach((track) => {
     if (!Array.isArray(_localPattern[track])) return;
 
     _localPattern[track].forEach((val, i) => {
-      if (val === 1) {
-        const newIdx = i * ratio;
+      if (val) {
+        // Integer math keeps odd ratios (16ths → triplets) exact
+        const scaled = i * newSub;
         // If the new index is not an integer, the note falls between the grid lines
-        if (Number.isInteger(newIdx)) {
-          newData[track][newIdx] = 1;
+        if (scaled % oldSub === 0) {
+          newData[track][scaled / oldSub] = val; // Velocity travels with the note
         } else {
           hasConflicts = true;
         }
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Practice history view in the settings dialog.
+ * Lists saved sessions (newest first) with their cycles and exports the
+ * journal as JSON or CSV for teachers to review.
+ *
+ * @module ui/historyPanel
+ */
+
+import * as practiceLog from "../practiceLog.js";
+import { formatTime } from "../utils.js";
+import { downloadFile } from "./interop.js";
+import * as notices from "./notices.js";
+import { debugLog } from "../debug.js";
+
+const OUTCOME_ICONS = { completed: "✓", skipped: "⏭", stopped: "⏹" };
+const END_LABELS = {
+  completed: "Completed",
+  stopped: "Stopped",
+  interrupted: "Interrupted",
+};
+
+/**
+ * Initializes the history panel. The list renders lazily when opened and
+ * refreshes whenever a session is saved.
+ *
+ * @returns {void}
+ */
+export function initHistoryPanel() {
+  const details = document.getElementById("practiceHistory");
+  const jsonBtn = document.getElementById("historyExportJsonBtn");
+  const csvBtn = document.getElementById("historyExportCsvBtn");
+  const clearBtn = document.getElementById("historyClearBtn");
+  if (!details || !jsonBtn || !csvBtn || !clearBtn) return;
+
+  details.addEventListener("toggle", () => {
+    if (details.open) _render();
+  });
+  document.addEventListener("practiceLog:saved", () => {
+    if (details.open) _render();
+  });
+
+  jsonBtn.addEventListener("click", () => _export("json"));
+  csvBtn.addEventListener("click", () => _export("csv"));
+
+  // Two-step confirm, same pattern as the groove list's Replace button
+  clearBtn.addEventListener("click", async () => {
+    if (!clearBtn.classList.contains("confirming")) {
+      clearBtn.classList.add("confirming");
+      clearBtn.textContent = "Confirm?";
+      setTimeout(() => {
+        clearBtn.classList.remove("confirming");
+        clearBtn.textContent = "Clear";
+      }, 3000);
+      return;
+    }
+    clearBtn.classList.remove("confirming");
+    clearBtn.textContent = "Clear";
+    try {
+      await practiceLog.clearSessions();
+      notices.showNotice("🗑️ Practice history cleared.");
+    } catch (e) {
+      debugLog("state", "❌ Failed to clear practice log", e);
+      notices.showNotice("❌ Could not clear practice history.");
+    }
+    _render();
+  });
+}
+
+/**
+ * Downloads the whole journal.
+ * @private
+ * @param {"json"|"csv"} format
+ */
+async function _export(format) {
+  const sessions = await practiceLog.getSessions();
+  if (sessions.length === 0) {
+    notices.showNotice("⚠️ Nothing to export yet.");
+    return;
+  }
+
+  const date = new Date().toISOString().split("T")[0];
+  if (format === "csv") {
+    downloadFile(
+      practiceLog.sessionsToCSV(sessions),
+      `rgt_practice_${date}.csv`,
+      "text/csv"
+    );
+  } else {
+    downloadFile(
+      JSON.stringify({ type: "rgt_practice_log", sessions }, null, 2),
+      `rgt_practice_${date}.json`,
+      "application/json"
+    );
+  }
+  notices.showNotice("✅ Practice history exported.");
+}
+
+/**
+ * Rebuilds the session list.
+ * @private
+ */
+async function _render() {
+  const list = document.getElementById("historyList");
+  if (!list) return;
+
+  const sessions = await practiceLog.getSessions();
+  list.innerHTML = "";
+
+  if (sessions.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "setting-description";
+    empty.textContent = "No sessions recorded yet.";
+    list.appendChild(empty);
+    return;
+  }
+
+  sessions.forEach((s) => list.appendChild(_buildEntry(s)));
+}
+
+/**
+ * One collapsible row per session; cycles are listed inside.
+ * @private
+ */
+function _buildEntry(session) {
+  const entry = document.createElement("details");
+  entry.className = `history-entry history-${session.endReason}`;
+
+  const started = new Date(session.startedAt).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+  const kind = session.type === "simple" ? "Metronome" : "Grooves";
+  const summary = document.createElement("summary");
+  summary.textContent = [
+    started,
+    kind,
+    formatTime(Math.round(session.activeS)),
+    `${session.cycles.length} ${session.type === "simple" ? "tempo" : "cycle"}${session.cycles.length === 1 ? "" : "s"}`,
+    END_LABELS[session.endReason] || session.endReason,
+  ].join(" · ");
+  entry.appendChild(summary);
+
+  const cycles = document.createElement("ol");
+  cycles.className = "history-cycles";
+  session.cycles.forEach((c) => {
+    const li = document.createElement("li");
+    const name = c.groove ? `${c.groove} — ` : "";
+    li.textContent = `${OUTCOME_ICONS[c.outcome] || ""} ${name}${c.bpm} BPM · ${c.timeSignature} · ${formatTime(Math.round(c.playedS))}`;
+    li.title = c.outcome;
+    cycles.appendChild(li);
+  });
+  entry.appendChild(cycles);
+
+  if (session.pauses.length > 0) {
+    const pausedS = session.pauses.reduce((sum, p) => sum + p.seconds, 0);
+    const note = document.createElement("p");
+    note.className = "setting-description";
+    note.textContent = `Paused ${session.pauses.length}× (${formatTime(Math.round(pausedS))})`;
+    entry.appendChild(note);
+  }
+
+  return entry;
+}
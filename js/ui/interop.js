@@ -9,6 +9,7 @@ import { debugLog } from "../debug.js";
 import { getActiveModeOwner } from "../ownership.js";
 import * as notices from "./notices.js";
 import * as grooveStorage from "../grooveStorage.js";
+import * as routines from "../routines.js";
 import * as utils from "../utils.js";
 import * as metronome from "../metronomeCore.js";
 import { patternScheduler } from "../patternScheduler.js";
@@ -45,6 +46,30 @@ export function togglePreviewPlayback() {
   return _isPreviewPlaying;
 }
 
+/**
+ * Triggers a browser download of in-memory text.
+ *
+ * @param {string} content - File body
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ * @returns {void}
+ */
+export function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+}
+
 /**
  * Initializes the Import/Export UI logic.
  * Wires the "Backup Library" and "Restore Library" buttons.
@@ -65,21 +90,9 @@ export function initInteropUI() {
     }
 
     try {
-      const blob = new Blob([bundle], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
       const date = new Date().toISOString().split("T")[0];
-
-      a.href = url;
-      a.download = `rgt_backup_${date}.json`;
-      document.body.appendChild(a);
-      a.click();
-
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        notices.showNotice("✅ Backup file created.");
-      }, 100);
+      downloadFile(bundle, `rgt_backup_${date}.json`, "application/json");
+      notices.showNotice("✅ Backup file created.");
     } catch (e) {
       debugLog("state", "❌ Export UI Error", e);
       notices.showNotice("❌ Export failed.");
@@ -120,11 +133,20 @@ export function initInteropUI() {
 
 /**
  * Handles the feasibility report and displays the interactive mediation UI.
+ * Routines in the bundle follow the same replace/merge choice as patterns.
  */
 export function handleImportReport(bundle, report) {
-  const executeImport = (namesToImport) => {
+  const routineReport = routines.getRoutineImportReport(bundle.routines);
+  const collisionCount =
+    report.collisions.length + routineReport.collisions.length;
+
+  const executeImport = (namesToImport, routineNames) => {
     const success = grooveStorage.commitImport(bundle.library, namesToImport);
     if (success) {
+      const addedRoutines = routines.commitRoutineImport(
+        bundle.routines,
+        routineNames
+      );
       if (bundle.names) {
         const textarea = document.getElementById("grooves");
         if (textarea) {
@@ -143,7 +165,9 @@ export function handleImportReport(bundle, report) {
           textarea.dispatchEvent(new Event("input", { bubbles: true }));
         }
       }
-      notices.showNotice(`✅ Imported ${namesToImport.length} patterns.`);
+      notices.showNotice(
+        `✅ Imported ${_describeItems(namesToImport.length, addedRoutines)}.`
+      );
       document.dispatchEvent(
         new CustomEvent("metronome:ownerChanged", { detail: { owner: null } })
       );
@@ -151,18 +175,25 @@ export function handleImportReport(bundle, report) {
     notices.hideInteractiveNotice();
   };
 
+  const patternCount = report.validIncoming.length;
+  const routineCount = routineReport.validIncoming.length;
+  if (patternCount === 0 && routineCount === 0) {
+    notices.showNotice("✅ Everything in this backup is already saved.");
+    return;
+  }
+
   let html = "";
-  if (!report.canFit) {
+  if (!report.canFit || !routineReport.canFit) {
     html = `<div style="margin-bottom: 12px; font-weight: 600;">❌ Storage Full: Not enough slots.</div><button id="import-cancel" style="width: 100%;">Cancel</button>`;
-  } else if (report.collisions.length > 0) {
-    html = `<div style="margin-bottom: 12px; font-weight: 600;">⚠️ Found ${report.collisions.length} duplicates. Proceed?</div>
+  } else if (collisionCount > 0) {
+    html = `<div style="margin-bottom: 12px; font-weight: 600;">⚠️ Found ${collisionCount} duplicates. Proceed?</div>
             <div style="display: flex; flex-direction: column; gap: 8px;">
               <button id="import-replace" style="background: var(--accent); color: white;">Replace My Patterns</button>
               <button id="import-merge">Keep Mine & Merge New</button>
               <button id="import-cancel">Cancel</button>
             </div>`;
   } else {
-    html = `<div style="margin-bottom: 12px; font-weight: 600;">Import ${report.totalIncoming} new patterns?</div>
+    html = `<div style="margin-bottom: 12px; font-weight: 600;">Import ${_describeItems(patternCount, routineCount, "new ")}?</div>
             <div style="display: flex; gap: 8px;">
               <button id="import-confirm" style="background: var(--accent); color: white; flex: 1;">Yes, Import</button>
               <button id="import-cancel" style="flex: 1;">Cancel</button>
@@ -176,14 +207,18 @@ export function handleImportReport(bundle, report) {
 
   const confirmBtn = document.getElementById("import-confirm");
   if (confirmBtn)
-    confirmBtn.onclick = () => executeImport(report.validIncoming);
+    confirmBtn.onclick = () =>
+      executeImport(report.validIncoming, routineReport.validIncoming);
 
   const replaceBtn = document.getElementById("import-replace");
   if (replaceBtn)
-    replaceBtn.onclick = () => executeImport(report.validIncoming);
+    replaceBtn.onclick = () =>
+      executeImport(report.validIncoming, routineReport.validIncoming);
 
   const mergeBtn = document.getElementById("import-merge");
-  if (mergeBtn) mergeBtn.onclick = () => executeImport(report.newItems);
+  if (mergeBtn)
+    mergeBtn.onclick = () =>
+      executeImport(report.newItems, routineReport.newItems);
 }
 
 /**
@@ -238,11 +273,13 @@ export function handlePreviewMode(pattern) {
   }
 
   _isPreviewActive = true;
-  patternScheduler.load(pattern);
+  patternScheduler.load(pattern, pattern.name || "Shared");
 
   const pTS = pattern.patternTimeSignature || { beats: 4, value: 4 };
   metronome.setTimeSignature(parseInt(pTS.beats), parseInt(pTS.value));
   metronome.setTicksPerBeat(pattern.ticksPerBeat || 1);
+  metronome.setGrouping(grooveStorage.getPatternGrouping(pattern));
+  metronome.setSwing(grooveStorage.getPatternSwing(pattern));
 
   import("../visuals.js").then((m) => m.primeVisuals("groove"));
 
@@ -340,3 +377,21 @@ export async function pasteFromClipboard() {
     notices.showNotice("❌ Clipboard access denied.");
   }
 }
+
+/**
+ * Names what an import holds, leaving out an empty kind:
+ * "2 patterns and 1 routine", "3 routines".
+ * @private
+ */
+function _describeItems(patternCount, routineCount, prefix = "") {
+  const parts = [];
+  if (patternCount > 0 || routineCount === 0) {
+    parts.push(
+      `${patternCount} ${prefix}pattern${patternCount === 1 ? "" : "s"}`
+    );
+  }
+  if (routineCount > 0) {
+    parts.push(`${routineCount} routine${routineCount === 1 ? "" : "s"}`);
+  }
+  return parts.join(" and ");
+}
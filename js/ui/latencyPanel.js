@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Latency calibration section of the settings dialog.
+ * Two ways to find the offset of the current output device: tap along to
+ * a run of clicks and let the median tap delay set it, or play the clicks
+ * with a flash and nudge the offset until both line up.
+ *
+ * @module ui/latencyPanel
+ */
+
+import { ensureAudio } from "../audioProfiles.js";
+import { AUDIO } from "../constants.js";
+import { debugLog } from "../debug.js";
+import {
+  detectOutputDevice,
+  estimateLatencyMs,
+  getActiveDevice,
+  getLatencyMs,
+  playCalibrationClicks,
+  saveLatencyMs,
+  sanitizeLatencyMs,
+} from "../latency.js";
+import { getActiveModeOwner } from "../ownership.js";
+import * as notices from "./notices.js";
+
+const FLASH_MS = 90;
+const SETTLE_S = 0.5; // Grace after the last click for a late tap
+
+/** @type {{taps: number[]|null, timers: number[], bus: GainNode}|null} */
+let _run = null;
+
+/**
+ * Initializes the calibration section: detects the output device, shows
+ * its stored offset and wires the tap-along and flash tests.
+ *
+ * @returns {void}
+ */
+export function initLatencyPanel() {
+  const details = document.getElementById("latencyCalibration");
+  if (!details) return;
+
+  const offsetInput = document.getElementById("latencyOffset");
+  const pad = document.getElementById("latencyFlash");
+
+  _refreshDevice();
+  if (navigator.mediaDevices && "ondevicechange" in navigator.mediaDevices) {
+    navigator.mediaDevices.addEventListener("devicechange", _refreshDevice);
+  }
+
+  offsetInput.addEventListener("change", () => {
+    const ms = saveLatencyMs(getActiveDevice(), offsetInput.value);
+    offsetInput.value = ms;
+    _setStatus(`Saved ${ms} ms for ${getActiveDevice()}.`);
+  });
+
+  document
+    .getElementById("latencyTapBtn")
+    .addEventListener("click", () => _startRun(true));
+  document
+    .getElementById("latencyFlashBtn")
+    .addEventListener("click", () => _startRun(false));
+
+  // Taps use the pad only: Space is taken by the transport hotkey
+  pad.addEventListener("pointerdown", (e) => {
+    if (!_run?.taps) return;
+    e.preventDefault();
+    _run.taps.push(ensureAudio().currentTime);
+    _flash(pad);
+  });
+
+  // A metronome starting mid-run would mix its clicks into the test
+  document.addEventListener("metronome:ownerChanged", (e) => {
+    if (e?.detail?.owner && _run) _endRun("Calibration stopped.");
+  });
+  details.addEventListener("toggle", () => {
+    if (!details.open && _run) _endRun("");
+  });
+}
+
+/**
+ * Re-reads the output device and shows its profile.
+ * @private
+ */
+async function _refreshDevice() {
+  const device = await detectOutputDevice();
+  const label = document.getElementById("latencyDevice");
+  const offsetInput = document.getElementById("latencyOffset");
+  if (label) label.textContent = device;
+  if (offsetInput) offsetInput.value = getLatencyMs(device);
+}
+
+/**
+ * Plays the calibration clicks. A tap run collects taps on the pad and
+ * stores the estimate; a flash run lights the pad at each click plus the
+ * typed offset.
+ *
+ * @param {boolean} collectTaps
+ * @private
+ */
+function _startRun(collectTaps) {
+  if (_run) return;
+  if (getActiveModeOwner()) {
+    notices.showNotice("⚠️ Busy: Stop the metronome to calibrate.");
+    return;
+  }
+
+  const ctx = ensureAudio();
+  const pad = document.getElementById("latencyFlash");
+  const offsetMs = sanitizeLatencyMs(
+    document.getElementById("latencyOffset").value
+  );
+  const bus = ctx.createGain();
+  bus.connect(ctx.destination);
+  const clicks = playCalibrationClicks(ctx, bus);
+  _run = { taps: collectTaps ? [] : null, timers: [], bus };
+  _setButtonsDisabled(true);
+
+  if (collectTaps) {
+    _setStatus("Tap the pad on every click you hear.");
+  } else {
+    _setStatus("Adjust the offset until flash and click line up.");
+    clicks.forEach((t) => {
+      const delay = (t - ctx.currentTime) * 1000 + offsetMs;
+      _run.timers.push(setTimeout(() => _flash(pad), Math.max(0, delay)));
+    });
+  }
+
+  const endMs = (clicks[clicks.length - 1] - ctx.currentTime + SETTLE_S) * 1000;
+  _run.timers.push(
+    setTimeout(() => {
+      if (!collectTaps) {
+        _endRun("");
+        return;
+      }
+      const ms = estimateLatencyMs(_run.taps, clicks);
+      if (ms === null) {
+        _endRun(
+          `Only ${_run.taps.length} taps caught, at least ${AUDIO.LATENCY.MIN_TAPS} needed. Try again.`
+        );
+        return;
+      }
+      saveLatencyMs(getActiveDevice(), ms);
+      document.getElementById("latencyOffset").value = ms;
+      debugLog("audio", `🎧 Calibrated ${getActiveDevice()}: ${ms}ms`);
+      _endRun(`Measured ${ms} ms for ${getActiveDevice()}.`);
+    }, endMs)
+  );
+}
+
+/**
+ * Silences clicks still scheduled, cancels pending flashes and timers and
+ * re-enables the buttons.
+ *
+ * @param {string} status
+ * @private
+ */
+function _endRun(status) {
+  if (!_run) return;
+  _run.timers.forEach(clearTimeout);
+  _run.bus.disconnect();
+  _run = null;
+  _setButtonsDisabled(false);
+  _setStatus(status);
+}
+
+/** @private */
+function _flash(pad) {
+  pad.classList.add("flashing");
+  setTimeout(() => pad.classList.remove("flashing"), FLASH_MS);
+}
+
+/** @private */
+function _setButtonsDisabled(disabled) {
+  ["latencyTapBtn", "latencyFlashBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = disabled;
+  });
+}
+
+/** @private */
+function _setStatus(text) {
+  const status = document.getElementById("latencyStatus");
+  if (status) status.textContent = text;
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview MIDI output section of the settings dialog.
+ * Picks the port the clock and groove notes go to and stops the port
+ * whenever playback ends.
+ *
+ * @module ui/midiOutputPanel
+ */
+
+import { debugLog } from "../debug.js";
+import { isMidiSupported } from "../midiInput.js";
+import * as midiOutput from "../midiOutput.js";
+
+/**
+ * Initializes the MIDI output section. A stored port is reopened on load
+ * when MIDI access was granted before.
+ *
+ * @returns {void}
+ */
+export function initMidiOutputPanel() {
+  const select = document.getElementById("midiOutputSelect");
+  if (!select) return;
+
+  const connectBtn = document.getElementById("midiOutputConnectBtn");
+  const clockToggle = document.getElementById("midiClockToggle");
+  const notesToggle = document.getElementById("midiNotesToggle");
+
+  const settings = midiOutput.getMidiOutputSettings();
+  clockToggle.checked = settings.clock;
+  notesToggle.checked = settings.notes;
+  _fillPorts([]);
+
+  if (!isMidiSupported()) {
+    [select, connectBtn, clockToggle, notesToggle].forEach(
+      (el) => (el.disabled = true)
+    );
+    _setStatus("Web MIDI isn't available in this browser.");
+    return;
+  }
+
+  const save = () => {
+    midiOutput.saveMidiOutputSettings({
+      output: select.value,
+      clock: clockToggle.checked,
+      notes: notesToggle.checked,
+    });
+    _fillPorts(midiOutput.getOutputNames());
+  };
+  [select, clockToggle, notesToggle].forEach((el) =>
+    el.addEventListener("change", save)
+  );
+  connectBtn.addEventListener("click", _connect);
+
+  // Playback ended (or the editor took over): stop the clock and notes
+  document.addEventListener("metronome:ownerChanged", (e) => {
+    const owner = e?.detail?.owner;
+    if (owner !== "groove" && owner !== "simple") midiOutput.stopOutput();
+  });
+
+  if (settings.output) _reconnectIfGranted();
+}
+
+/** @private */
+async function _connect() {
+  try {
+    _fillPorts(await midiOutput.connectMidiOutput(_fillPorts));
+  } catch (e) {
+    debugLog("audio", "❌ MIDI access failed:", e);
+    _setStatus("⚠️ MIDI access was blocked. Allow it in the site settings.");
+  }
+}
+
+/**
+ * Opens the stored port without prompting: only when the browser already
+ * granted MIDI access.
+ * @private
+ */
+async function _reconnectIfGranted() {
+  try {
+    const status = await navigator.permissions.query({ name: "midi" });
+    if (status.state === "granted") await _connect();
+  } catch (e) {
+    debugLog("audio", "⚠️ Could not check MIDI permission:", e);
+  }
+}
+
+/**
+ * Lists the ports. The stored port stays selectable while unplugged.
+ * @private
+ */
+function _fillPorts(names) {
+  const select = document.getElementById("midiOutputSelect");
+  const { output } = midiOutput.getMidiOutputSettings();
+  select.innerHTML = "";
+  select.appendChild(new Option("Off", ""));
+  names.forEach((name) => select.appendChild(new Option(name, name)));
+  if (output && !names.includes(output)) {
+    select.appendChild(new Option(`${output} (not connected)`, output));
+  }
+  select.value = output;
+
+  if (output) {
+    _setStatus(
+      names.includes(output)
+        ? `Sending to ${output}.`
+        : `${output} isn't connected.`
+    );
+  } else if (names.length === 0) {
+    _setStatus("No MIDI outputs found. Press Find ports to list them.");
+  } else {
+    _setStatus("");
+  }
+}
+
+/** @private */
+function _setStatus(text) {
+  const status = document.getElementById("midiOutputStatus");
+  if (status) status.textContent = text;
+}
@@ -0,0 +1,190 @@
+/**
+ * @fileoverview E-kit (Web MIDI) section of the groove panel.
+ * Once a kit is connected, each groove cycle is scored: hits are matched
+ * to the pattern's notes and the cycle ends with a table of on-time,
+ * mistimed, missed and extra notes per bar.
+ *
+ * @module ui/midiPanel
+ */
+
+import { ensureAudio } from "../audioProfiles.js";
+import { debugLog } from "../debug.js";
+import { KIT } from "../drumKit.js";
+import * as hitScoring from "../hitScoring.js";
+import {
+  connectMidiInput,
+  isMidiSupported,
+  midiTimeToScheduleTime,
+} from "../midiInput.js";
+import { getActiveModeOwner } from "../ownership.js";
+
+let _connected = false;
+
+/**
+ * Initializes the e-kit section: connect button, scoring lifecycle and
+ * the per-bar report.
+ *
+ * @returns {void}
+ */
+export function initMidiPanel() {
+  const connectBtn = document.getElementById("midiConnectBtn");
+  if (!connectBtn) return;
+
+  if (!isMidiSupported()) {
+    connectBtn.disabled = true;
+    _setStatus("Web MIDI isn't available in this browser.");
+    return;
+  }
+
+  connectBtn.addEventListener("click", async () => {
+    try {
+      const names = await connectMidiInput(_onHit, _showInputs);
+      _connected = true;
+      connectBtn.textContent = "Reconnect";
+      _showInputs(names);
+      if (getActiveModeOwner() === "groove" && !hitScoring.isScoring()) {
+        hitScoring.startScoring();
+      }
+    } catch (e) {
+      debugLog("audio", "❌ MIDI access failed:", e);
+      _setStatus("⚠️ MIDI access was blocked. Allow it in the site settings.");
+    }
+  });
+
+  // 1. Each groove cycle is scored on its own...
+  document.addEventListener("metronome:ownerChanged", (e) => {
+    if (!_connected) return;
+    if (e?.detail?.owner === "groove") {
+      if (!hitScoring.isScoring()) hitScoring.startScoring();
+    } else if (hitScoring.isScoring()) {
+      _renderReport(hitScoring.stopScoring(ensureAudio().currentTime));
+    }
+  });
+
+  // 2. ...and reported when it ends (the last cycle starts no new score)
+  document.addEventListener("groove:cycleEnd", (e) => {
+    if (!hitScoring.isScoring()) return;
+    _renderReport(hitScoring.stopScoring(ensureAudio().currentTime));
+    if (!e?.detail?.last) hitScoring.startScoring();
+  });
+}
+
+/** @private */
+function _showInputs(names) {
+  _setStatus(
+    names.length
+      ? `Listening to ${names.join(", ")}.`
+      : "No MIDI inputs found. Plug in your kit; it is picked up automatically."
+  );
+}
+
+/**
+ * Scores an incoming hit and shows the verdict.
+ * @private
+ */
+function _onHit({ note, track, timeStamp }) {
+  const name = track ? KIT[track].label : `Note ${note}`;
+  const scored = hitScoring.recordHit(
+    track,
+    midiTimeToScheduleTime(ensureAudio(), timeStamp)
+  );
+  if (!scored) {
+    _setLast(`${name} (start a groove to score hits)`);
+    return;
+  }
+
+  const { result, ms } = scored;
+  if (result === "unmapped") _setLast(`${name}: not mapped to the kit`);
+  else if (result === "extra") _setLast(`${name}: extra note`);
+  else if (ms === 0) _setLast(`${name}: on time`);
+  else {
+    _setLast(
+      `${name}: ${result === "onTime" ? "on time, " : ""}${Math.abs(ms)} ms ${
+        ms < 0 ? "early" : "late"
+      }`
+    );
+  }
+}
+
+/**
+ * Fills the report table, one row per bar plus a total.
+ *
+ * @param {Object[]|null} bars - `hitScoring.stopScoring()` result
+ * @private
+ */
+function _renderReport(bars) {
+  const container = document.getElementById("midiReport");
+  if (!container || !bars) return;
+  container.innerHTML = "";
+
+  if (!bars.some((b) => b.expected > 0)) {
+    container.appendChild(
+      _cell(
+        "p",
+        "No pattern notes to score in that cycle.",
+        "setting-description"
+      )
+    );
+    return;
+  }
+
+  const table = document.createElement("table");
+  table.className = "midi-report";
+  const head = document.createElement("tr");
+  ["Bar", "On time", "Mistimed", "Missed", "Extra", "Avg"].forEach((h) =>
+    head.appendChild(_cell("th", h))
+  );
+  table.appendChild(head);
+
+  const total = { bar: "All", onTime: 0, mistimed: 0, missed: 0, extra: 0 };
+  const allOffsets = [];
+  bars.forEach((b) => {
+    table.appendChild(_row(b, b.offsets));
+    ["onTime", "mistimed", "missed", "extra"].forEach(
+      (k) => (total[k] += b[k])
+    );
+    allOffsets.push(...b.offsets);
+  });
+  const totalRow = _row(total, allOffsets);
+  totalRow.classList.add("midi-report-total");
+  table.appendChild(totalRow);
+  container.appendChild(table);
+}
+
+/** @private */
+function _row(tally, offsets) {
+  const row = document.createElement("tr");
+  const mean = offsets.length
+    ? Math.round(offsets.reduce((a, b) => a + b, 0) / offsets.length)
+    : null;
+  [
+    tally.bar,
+    tally.onTime,
+    tally.mistimed,
+    tally.missed,
+    tally.extra,
+    mean === null ? "–" : `${mean > 0 ? "+" : ""}${mean} ms`,
+  ].forEach((v) => row.appendChild(_cell("td", String(v))));
+  if (tally.missed || tally.extra) row.classList.add("midi-report-errors");
+  return row;
+}
+
+/** @private */
+function _cell(tag, text, className = "") {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+/** @private */
+function _setStatus(text) {
+  const status = document.getElementById("midiStatus");
+  if (status) status.textContent = text;
+}
+
+/** @private */
+function _setLast(text) {
+  const last = document.getElementById("midiLastHit");
+  if (last) last.textContent = text;
+}
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Groove panel mixer strips (volume, pan, mute, solo per track).
+ * Rebuilds its rows when the playing pattern changes and otherwise syncs
+ * values in place so sliders keep focus while dragged.
+ *
+ * @module ui/mixerPanel
+ */
+
+import * as mixer from "../mixer.js";
+import { KIT, DEFAULT_TRACKS } from "../drumKit.js";
+import { patternScheduler } from "../patternScheduler.js";
+
+let _renderedKey = null; // Track list + target the strips were built for
+
+/**
+ * Initializes the mixer panel and keeps it in sync with the mixer state.
+ *
+ * @returns {void}
+ */
+export function initMixerPanel() {
+  const scopeEl = document.getElementById("mixerScope");
+  const resetBtn = document.getElementById("mixerResetBtn");
+  if (!scopeEl || !resetBtn) return;
+
+  scopeEl.value = mixer.getScope();
+  scopeEl.addEventListener("change", (e) => mixer.setScope(e.target.value));
+  resetBtn.addEventListener("click", () => mixer.resetMix());
+
+  document.addEventListener("mixer:changed", _render);
+  _render();
+}
+
+/**
+ * Tracks shown in the strip list: the loaded pattern's kit, or the default four.
+ * @private
+ */
+function _getMixerTracks() {
+  return patternScheduler.isActive()
+    ? patternScheduler.getTracks()
+    : [...DEFAULT_TRACKS];
+}
+
+/**
+ * Builds or refreshes the channel strips.
+ * @private
+ */
+function _render() {
+  const container = document.getElementById("mixer-strips");
+  const targetEl = document.getElementById("mixer-target");
+  if (!container) return;
+
+  const tracks = _getMixerTracks();
+  const scope = mixer.getScope();
+  const pattern = mixer.getActivePattern();
+  const perGroove = scope === "pattern" && pattern;
+
+  document.getElementById("mixerScope").value = scope;
+  if (targetEl) {
+    targetEl.textContent = perGroove
+      ? `Editing the mix for "${pattern}".`
+      : scope === "pattern"
+        ? "No groove loaded: editing the shared mix."
+        : "Editing the shared mix for all grooves.";
+  }
+
+  const key = `${scope}|${pattern}|${tracks.join(",")}`;
+  if (key !== _renderedKey) {
+    _renderedKey = key;
+    container.innerHTML = "";
+    tracks.forEach((trackID) => container.appendChild(_buildStrip(trackID)));
+  }
+
+  tracks.forEach((trackID) => _syncStrip(container, trackID));
+}
+
+/**
+ * Creates the controls for a single track.
+ * @private
+ */
+function _buildStrip(trackID) {
+  const { name, label } = KIT[trackID];
+
+  const row = document.createElement("div");
+  row.className = "mixer-strip";
+  row.dataset.track = trackID;
+  row.setAttribute("role", "group");
+  row.setAttribute("aria-label", `${name} channel`);
+
+  row.innerHTML = `
+    <span class="mixer-strip-label" title="${name}">${label}</span>
+    <button class="mixer-mute" aria-label="Mute ${name}">M</button>
+    <button class="mixer-solo" aria-label="Solo ${name}">S</button>
+    <input class="mixer-volume" type="range" min="0" max="100" step="1"
+           aria-label="${name} volume" />
+    <input class="mixer-pan" type="range" min="-100" max="100" step="1"
+           aria-label="${name} pan" />
+  `;
+
+  row.querySelector(".mixer-mute").onclick = () =>
+    mixer.setChannel(trackID, { mute: !mixer.getChannel(trackID).mute });
+  row.querySelector(".mixer-solo").onclick = () =>
+    mixer.setChannel(trackID, { solo: !mixer.getChannel(trackID).solo });
+  row
+    .querySelector(".mixer-volume")
+    .addEventListener("input", (e) =>
+      mixer.setChannel(trackID, { volume: e.target.value / 100 })
+    );
+
+  const panEl = row.querySelector(".mixer-pan");
+  panEl.addEventListener("input", (e) =>
+    mixer.setChannel(trackID, { pan: e.target.value / 100 })
+  );
+  // Double-click recentres the pan knob
+  panEl.addEventListener("dblclick", () =>
+    mixer.setChannel(trackID, { pan: 0 })
+  );
+
+  return row;
+}
+
+/**
+ * Mirrors stored channel values onto an existing strip.
+ * @private
+ */
+function _syncStrip(container, trackID) {
+  const row = container.querySelector(`.mixer-strip[data-track="${trackID}"]`);
+  if (!row) return;
+
+  const ch = mixer.getChannel(trackID);
+  const muteBtn = row.querySelector(".mixer-mute");
+  const soloBtn = row.querySelector(".mixer-solo");
+
+  muteBtn.classList.toggle("active", ch.mute);
+  muteBtn.setAttribute("aria-pressed", ch.mute ? "true" : "false");
+  soloBtn.classList.toggle("active", ch.solo);
+  soloBtn.setAttribute("aria-pressed", ch.solo ? "true" : "false");
+  row.querySelector(".mixer-volume").value = Math.round(ch.volume * 100);
+  row.querySelector(".mixer-pan").value = Math.round(ch.pan * 100);
+}
@@ -10,6 +10,9 @@ import * as sessionEngine from "../sessionEngine.js";
 import { getActiveModeOwner } from "../ownership.js";
 import * as simpleMetronome from "../simpleMetronome.js";
 import * as utils from "../utils.js";
+import * as speedTrainer from "../speedTrainer.js";
+import { isAdvancedMode, getQuantizationStep } from "./advancedMode.js";
+import { LIMITS, STORAGE_KEYS } from "../constants.js";
 
 /**
  * Enables/disables a mode tab.
@@ -409,3 +412,97 @@ export function initSimplePanelControls() {
   // Initialize UI
   updateSimpleUI();
 }
+
+/**
+ * Returns the BPM grid step the speed trainer snaps its increment to.
+ * Simple Mode always works on the factory step.
+ *
+ * @private
+ * @returns {number}
+ */
+function _speedTrainerStep() {
+  return isAdvancedMode() ? getQuantizationStep() : LIMITS.STEP.DEFAULT;
+}
+
+/**
+ * Initializes the speed trainer form and stage readout in the simple panel.
+ * Settings persist on every change; fields lock while the metronome runs.
+ *
+ * @returns {void}
+ *
+ * @example
+ * initSpeedTrainerUI(); // Restores settings and wires the ramp controls
+ */
+export function initSpeedTrainerUI() {
+  const toggle = document.getElementById("speedTrainerToggle");
+  const stageEl = document.getElementById("speedTrainerStage");
+  if (!toggle) return;
+
+  const fields = {
+    startBpm: document.getElementById("speedStartBpm"),
+    targetBpm: document.getElementById("speedTargetBpm"),
+    increment: document.getElementById("speedIncrement"),
+    every: document.getElementById("speedEvery"),
+    unit: document.getElementById("speedUnit"),
+  };
+  const loopToggle = document.getElementById("speedLoopToggle");
+
+  const syncInputs = (settings) => {
+    toggle.checked = settings.enabled;
+    loopToggle.checked = settings.loop;
+    Object.entries(fields).forEach(([key, el]) => {
+      el.value = settings[key];
+    });
+    fields.startBpm.step = _speedTrainerStep();
+    fields.targetBpm.step = _speedTrainerStep();
+    fields.increment.step = _speedTrainerStep();
+    fields.increment.min = _speedTrainerStep();
+  };
+
+  const apply = () => {
+    const raw = { enabled: toggle.checked, loop: loopToggle.checked };
+    Object.entries(fields).forEach(([key, el]) => {
+      raw[key] = el.value;
+    });
+    const settings = speedTrainer.configureSpeedTrainer(
+      raw,
+      _speedTrainerStep()
+    );
+    syncInputs(settings); // Reflect clamped / snapped values
+    localStorage.setItem(STORAGE_KEYS.SPEED_TRAINER, JSON.stringify(settings));
+  };
+
+  [toggle, loopToggle, ...Object.values(fields)].forEach((el) =>
+    el.addEventListener("change", apply)
+  );
+
+  // Restore persisted settings
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.SPEED_TRAINER)) || {};
+  } catch (e) {
+    debugLog("state", "⚠️ Failed to parse speed trainer settings:", e);
+  }
+  syncInputs(speedTrainer.configureSpeedTrainer(stored, _speedTrainerStep()));
+
+  // Re-snap the increment when the BPM step changes
+  document.addEventListener("advancedSettings:changed", apply);
+
+  // Lock the form while a run is in progress
+  document.addEventListener("simpleMetronome:state", (ev) => {
+    const locked = ev.detail.running;
+    [toggle, loopToggle, ...Object.values(fields)].forEach((el) => {
+      el.disabled = locked;
+    });
+  });
+
+  // Stage readout under the BPM display
+  document.addEventListener("speedTrainer:stage", (ev) => {
+    const { active, index, total, direction } = ev.detail;
+    if (!stageEl) return;
+    stageEl.classList.toggle("hidden", !active);
+    if (!active) return;
+    const arrow = direction === "up" ? "▲" : "▼";
+    stageEl.textContent = `Stage ${index}/${total} ${arrow}`;
+  });
+}
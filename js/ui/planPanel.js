@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Practice plan editor in the groove panel.
+ * Lists the plan's segments with their settings, runs the plan through
+ * sessionEngine and shows its progress in both panels.
+ *
+ * @module ui/planPanel
+ */
+
+import * as sessionEngine from "../sessionEngine.js";
+import * as practicePlan from "../practicePlan.js";
+import { getActiveModeOwner } from "../ownership.js";
+import { LIMITS } from "../constants.js";
+import { formatTime, convertToSeconds } from "../utils.js";
+import * as notices from "./notices.js";
+
+let _segments = [];
+let _running = false;
+
+/**
+ * Initializes the plan editor and its progress readouts.
+ *
+ * @returns {void}
+ */
+export function initPlanPanel() {
+  const list = document.getElementById("planSegments");
+  const runBtn = document.getElementById("planRunBtn");
+  const addSimpleBtn = document.getElementById("planAddSimpleBtn");
+  const addGrooveBtn = document.getElementById("planAddGrooveBtn");
+  if (!list || !runBtn || !addSimpleBtn || !addGrooveBtn) return;
+
+  _segments = practicePlan.getPlan();
+
+  // New segments start from what the panels are set to right now
+  addSimpleBtn.addEventListener("click", () => {
+    _addSegment({
+      type: "simple",
+      minutes: 5,
+      bpm: document.getElementById("simpleBpm")?.value,
+    });
+  });
+  addGrooveBtn.addEventListener("click", () => {
+    const cycleSeconds = convertToSeconds(
+      parseInt(document.getElementById("cycleDuration")?.value, 10),
+      document.getElementById("cycleUnit")?.value
+    );
+    _addSegment({
+      type: "groove",
+      minutes: 10,
+      grooves: document.getElementById("grooves")?.value,
+      bpmMin: document.getElementById("bpmMin")?.value,
+      bpmMax: document.getElementById("bpmMax")?.value,
+      cycleSeconds,
+    });
+  });
+
+  runBtn.addEventListener("click", () => {
+    if (_running) {
+      sessionEngine.stopPlan();
+      return;
+    }
+    if (_segments.length === 0) {
+      notices.showNotice("⚠️ Add a segment first.");
+      return;
+    }
+    const owner = getActiveModeOwner();
+    if (owner) {
+      notices.showNotice(`⚠️ Cannot run the plan while ${owner} is active.`);
+      return;
+    }
+    sessionEngine.startPlan(_segments);
+  });
+
+  document.addEventListener("practicePlan:progress", (e) =>
+    _onProgress(e.detail)
+  );
+  document.addEventListener("metronome:ownerChanged", _syncLock);
+
+  _render();
+}
+
+/** @private */
+function _addSegment(raw) {
+  if (_segments.length >= LIMITS.PLAN.SEGMENTS_MAX) {
+    notices.showNotice(
+      `⚠️ A plan holds up to ${LIMITS.PLAN.SEGMENTS_MAX} segments.`
+    );
+    return;
+  }
+  const segment = practicePlan.sanitizeSegment(raw);
+  if (!segment) {
+    notices.showNotice("⚠️ Add groove names to the list first.");
+    return;
+  }
+  _segments = practicePlan.savePlan([..._segments, segment]);
+  _render();
+}
+
+/**
+ * Rebuilds the segment list.
+ * @private
+ */
+function _render() {
+  const list = document.getElementById("planSegments");
+  list.innerHTML = "";
+  _segments.forEach((segment, i) => list.appendChild(_buildRow(segment, i)));
+
+  const total = practicePlan.getPlanDuration(_segments);
+  document.getElementById("planTotal").textContent =
+    _segments.length > 0 ? `Total ${formatTime(total)}` : "No segments yet";
+  _syncLock();
+}
+
+/**
+ * One editable row per segment.
+ * @private
+ */
+function _buildRow(segment, index) {
+  const li = document.createElement("li");
+  li.className = "plan-segment";
+  li.dataset.index = index;
+
+  const fields = document.createElement("div");
+  fields.className = "plan-segment-fields";
+
+  const label = document.createElement("strong");
+  label.textContent = practicePlan.SEGMENT_TYPES[segment.type];
+  fields.appendChild(label);
+
+  const { MIN, MAX } = LIMITS.PLAN.MINUTES;
+  fields.appendChild(
+    _numberField(index, "minutes", [MIN, MAX], "min", "Minutes")
+  );
+
+  const bpmRange = [LIMITS.BPM.MIN, LIMITS.BPM.MAX];
+  if (segment.type === "simple") {
+    fields.appendChild(_numberField(index, "bpm", bpmRange, "BPM", "BPM"));
+  } else {
+    const grooves = document.createElement("input");
+    grooves.type = "text";
+    grooves.className = "plan-grooves";
+    grooves.value = segment.grooves.split("\n").join(", ");
+    grooves.setAttribute("aria-label", "Grooves, separated by commas");
+    grooves.addEventListener("change", () => {
+      const text = grooves.value.split(",").join("\n");
+      if (!text.trim()) {
+        notices.showNotice("⚠️ A groove segment needs at least one groove.");
+      } else {
+        _update(index, "grooves", text);
+      }
+      grooves.value = _segments[index].grooves.split("\n").join(", ");
+    });
+    fields.appendChild(grooves);
+
+    const cycle = LIMITS.INPUT.cycleDuration;
+    fields.append(
+      _numberField(index, "bpmMin", bpmRange, "–", "Minimum BPM"),
+      _numberField(index, "bpmMax", bpmRange, "BPM", "Maximum BPM"),
+      _numberField(
+        index,
+        "cycleSeconds",
+        [cycle.min, cycle.max],
+        "s/cycle",
+        "Cycle length in seconds"
+      )
+    );
+  }
+
+  const upBtn = document.createElement("button");
+  upBtn.textContent = "↑";
+  upBtn.title = "Move up";
+  upBtn.addEventListener("click", () => {
+    const moved = [..._segments];
+    [moved[index - 1], moved[index]] = [moved[index], moved[index - 1]];
+    _segments = practicePlan.savePlan(moved);
+    _render();
+  });
+
+  const removeBtn = document.createElement("button");
+  removeBtn.textContent = "✕";
+  removeBtn.title = "Remove segment";
+  removeBtn.addEventListener("click", () => {
+    _segments = practicePlan.savePlan(_segments.filter((_, i) => i !== index));
+    _render();
+  });
+
+  fields.append(upBtn, removeBtn);
+  li.appendChild(fields);
+  return li;
+}
+
+/**
+ * Number input bound to one segment field, followed by its unit.
+ * @private
+ */
+function _numberField(index, key, [min, max], unit, ariaLabel) {
+  const wrap = document.createElement("span");
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = min;
+  input.max = max;
+  input.value = _segments[index][key];
+  input.dataset.field = key;
+  input.setAttribute("aria-label", ariaLabel);
+  input.addEventListener("change", () => {
+    _update(index, key, input.value);
+    input.value = _segments[index][key]; // Show the clamped value
+  });
+
+  wrap.append(input, unit);
+  return wrap;
+}
+
+/**
+ * Stores one edited field. Rows are patched in place so focus survives.
+ * @private
+ */
+function _update(index, key, value) {
+  const edited = _segments.map((s, i) =>
+    i === index ? { ...s, [key]: value } : s
+  );
+  _segments = practicePlan.savePlan(edited);
+
+  // A range typed upside down is swapped; show both ends again
+  const row = document.querySelector(`.plan-segment[data-index="${index}"]`);
+  if (row && (key === "bpmMin" || key === "bpmMax")) {
+    ["bpmMin", "bpmMax"].forEach((field) => {
+      row.querySelector(`[data-field="${field}"]`).value =
+        _segments[index][field];
+    });
+  }
+  document.getElementById("planTotal").textContent = `Total ${formatTime(
+    practicePlan.getPlanDuration(_segments)
+  )}`;
+}
+
+/**
+ * Locks editing while the plan runs and disables Run while another mode
+ * owns the metronome.
+ * @private
+ */
+function _syncLock() {
+  const editor = document.getElementById("practicePlan");
+  if (!editor) return;
+  editor.querySelectorAll(".plan-segment").forEach((row) => {
+    row.querySelectorAll("input, button").forEach((el) => {
+      el.disabled = _running;
+    });
+    // The first row has nowhere to move up to
+    if (row.dataset.index === "0") row.querySelector("button").disabled = true;
+  });
+  document.getElementById("planAddSimpleBtn").disabled = _running;
+  document.getElementById("planAddGrooveBtn").disabled = _running;
+
+  const runBtn = document.getElementById("planRunBtn");
+  runBtn.textContent = _running ? "Stop plan" : "Run plan";
+  runBtn.disabled = !_running && !!getActiveModeOwner();
+}
+
+/**
+ * Mirrors `practicePlan:progress` into the editor and both panels.
+ * @private
+ */
+function _onProgress(detail) {
+  _running = detail.running;
+  const statusEls = document.querySelectorAll(".plan-status");
+
+  document.querySelectorAll(".plan-segment").forEach((row) => {
+    row.classList.toggle(
+      "active",
+      _running && Number(row.dataset.index) === detail.index
+    );
+  });
+
+  statusEls.forEach((el) => {
+    el.classList.toggle("hidden", !_running);
+    if (!_running || !detail.segment) return;
+    const type = practicePlan.SEGMENT_TYPES[detail.segment.type];
+    el.textContent = `Plan ${detail.index + 1}/${detail.total} · ${type} · ${formatTime(Math.max(0, detail.remaining))} left`;
+  });
+  _syncLock();
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Routine bar in the groove panel.
+ * Saves the current groove-session setup under a name and loads it back
+ * in one click by writing every input and replaying its change event, so
+ * the sliders, tray and session options update as if edited by hand.
+ *
+ * @module ui/routinePanel
+ */
+
+import * as routines from "../routines.js";
+import { getGrooveWeight, setGrooveWeight } from "../grooveSelection.js";
+import { getActiveModeOwner } from "../ownership.js";
+import { getCountInSettings } from "../countIn.js";
+import * as notices from "./notices.js";
+
+/**
+ * Initializes the routine bar and keeps its list in sync with storage.
+ *
+ * @returns {void}
+ */
+export function initRoutinePanel() {
+  const selectEl = document.getElementById("routineSelect");
+  const nameEl = document.getElementById("routineName");
+  const saveBtn = document.getElementById("routineSaveBtn");
+  const loadBtn = document.getElementById("routineLoadBtn");
+  const deleteBtn = document.getElementById("routineDeleteBtn");
+  if (!selectEl || !nameEl || !saveBtn || !loadBtn || !deleteBtn) return;
+
+  // Picking a routine offers its name for re-saving
+  selectEl.addEventListener("change", () => {
+    if (selectEl.value) nameEl.value = selectEl.value;
+    _updateButtons();
+  });
+
+  saveBtn.addEventListener("click", () => {
+    const name = nameEl.value.trim();
+    if (!name) {
+      notices.showNotice("⚠️ Name the routine first.");
+      nameEl.focus();
+      return;
+    }
+    if (routines.getRoutine(name) && !_confirmed(saveBtn, "Overwrite?")) {
+      return;
+    }
+
+    const { success, error } = routines.saveRoutine(name, _captureRoutine());
+    if (success) {
+      selectEl.value = name;
+      _updateButtons();
+      notices.showNotice(`✅ Routine "${name}" saved.`);
+    } else if (error === "FULL") {
+      notices.showNotice("❌ Routine storage full. Delete one first.");
+    } else if (error === "INVALID") {
+      notices.showNotice("⚠️ Add at least one groove name first.");
+    } else {
+      notices.showNotice("❌ Could not save the routine.");
+    }
+  });
+
+  loadBtn.addEventListener("click", () => {
+    const owner = getActiveModeOwner();
+    if (owner) {
+      notices.showNotice(`⚠️ Cannot load a routine while ${owner} is active.`);
+      return;
+    }
+    const routine = routines.getRoutine(selectEl.value);
+    if (!routine) return;
+    _applyRoutine(routine);
+    notices.showNotice(`📋 Loaded "${selectEl.value}".`);
+  });
+
+  deleteBtn.addEventListener("click", () => {
+    const name = selectEl.value;
+    if (!name || !_confirmed(deleteBtn, "Confirm?")) return;
+    routines.deleteRoutine(name);
+    if (nameEl.value.trim() === name) nameEl.value = "";
+    notices.showNotice(`🗑️ Routine "${name}" deleted.`);
+  });
+
+  document.addEventListener("routines:changed", _renderOptions);
+  _renderOptions();
+}
+
+/**
+ * Rebuilds the routine <select>, keeping the current choice if it survives.
+ * @private
+ */
+function _renderOptions() {
+  const selectEl = document.getElementById("routineSelect");
+  const previous = selectEl.value;
+  const names = routines.getAllRoutineNames();
+
+  selectEl.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = names.length ? "Choose a routine…" : "No routines";
+  selectEl.appendChild(placeholder);
+  names.forEach((name) => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    selectEl.appendChild(opt);
+  });
+
+  selectEl.value = names.includes(previous) ? previous : "";
+  _updateButtons();
+}
+
+/** @private */
+function _updateButtons() {
+  const hasSelection = !!document.getElementById("routineSelect").value;
+  document.getElementById("routineLoadBtn").disabled = !hasSelection;
+  document.getElementById("routineDeleteBtn").disabled = !hasSelection;
+}
+
+/**
+ * Two-step confirm, same pattern as the groove list's Replace button.
+ * @private
+ * @returns {boolean} True on the confirming (second) click
+ */
+function _confirmed(btn, prompt) {
+  if (btn.classList.contains("confirming")) {
+    btn.classList.remove("confirming");
+    btn.textContent = btn.dataset.label;
+    return true;
+  }
+  btn.dataset.label = btn.textContent;
+  btn.classList.add("confirming");
+  btn.textContent = prompt;
+  setTimeout(() => {
+    btn.classList.remove("confirming");
+    btn.textContent = btn.dataset.label;
+  }, 3000);
+  return false;
+}
+
+/** @private */
+const _val = (id) => document.getElementById(id)?.value;
+
+/**
+ * Reads the groove session setup from the panel inputs.
+ * @private
+ * @returns {Object} Routine fields for routines.saveRoutine()
+ */
+function _captureRoutine() {
+  const grooves = _val("grooves") || "";
+  const weights = {};
+  grooves
+    .split("\n")
+    .map((n) => n.trim())
+    .filter(Boolean)
+    .forEach((name) => {
+      const w = getGrooveWeight(name);
+      if (w !== 1) weights[name] = w;
+    });
+
+  return {
+    bpmMin: _val("bpmMin"),
+    bpmMax: _val("bpmMax"),
+    grooves,
+    weights,
+    sessionMode: _val("sessionMode"),
+    totalCycles: _val("totalCycles"),
+    totalTime: _val("totalTime"),
+    totalTimeUnit: _val("totalTimeUnit"),
+    cycleDuration: _val("cycleDuration"),
+    cycleUnit: _val("cycleUnit"),
+    timeSignature: {
+      preset: _val("groovePresetSelect"),
+      beats: _val("grooveCustomNumerator"),
+      value: _val("grooveCustomDenominator"),
+      subdivision: _val("grooveSubdivisionSelect"),
+    },
+    tempoStrategy: _val("tempoStrategySelect"),
+    groovePolicy: _val("grooveSelectionSelect"),
+    gapClick: {
+      mode: _val("grooveGapMode"),
+      playBars: _val("grooveGapPlay"),
+      muteBars: _val("grooveGapMute"),
+      mutePercent: _val("grooveGapPercent"),
+    },
+    countIn: getCountInSettings(),
+  };
+}
+
+/**
+ * Writes a value and replays the event its listeners expect.
+ * @private
+ */
+function _setInput(id, value, eventType = "change") {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.value = String(value);
+  el.dispatchEvent(new Event(eventType, { bubbles: true }));
+}
+
+/**
+ * Applies a stored routine to the groove panel.
+ * @private
+ */
+function _applyRoutine(routine) {
+  // 1. BPM range (the pair is margin-safe again once the session starts)
+  ["bpmMin", "bpmMax"].forEach((id) => {
+    document.getElementById(id).dataset.lastValidValue = String(routine[id]);
+    _setInput(id, routine[id]);
+  });
+
+  // 2. Groove list and weights (the input event persists the names)
+  _setInput("grooves", routine.grooves, "input");
+  routine.grooves.split("\n").forEach((name) => {
+    setGrooveWeight(name, routine.weights[name] ?? 1);
+  });
+
+  // 3. Session limit and cycle length
+  _setInput("sessionMode", routine.sessionMode);
+  _setInput("totalCycles", routine.totalCycles);
+  _setInput("totalTime", routine.totalTime);
+  _setInput("totalTimeUnit", routine.totalTimeUnit);
+  _setInput("cycleDuration", routine.cycleDuration);
+  _setInput("cycleUnit", routine.cycleUnit);
+
+  // 4. Time signature: custom fields first, the preset reads them on change
+  const ts = routine.timeSignature;
+  document.getElementById("grooveCustomNumerator").value = String(ts.beats);
+  document.getElementById("grooveCustomDenominator").value = String(ts.value);
+  _setInput("groovePresetSelect", ts.preset);
+  const value = ts.preset === "custom" ? ts.value : +ts.preset.split("/")[1];
+  if (value === 4) _setInput("grooveSubdivisionSelect", ts.subdivision);
+
+  // 5. Session options (their change handlers persist them)
+  _setInput("tempoStrategySelect", routine.tempoStrategy);
+  _setInput("grooveSelectionSelect", routine.groovePolicy);
+
+  // 6. Drop-out and count-in: each row saves all its fields on one change
+  const gap = routine.gapClick;
+  document.getElementById("grooveGapPlay").value = String(gap.playBars);
+  document.getElementById("grooveGapMute").value = String(gap.muteBars);
+  document.getElementById("grooveGapPercent").value = String(gap.mutePercent);
+  _setInput("grooveGapMode", gap.mode);
+
+  const countIn = routine.countIn;
+  document.getElementById("countInLength").value = String(countIn.length);
+  document.getElementById("countInSound").value = countIn.sound;
+  document.getElementById("countInFirstOnly").checked = countIn.firstCycleOnly;
+  _setInput("countInUnit", countIn.unit);
+
+  // Same refresh signal the library import uses to rebuild the groove list
+  document.dispatchEvent(
+    new CustomEvent("metronome:ownerChanged", { detail: { owner: null } })
+  );
+}
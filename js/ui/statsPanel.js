@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Practice statistics dashboard in the settings dialog.
+ * Draws its charts as inline SVG/HTML so it works offline with no
+ * chart library: time per day and week, time and BPM range per groove,
+ * streaks and the most-skipped grooves.
+ *
+ * @module ui/statsPanel
+ */
+
+import * as practiceLog from "../practiceLog.js";
+import { computeStats } from "../practiceStats.js";
+import { formatTime } from "../utils.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const CHART_H = 80; // Bar area height in SVG units
+const MAX_GROOVE_ROWS = 8;
+
+/**
+ * Initializes the stats panel. Figures are recomputed when the section
+ * opens and after every saved session.
+ *
+ * @returns {void}
+ */
+export function initStatsPanel() {
+  const details = document.getElementById("practiceStats");
+  if (!details) return;
+
+  details.addEventListener("toggle", () => {
+    if (details.open) _render();
+  });
+  document.addEventListener("practiceLog:saved", () => {
+    if (details.open) _render();
+  });
+}
+
+/**
+ * Rebuilds every block of the dashboard.
+ * @private
+ */
+async function _render() {
+  const container = document.getElementById("statsContent");
+  if (!container) return;
+
+  const stats = computeStats(await practiceLog.getSessions());
+  container.innerHTML = "";
+
+  if (stats.totalSeconds === 0) {
+    container.appendChild(
+      _text("p", "setting-description", "Practise a session to see stats.")
+    );
+    return;
+  }
+
+  // 1. Headline tiles
+  const tiles = document.createElement("div");
+  tiles.className = "stats-tiles";
+  [
+    ["Total", formatTime(Math.round(stats.totalSeconds))],
+    ["Streak", _days(stats.streak.current)],
+    ["Best streak", _days(stats.streak.longest)],
+  ].forEach(([label, value]) => {
+    const tile = _text("div", "stats-tile", "");
+    tile.append(
+      _text("span", "stats-tile-value", value),
+      _text("span", "stats-tile-label", label)
+    );
+    tiles.appendChild(tile);
+  });
+  container.appendChild(tiles);
+
+  // 2. Time per day / week
+  container.appendChild(_text("h3", "stats-heading", "Last 14 days"));
+  container.appendChild(
+    _barChart(
+      stats.daily.map((d) => ({
+        value: d.seconds,
+        label: String(d.date.getDate()),
+        title: `${d.date.toLocaleDateString()}: ${formatTime(Math.round(d.seconds))}`,
+      }))
+    )
+  );
+
+  container.appendChild(_text("h3", "stats-heading", "Last 8 weeks"));
+  container.appendChild(
+    _barChart(
+      stats.weekly.map((w) => ({
+        value: w.seconds,
+        label: `${w.date.getDate()}/${w.date.getMonth() + 1}`,
+        title: `Week of ${w.date.toLocaleDateString()}: ${formatTime(Math.round(w.seconds))}`,
+      }))
+    )
+  );
+
+  // 3. Per-groove time and tempo range
+  const grooves = stats.grooves.slice(0, MAX_GROOVE_ROWS);
+  if (grooves.length > 0) {
+    container.appendChild(_text("h3", "stats-heading", "Time per groove"));
+    container.appendChild(_grooveTimeRows(grooves));
+
+    const ranged = grooves.filter((g) => g.minBpm !== null);
+    if (ranged.length > 0) {
+      container.appendChild(_text("h3", "stats-heading", "BPM range reached"));
+      container.appendChild(_bpmRangeRows(ranged));
+    }
+  }
+
+  // 4. Most skipped
+  if (stats.mostSkipped.length > 0) {
+    container.appendChild(_text("h3", "stats-heading", "Most skipped"));
+    const list = document.createElement("ol");
+    list.className = "stats-skipped";
+    stats.mostSkipped.slice(0, 5).forEach(({ groove, skips }) => {
+      list.appendChild(_text("li", "", `${groove} — ${skips}× skipped`));
+    });
+    container.appendChild(list);
+  }
+}
+
+/**
+ * Vertical bar chart with one column per entry.
+ * @private
+ * @param {{value: number, label: string, title: string}[]} bars
+ * @returns {SVGSVGElement}
+ */
+function _barChart(bars) {
+  const slot = 20;
+  const width = bars.length * slot;
+  const max = Math.max(1, ...bars.map((b) => b.value));
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("class", "stats-chart");
+  svg.setAttribute("viewBox", `0 0 ${width} ${CHART_H + 14}`);
+  svg.setAttribute("role", "img");
+
+  bars.forEach((bar, i) => {
+    const h = bar.value > 0 ? Math.max(2, (bar.value / max) * CHART_H) : 0;
+    const rect = document.createElementNS(SVG_NS, "rect");
+    rect.setAttribute("class", "stats-bar");
+    rect.setAttribute("x", i * slot + 3);
+    rect.setAttribute("y", CHART_H - h);
+    rect.setAttribute("width", slot - 6);
+    rect.setAttribute("height", h);
+    const title = document.createElementNS(SVG_NS, "title");
+    title.textContent = bar.title;
+    rect.appendChild(title);
+    svg.appendChild(rect);
+
+    const label = document.createElementNS(SVG_NS, "text");
+    label.setAttribute("class", "stats-axis-label");
+    label.setAttribute("x", i * slot + slot / 2);
+    label.setAttribute("y", CHART_H + 11);
+    label.textContent = bar.label;
+    svg.appendChild(label);
+  });
+
+  svg.setAttribute("aria-label", bars.map((b) => b.title).join("; "));
+  return svg;
+}
+
+/**
+ * Horizontal bars: practice time per groove.
+ * @private
+ */
+function _grooveTimeRows(grooves) {
+  const max = Math.max(1, ...grooves.map((g) => g.seconds));
+  const rows = document.createElement("div");
+  rows.className = "stats-rows";
+
+  grooves.forEach((g) => {
+    const fill = _text("div", "stats-row-fill", "");
+    fill.style.width = `${(g.seconds / max) * 100}%`;
+    rows.appendChild(_row(g.groove, fill, formatTime(Math.round(g.seconds))));
+  });
+  return rows;
+}
+
+/**
+ * Horizontal range bars: slowest to fastest completed tempo per groove,
+ * on a scale shared by all rows.
+ * @private
+ */
+function _bpmRangeRows(grooves) {
+  const lo = Math.min(...grooves.map((g) => g.minBpm)) - 5;
+  const hi = Math.max(...grooves.map((g) => g.maxBpm)) + 5;
+  const pct = (bpm) => ((bpm - lo) / (hi - lo)) * 100;
+
+  const rows = document.createElement("div");
+  rows.className = "stats-rows";
+  grooves.forEach((g) => {
+    const fill = _text("div", "stats-row-fill stats-range-fill", "");
+    fill.style.left = `${pct(g.minBpm)}%`;
+    // Keep a single-tempo range visible as a short tick
+    fill.style.width = `${Math.max(2, pct(g.maxBpm) - pct(g.minBpm))}%`;
+    const value =
+      g.minBpm === g.maxBpm ? `${g.minBpm}` : `${g.minBpm}–${g.maxBpm}`;
+    rows.appendChild(_row(g.groove, fill, value));
+  });
+  return rows;
+}
+
+/**
+ * Label · track · value row shared by both horizontal charts.
+ * @private
+ */
+function _row(label, fill, value) {
+  const row = _text("div", "stats-row", "");
+  const track = _text("div", "stats-row-track", "");
+  track.appendChild(fill);
+  const name = _text("span", "stats-row-label", label);
+  name.title = label;
+  row.append(name, track, _text("span", "stats-row-value", value));
+  return row;
+}
+
+/** @private */
+function _text(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+/** @private */
+function _days(n) {
+  return `${n} day${n === 1 ? "" : "s"}`;
+}
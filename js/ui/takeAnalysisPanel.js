@@ -0,0 +1,140 @@
+/**
+ * @fileoverview "Analyze a recording" section shared by both modes.
+ * Takes an audio file plus the tempo, meter and subdivision it was played
+ * to, and lists the timing deviation of every hit next to the same
+ * summary the tap-along takes use.
+ *
+ * @module ui/takeAnalysisPanel
+ */
+
+import { LIMITS } from "../constants.js";
+import { debugLog } from "../debug.js";
+import * as simpleMetronome from "../simpleMetronome.js";
+import { analyzeTake } from "../takeAnalysis.js";
+import { clamp } from "../utils.js";
+import { renderTimingSummary } from "./tapAccuracyPanel.js";
+
+let _prefilled = false;
+
+/**
+ * Initializes the take analysis section. Tempo and meter start from the
+ * simple metronome the first time the section opens.
+ *
+ * @returns {void}
+ */
+export function initTakeAnalysisPanel() {
+  const details = document.getElementById("takeAnalysis");
+  if (!details) return;
+
+  const fileInput = document.getElementById("takeFile");
+  const analyzeBtn = document.getElementById("takeAnalyzeBtn");
+
+  details.addEventListener("toggle", () => {
+    if (details.open && !_prefilled) _prefill();
+  });
+  fileInput.addEventListener("change", () => {
+    analyzeBtn.disabled = fileInput.files.length === 0;
+  });
+  analyzeBtn.addEventListener("click", _analyze);
+}
+
+/** @private */
+function _prefill() {
+  _prefilled = true;
+  const { beats, value } = simpleMetronome.core.getTimeSignature();
+  document.getElementById("takeBpm").value = simpleMetronome.getBpm();
+  document.getElementById("takeBeats").value = beats;
+  document.getElementById("takeValue").value = value;
+  document.getElementById("takeSubdivision").value =
+    simpleMetronome.core.getTicksPerBeat();
+}
+
+/**
+ * Reads the form, clamping it to what the metronomes accept.
+ * @private
+ */
+function _readSettings() {
+  const int = (id) => parseInt(document.getElementById(id).value, 10);
+  const value = int("takeValue");
+  const ticksPerBeat = int("takeSubdivision");
+  return {
+    bpm: clamp(
+      int("takeBpm") || LIMITS.BPM.MIN,
+      LIMITS.BPM.MIN,
+      LIMITS.BPM.MAX
+    ),
+    timeSignature: {
+      beats: clamp(int("takeBeats") || 1, 1, LIMITS.TIME_SIG.BEATS_MAX),
+      value: LIMITS.TIME_SIG.DENOMINATORS.includes(value) ? value : 4,
+    },
+    ticksPerBeat: LIMITS.TIME_SIG.SUBDIVISIONS.includes(ticksPerBeat)
+      ? ticksPerBeat
+      : 1,
+  };
+}
+
+/**
+ * Runs the analysis on the chosen file and shows the result.
+ * @private
+ */
+async function _analyze() {
+  const file = document.getElementById("takeFile").files[0];
+  const analyzeBtn = document.getElementById("takeAnalyzeBtn");
+  const container = document.getElementById("takeResults");
+  if (!file) return;
+
+  analyzeBtn.disabled = true;
+  container.innerHTML = "";
+  _setStatus("Analysing…");
+
+  try {
+    const settings = _readSettings();
+    const result = await analyzeTake(await file.arrayBuffer(), settings);
+    _setStatus(
+      `${file.name}: ${result.durationS.toFixed(1)} s at ${settings.bpm} BPM, ` +
+        `${settings.timeSignature.beats}/${settings.timeSignature.value}.`
+    );
+    _render(container, result);
+  } catch (e) {
+    debugLog("audio", "❌ Take analysis failed:", e);
+    _setStatus(`⚠️ Could not analyse this file. ${e?.message || ""}`.trim());
+  } finally {
+    analyzeBtn.disabled = false;
+  }
+}
+
+/**
+ * Summary tiles and histogram, then one row per hit.
+ * @private
+ */
+function _render(container, { hits, summary }) {
+  if (hits.length === 0) {
+    const empty = document.createElement("p");
+    empty.className = "setting-description";
+    empty.textContent = "No hits found. Try a louder or closer recording.";
+    container.appendChild(empty);
+    return;
+  }
+
+  renderTimingSummary(container, summary, "Hits");
+
+  const list = document.createElement("ol");
+  list.className = "take-hits";
+  hits.forEach((hit) => {
+    const item = document.createElement("li");
+    const ms = hit.deviationMs;
+    item.textContent = `Bar ${hit.bar} · ${hit.label}: ${
+      ms === 0
+        ? "on the grid"
+        : `${Math.abs(ms)} ms ${ms < 0 ? "early" : "late"}`
+    }`;
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+}
+
+/** @private */
+function _setStatus(text) {
+  const status = document.getElementById("takeStatus");
+  if (status) status.textContent = text;
+}
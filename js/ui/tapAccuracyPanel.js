@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Tap-along accuracy section shared by both modes.
+ * While it is switched on, every groove cycle and every simple metronome
+ * run is a take: taps on the pad or the T key are scored against the
+ * nearest tick, and the take's mean offset, spread and histogram are shown
+ * when it ends.
+ *
+ * @module ui/tapAccuracyPanel
+ */
+
+import { ensureAudio } from "../audioProfiles.js";
+import { UX } from "../constants.js";
+import * as tapAccuracy from "../tapAccuracy.js";
+import { getActiveModeOwner } from "../ownership.js";
+
+const PLAYING_OWNERS = ["groove", "simple"];
+
+/**
+ * Initializes the tap-along section: take lifecycle, tap inputs and the
+ * results view.
+ *
+ * @returns {void}
+ */
+export function initTapAccuracyPanel() {
+  const toggle = document.getElementById("tapAccuracyToggle");
+  const pad = document.getElementById("tapPad");
+  if (!toggle || !pad) return;
+
+  toggle.addEventListener("change", () => {
+    if (toggle.checked) {
+      if (PLAYING_OWNERS.includes(getActiveModeOwner())) _startTake();
+    } else {
+      tapAccuracy.endTake();
+      _setLast("");
+    }
+  });
+
+  // 1. A take spans one run of the metronome...
+  document.addEventListener("metronome:ownerChanged", (e) => {
+    const owner = e?.detail?.owner;
+    if (PLAYING_OWNERS.includes(owner)) {
+      if (toggle.checked && !tapAccuracy.isTakeRunning()) _startTake();
+    } else if (tapAccuracy.isTakeRunning()) {
+      _renderSummary(tapAccuracy.endTake());
+    }
+  });
+
+  // 2. ...or one groove cycle (after the last one the session just stops)
+  document.addEventListener("groove:cycleEnd", (e) => {
+    if (!tapAccuracy.isTakeRunning()) return;
+    _renderSummary(tapAccuracy.endTake());
+    if (!e?.detail?.last) _startTake();
+  });
+
+  // 3. Tap inputs: the pad, or T (Space belongs to the transport)
+  pad.addEventListener("pointerdown", (e) => {
+    e.preventDefault();
+    _tap();
+  });
+  window.addEventListener("keydown", (e) => {
+    if (e.code !== "KeyT" || e.repeat) return;
+    const active = document.activeElement;
+    if (
+      active &&
+      (active.tagName === "INPUT" ||
+        active.tagName === "TEXTAREA" ||
+        active.tagName === "SELECT" ||
+        active.isContentEditable)
+    )
+      return;
+    if (!tapAccuracy.isTakeRunning()) return;
+    e.preventDefault();
+    _tap();
+  });
+}
+
+/** @private */
+function _startTake() {
+  tapAccuracy.startTake();
+  _setLast("Tap along with the click.");
+}
+
+/**
+ * Scores one tap and shows its offset.
+ * @private
+ */
+function _tap() {
+  if (!tapAccuracy.isTakeRunning()) return;
+  const ms = tapAccuracy.recordTap(ensureAudio());
+  const pad = document.getElementById("tapPad");
+  pad.classList.add("flashing");
+  setTimeout(() => pad.classList.remove("flashing"), UX.TIMING.FLASH_MS);
+
+  if (ms === null) _setLast("No tick near that tap.");
+  else if (ms === 0) _setLast("Spot on");
+  else _setLast(`${Math.abs(ms)} ms ${ms < 0 ? "early" : "late"}`);
+}
+
+/** @private */
+function _setLast(text) {
+  const el = document.getElementById("tapLast");
+  if (el) el.textContent = text;
+}
+
+/**
+ * Shows a finished take.
+ *
+ * @param {ReturnType<typeof tapAccuracy.summarizeOffsets>|null} summary
+ * @private
+ */
+function _renderSummary(summary) {
+  const container = document.getElementById("tapAccuracyResults");
+  if (!container || !summary) return;
+  _setLast("");
+  container.innerHTML = "";
+
+  if (summary.count === 0) {
+    container.appendChild(
+      _text("p", "setting-description", "No taps were scored in that take.")
+    );
+    return;
+  }
+  renderTimingSummary(container, summary);
+}
+
+/**
+ * Appends headline tiles (count, mean, spread) and an early/late
+ * histogram for a set of timing offsets. Shared with the take analysis.
+ *
+ * @param {HTMLElement} container
+ * @param {ReturnType<typeof tapAccuracy.summarizeOffsets>} summary
+ * @param {string} [countLabel="Taps"]
+ * @returns {void}
+ */
+export function renderTimingSummary(container, summary, countLabel = "Taps") {
+  // 1. Headline tiles
+  const tiles = document.createElement("div");
+  tiles.className = "stats-tiles";
+  [
+    [countLabel, String(summary.count)],
+    ["Mean", `${summary.mean > 0 ? "+" : ""}${summary.mean} ms`],
+    ["Spread (σ)", `${summary.std} ms`],
+  ].forEach(([label, value]) => {
+    const tile = _text("div", "stats-tile", "");
+    tile.append(
+      _text("span", "stats-tile-value", value),
+      _text("span", "stats-tile-label", label)
+    );
+    tiles.appendChild(tile);
+  });
+  container.appendChild(tiles);
+
+  // 2. Histogram, early on the left
+  const peak = Math.max(...summary.histogram.map((b) => b.count));
+  const chart = document.createElement("div");
+  chart.className = "tap-histogram";
+  summary.histogram.forEach((b) => {
+    const bar = document.createElement("div");
+    bar.className = "tap-histogram-bar";
+    if (b.to <= 0) bar.classList.add("early");
+    bar.style.height = `${(b.count / peak) * 100}%`;
+    bar.title = `${b.from} to ${b.to} ms: ${b.count}`;
+    chart.appendChild(bar);
+  });
+  container.appendChild(chart);
+
+  const range = summary.histogram[summary.histogram.length - 1].to;
+  container.appendChild(
+    _text(
+      "p",
+      "setting-description",
+      `${summary.early} early, ${summary.late} late (−${range} to +${range} ms)`
+    )
+  );
+}
+
+/** @private */
+function _text(tag, className, text) {
+  const el = document.createElement(tag);
+  el.className = className;
+  el.textContent = text;
+  return el;
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview "Up next" card in the groove panel.
+ * Shows the groove and tempo pre-drawn for the following cycle during the
+ * last seconds of the current one, with a mini grid of the stored pattern.
+ *
+ * @module ui/upNext
+ */
+
+import { AUDIO, LIMITS, DEFAULTS, STORAGE_KEYS } from "../constants.js";
+import { KIT, getTrackIds } from "../drumKit.js";
+import { debugLog } from "../debug.js";
+
+/**
+ * Clamps the lead time to whole seconds. 0 turns the card off.
+ *
+ * @param {*} raw
+ * @returns {number}
+ */
+export function sanitizeUpNextSeconds(raw) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n)) return DEFAULTS.UP_NEXT_SECONDS;
+  return Math.min(LIMITS.UP_NEXT.MAX, Math.max(LIMITS.UP_NEXT.MIN, n));
+}
+
+/**
+ * @returns {number} Seconds before the cycle ends that the card appears
+ */
+export function getUpNextSeconds() {
+  return sanitizeUpNextSeconds(localStorage.getItem(STORAGE_KEYS.UP_NEXT));
+}
+
+/**
+ * Wires the lead-time input in the session tray.
+ *
+ * @returns {void}
+ */
+export function initUpNextUI() {
+  const input = document.getElementById("upNextSeconds");
+  if (!input) return;
+
+  input.min = LIMITS.UP_NEXT.MIN;
+  input.max = LIMITS.UP_NEXT.MAX;
+  input.value = getUpNextSeconds();
+  input.addEventListener("change", () => {
+    const seconds = sanitizeUpNextSeconds(input.value);
+    input.value = seconds;
+    localStorage.setItem(STORAGE_KEYS.UP_NEXT, String(seconds));
+    debugLog("state", `⏭️ Up next lead time set to ${seconds}s`);
+  });
+}
+
+/**
+ * Shows the following cycle's groove and tempo.
+ *
+ * @param {string} groove
+ * @param {number} bpm
+ * @param {Object|null} pattern - Stored pattern of the groove, if any
+ * @returns {void}
+ */
+export function showUpNext(groove, bpm, pattern) {
+  const card = document.getElementById("upNext");
+  if (!card) return;
+
+  const meter = pattern?.patternTimeSignature;
+  const meterText = meter ? ` · ${meter.beats}/${meter.value}` : "";
+  card.querySelector(".up-next-label").textContent =
+    `Up next: ${groove} · ${bpm} BPM${meterText}`;
+
+  const preview = card.querySelector(".up-next-preview");
+  preview.innerHTML = "";
+  if (pattern) _renderPreview(preview, pattern);
+  preview.classList.toggle("hidden", !pattern);
+
+  card.classList.remove("hidden");
+}
+
+/** @returns {void} */
+export function hideUpNext() {
+  document.getElementById("upNext")?.classList.add("hidden");
+}
+
+/**
+ * One row per track that plays, one cell per step of the first measure.
+ * Accents and ghost notes reuse the editor's velocity classes.
+ * @private
+ */
+function _renderPreview(preview, pattern) {
+  const measures = Math.max(1, parseInt(pattern.measures, 10) || 1);
+  const { ACCENT, GHOST } = AUDIO.VELOCITY.LEVELS;
+
+  getTrackIds(pattern.patterns).forEach((id) => {
+    const steps = pattern.patterns[id];
+    if (!steps.some((level) => level > 0)) return;
+
+    const row = document.createElement("div");
+    row.className = "up-next-row";
+
+    const label = document.createElement("span");
+    label.className = "up-next-track";
+    label.textContent = KIT[id].label;
+    row.appendChild(label);
+
+    const perMeasure = Math.ceil(steps.length / measures);
+    steps.slice(0, perMeasure).forEach((level) => {
+      const cell = document.createElement("span");
+      cell.className = "up-next-cell";
+      cell.classList.toggle("on", level > 0);
+      cell.classList.toggle("velocity-accent", level === ACCENT);
+      cell.classList.toggle("velocity-ghost", level === GHOST);
+      row.appendChild(cell);
+    });
+    preview.appendChild(row);
+  });
+}
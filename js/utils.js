@@ -9,6 +9,7 @@
 
 import { debugLog } from "./debug.js";
 import * as constants from "./constants.js";
+import { getGroupStartBeats } from "./meterGrouping.js";
 
 // =============================================================================
 // 1. RHYTHMIC MATH & QUANTIZATION
@@ -60,6 +61,35 @@ export function calculateNextBpm(
   return next;
 }
 
+/**
+ * Lists the on-grid BPM values inside a range.
+ * Values have the form anchor + n*step and fall within [bpmMin, bpmMax].
+ *
+ * @param {number} bpmMin - Minimum BPM (inclusive)
+ * @param {number} bpmMax - Maximum BPM (inclusive)
+ * @param {number} step - Grid spacing
+ * @param {number|null} [anchorValue=null] - Grid origin; null = use bpmMin
+ * @returns {number[]} Ascending grid (never empty: falls back to the anchor)
+ * @example
+ * getBpmGrid(33, 60, 7, 33); // [33, 40, 47, 54]
+ */
+export function getBpmGrid(bpmMin, bpmMax, step, anchorValue = null) {
+  // When anchorValue is null (Simple Mode), anchor = bpmMin, which reproduces
+  // the previous 0-anchored behaviour for multiples-of-5 inputs.
+  const anchor = anchorValue !== null ? anchorValue : bpmMin;
+  const firstN = Math.ceil((bpmMin - anchor) / step);
+  const grid = [];
+  for (let n = firstN; ; n++) {
+    const val = anchor + n * step;
+    if (val > bpmMax) break;
+    grid.push(val);
+  }
+
+  // Safety net: if no grid points fall in range, fall back to anchor
+  if (grid.length === 0) grid.push(anchor);
+  return grid;
+}
+
 /**
  * Randomly selects a groove and BPM within specified ranges.
  * In Advanced Mode, the BPM grid is anchor-relative: picks only values of the
@@ -76,7 +106,11 @@ export function calculateNextBpm(
  * @param {number} bpmMax       - Maximum BPM (inclusive)
  * @param {number|null} [anchorValue=null] - Grid origin; null = use bpmMin (Simple Mode)
  * @param {string} [anchorDir="min"]       - "min" | "max" (unused here, passed for symmetry)
- * @returns {{bpm: number, groove: string}} Random on-grid BPM and groove name
+ * @param {Function} [pickBpm]  - (grid, groove) => bpm. Defaults to a uniform
+ *                                random pick; tempo strategies replace it.
+ * @param {Function} [pickGroove] - (grooves) => name. Defaults to a uniform
+ *                                random pick; selection policies replace it.
+ * @returns {{bpm: number, groove: string}} On-grid BPM and groove name
  * @example
  * // Advanced Mode, min-anchored: anchor=33, step=7, range [33,60]
  * randomizeGroove('Rock\nFunk', 33, 60, 33, 'min');
@@ -87,7 +121,9 @@ export function randomizeGroove(
   bpmMin,
   bpmMax,
   anchorValue = null,
-  anchorDir = "min"
+  anchorDir = "min",
+  pickBpm = pickRandom,
+  pickGroove = pickRandom
 ) {
   const grooves = groovesText
     .split("\n")
@@ -102,29 +138,13 @@ export function randomizeGroove(
   if (bpmMin > bpmMax) [bpmMin, bpmMax] = [bpmMax, bpmMin];
 
   const step = sanitizeQuantizationStep(QUANTIZATION.groove);
-
-  // Anchor-relative grid: find all values of the form anchor + n*step
-  // that fall within [bpmMin, bpmMax].
-  // When anchorValue is null (Simple Mode), anchor = bpmMin, which reproduces
-  // the previous 0-anchored behaviour for multiples-of-5 inputs.
   const anchor = anchorValue !== null ? anchorValue : bpmMin;
-  const firstN = Math.ceil((bpmMin - anchor) / step);
-  const possibleBPMs = [];
-  for (let n = firstN; ; n++) {
-    const val = anchor + n * step;
-    if (val > bpmMax) break;
-    possibleBPMs.push(val);
-  }
-
-  // Safety net: if no grid points fall in range, fall back to anchor
-  if (possibleBPMs.length === 0) possibleBPMs.push(anchor);
-
-  const randomBpm = pickRandom(possibleBPMs);
+  const possibleBPMs = getBpmGrid(bpmMin, bpmMax, step, anchor);
 
   const randomGroove =
-    grooves.length > 0
-      ? grooves[Math.floor(Math.random() * grooves.length)]
-      : "No groove selected";
+    grooves.length > 0 ? pickGroove(grooves) : "No groove selected";
+
+  const randomBpm = pickBpm(possibleBPMs, randomGroove);
 
   debugLog(
     "state",
@@ -254,76 +274,70 @@ export function sanitizeQuantizationStep(value) {
   });
 }
 
+/**
+ * Builds the BPM stages of a speed-trainer ramp.
+ * Steps from start toward target by the increment (either direction);
+ * the final stage is clipped to the target. Values stay within LIMITS.BPM.
+ *
+ * @param {number} startBpm - First stage
+ * @param {number} targetBpm - Last stage
+ * @param {number} increment - BPM change per stage (absolute value used)
+ * @returns {number[]} Ordered stage tempos (at least one entry)
+ * @example
+ * buildTempoRamp(100, 118, 5); // [100, 105, 110, 115, 118]
+ */
+export function buildTempoRamp(startBpm, targetBpm, increment) {
+  const { MIN, MAX } = constants.LIMITS.BPM;
+  const start = clamp(Math.round(startBpm), MIN, MAX);
+  const target = clamp(Math.round(targetBpm), MIN, MAX);
+  const step = Math.max(1, Math.abs(Math.round(increment)));
+  const dir = target >= start ? 1 : -1;
+
+  const stages = [];
+  for (let v = start; dir > 0 ? v < target : v > target; v += dir * step) {
+    stages.push(v);
+  }
+  stages.push(target);
+  return stages;
+}
+
 // =============================================================================
 // 2. GEOMETRY ENGINE
 // Blueprint math for visual measure layouts and phrase segmentation.
 // =============================================================================
 
+/**
+ * Describes every tick of one or more measures for the visuals and editor.
+ * With an additive grouping (e.g. [2, 2, 3] in 7/8), each group's first
+ * beat is flagged `groupStart`; after the downbeat it is also
+ * `isGroupAccent`.
+ *
+ * @param {{beats: number, value: number}} timeSignature
+ * @param {number} ticksPerBeat
+ * @param {number} [measures=1]
+ * @param {number[]|null} [grouping=null] - Beats per group
+ * @returns {Object[]} One entry per tick
+ */
 export function generateMeasureLayout(
   timeSignature,
   ticksPerBeat,
-  measures = 1
+  measures = 1,
+  grouping = null
 ) {
   const layout = [];
   const { beats } = timeSignature;
   const totalTicks = beats * ticksPerBeat * measures;
   const ticksPerMeasure = beats * ticksPerBeat;
-
-  const phonationPatterns = {
-    1: [
-      "1",
-      "2",
-      "3",
-      "4",
-      "5",
-      "6",
-      "7",
-      "8",
-      "9",
-      "10",
-      "11",
-      "12",
-      "13",
-      "14",
-      "15",
-      "16",
-    ],
-    2: [
-      "1",
-      "&",
-      "2",
-      "&",
-      "3",
-      "&",
-      "4",
-      "&",
-      "5",
-      "&",
-      "6",
-      "&",
-      "7",
-      "&",
-      "8",
-      "&",
-    ],
-    4: [
-      "1",
-      "e",
-      "&",
-      "a",
-      "2",
-      "e",
-      "&",
-      "a",
-      "3",
-      "e",
-      "&",
-      "a",
-      "4",
-      "e",
-      "&",
-      "a",
-    ],
+  const groupStarts = new Set(getGroupStartBeats(grouping));
+
+  // Syllables after the beat number, one per subdivision tick
+  const syllables = {
+    2: ["&"],
+    3: ["trip", "let"],
+    4: ["e", "&", "a"],
+    5: ["e", "&", "a", "da"],
+    6: ["la", "li", "&", "la", "li"],
+    8: ["ta", "e", "ta", "&", "ta", "a", "ta"],
   };
 
   for (let i = 0; i < totalTicks; i++) {
@@ -334,35 +348,46 @@ export function generateMeasureLayout(
 
     if (tickInBeat === 0) {
       size = colorClass = "primary";
-    } else if (
-      (ticksPerBeat === 4 && tickInBeat === 2) ||
-      (ticksPerBeat === 2 && tickInBeat === 1)
-    ) {
+    } else if (tickInBeat * 2 === ticksPerBeat) {
+      // The half-beat "&" of even subdivisions
       size = colorClass = "secondary";
     }
 
-    const pattern = phonationPatterns[ticksPerBeat] || phonationPatterns[1];
-    const labelIndex = ticksPerBeat === 1 ? currentBeat : i % ticksPerMeasure;
-    let label = pattern[labelIndex % pattern.length] || String(currentBeat + 1);
-    if (ticksPerBeat === 1 && currentBeat >= pattern.length)
-      label = String(currentBeat + 1);
+    const label =
+      tickInBeat === 0
+        ? String(currentBeat + 1)
+        : syllables[ticksPerBeat]?.[tickInBeat - 1] || "";
 
+    const groupStart = tickInBeat === 0 && groupStarts.has(currentBeat);
     layout.push({
       size,
       label,
       colorClass,
       isAccent: i % ticksPerMeasure === 0,
+      groupStart,
+      isGroupAccent: groupStart && currentBeat !== 0,
     });
   }
   return layout;
 }
 
-export function segmentIntoPhrases(totalTicks) {
+/**
+ * Ticks shown per phrase of the panning view. Odd-numbered and sextuplet
+ * subdivisions show one whole beat so phrases never split a beat.
+ *
+ * @param {number} ticksPerBeat
+ * @returns {number}
+ */
+export function getPhraseLength(ticksPerBeat) {
+  return [3, 5, 6].includes(ticksPerBeat) ? ticksPerBeat : 4;
+}
+
+export function segmentIntoPhrases(totalTicks, maxLength = 4) {
   const phrases = [];
   let start = 0;
   while (start < totalTicks) {
     const remainingTicks = totalTicks - start;
-    const phraseLength = Math.min(4, remainingTicks);
+    const phraseLength = Math.min(maxLength, remainingTicks);
     phrases.push({
       start,
       end: start + phraseLength - 1,
@@ -378,7 +403,12 @@ export function comparePhrasePatterns(layout, phrase1, phrase2) {
   const slice2 = layout.slice(phrase2.start, phrase2.end + 1);
   const countMatch = slice1.length === slice2.length;
   const hierarchyMatch =
-    countMatch && slice1.every((dot, i) => dot.size === slice2[i].size);
+    countMatch &&
+    slice1.every(
+      (dot, i) =>
+        dot.size === slice2[i].size &&
+        !!dot.isGroupAccent === !!slice2[i].isGroupAccent
+    );
   const labelMatch =
     hierarchyMatch && slice1.every((dot, i) => dot.label === slice2[i].label);
   return { countMatch, hierarchyMatch, labelMatch };
@@ -775,6 +805,30 @@ export function convertToSeconds(value, unit) {
   return n;
 }
 
+/**
+ * Checks whether another cycle follows the current one. A timed session
+ * (or plan segment) has one only while its clock outlasts the cycle's.
+ *
+ * @param {{mode: string, totalCycles: number}} setup - Session limit
+ * @param {{cyclesDone: number, remaining: number, sessionRemaining: number, sessionEnding: boolean}} progress
+ *   - Session flags: cycles finished, seconds left in the cycle and session
+ * @returns {boolean}
+ *
+ * @example
+ * hasNextCycle({ mode: "cycles", totalCycles: 4 }, { cyclesDone: 3 }); // false
+ */
+export function hasNextCycle(setup, progress) {
+  if (setup.mode === "cycles") {
+    return progress.cyclesDone + 1 < setup.totalCycles;
+  }
+  if (setup.mode === "time") {
+    return (
+      !progress.sessionEnding && progress.sessionRemaining > progress.remaining
+    );
+  }
+  return true;
+}
+
 /**
  * Picks a random element from an array.
  *
@@ -786,6 +840,29 @@ export function pickRandom(arr) {
   return arr[Math.floor(Math.random() * arr.length)];
 }
 
+/**
+ * Picks an element with probability proportional to its weight.
+ * Non-positive or invalid weights never win unless every weight is zero,
+ * in which case the pick is uniform.
+ *
+ * @param {Array} arr - Array to pick from
+ * @param {number[]} weights - One weight per element
+ * @returns {*} Chosen element or empty string if invalid
+ */
+export function pickWeighted(arr, weights) {
+  if (!Array.isArray(arr) || arr.length === 0) return "";
+  const w = arr.map((_, i) => Math.max(0, Number(weights?.[i]) || 0));
+  const total = w.reduce((sum, v) => sum + v, 0);
+  if (total <= 0) return pickRandom(arr);
+
+  let r = Math.random() * total;
+  for (let i = 0; i < arr.length; i++) {
+    r -= w[i];
+    if (r < 0) return arr[i];
+  }
+  return arr[arr.length - 1];
+}
+
 /**
  * Extracts a random groove name from multiline text.
  *
@@ -4,7 +4,7 @@
 // Phrase-based metronome visualizer with intelligent panning
 //
 // ARCHITECTURE:
-// - Segments measures into 4-tick phrases for consistent viewport
+// - Segments measures into 4-tick phrases (one beat for triplet-type subdivisions)
 // - Dual rendering modes: Intelligent (minimal updates) vs Forced (always pan)
 // - Pattern comparison engine detects when phrase structures match
 // - GSAP-powered animations with proper cleanup to prevent memory leaks
@@ -21,9 +21,44 @@ import * as simpleMetronome from "./simpleMetronome.js";
 import { patternScheduler } from "./patternScheduler.js";
 import * as advancedMode from "./ui/advancedMode.js";
 import { getGroovePattern } from "./grooveStorage.js";
+import { KIT } from "./drumKit.js";
+import { parseRatio, buildPolyrhythmGrid } from "./polyrhythm.js";
 import { debugLog } from "./debug.js";
+import { ensureAudio } from "./audioProfiles.js";
+import { getVisualDelayMs } from "./latency.js";
 
 const BEATS_PER_PAGE = 8; // How many main beats to show at once.
+const _pendingFlashes = new Set(); // Timers of ticks waiting to be heard
+
+// A stopped metronome must not keep flashing the ticks it had scheduled
+document.addEventListener("metronome:ownerChanged", (e) => {
+  if (e.detail.owner) return;
+  _pendingFlashes.forEach((id) => clearTimeout(id));
+  _pendingFlashes.clear();
+});
+
+/**
+ * Runs a draw step when the tick scheduled at `audioTime` is heard: after
+ * the scheduler's lookahead plus the calibrated output latency.
+ *
+ * @private
+ * @param {number} [audioTime] - Without it, draws immediately
+ * @param {Function} draw
+ * @returns {void}
+ */
+function _atHeardTime(audioTime, draw) {
+  const delayMs =
+    audioTime === undefined ? 0 : getVisualDelayMs(ensureAudio(), audioTime);
+  if (delayMs < 1) {
+    draw();
+    return;
+  }
+  const id = setTimeout(() => {
+    _pendingFlashes.delete(id);
+    draw();
+  }, delayMs);
+  _pendingFlashes.add(id);
+}
 
 /**
  * Computes how many ticks of lookback are needed to satisfy lead time requirements.
@@ -71,17 +106,24 @@ function _createBeatElement(
 ) {
   const wrapper = document.createElement("div");
   wrapper.className = "beat-wrapper";
+  // Additive meters: a small gap before each later group start
+  if (dotInfo.isGroupAccent) wrapper.classList.add("group-start");
 
   const dot = document.createElement("div");
   if (isPatternMode) {
     dot.className = "pattern-dot";
-    // Look up if this specific tick in the pattern is a "hit"
-    if (patternScheduler.getStepData(trackID, stepIndex)) {
+    // Look up if this specific tick in the pattern is a "hit" (and how hard)
+    const level = patternScheduler.getStepData(trackID, stepIndex);
+    if (level) {
+      const { LEVELS } = constants.AUDIO.VELOCITY;
       dot.classList.add("active");
+      if (level === LEVELS.ACCENT) dot.classList.add("velocity-accent");
+      if (level === LEVELS.GHOST) dot.classList.add("velocity-ghost");
     }
   } else {
     dot.className = `beat-dot ${dotInfo.size}`;
     if (dotInfo.isAccent) dot.classList.add("accent");
+    if (dotInfo.isGroupAccent) dot.classList.add("group-accent");
   }
   wrapper.appendChild(dot);
 
@@ -98,6 +140,20 @@ function _createBeatElement(
   return wrapper;
 }
 
+/**
+ * Lists the dashboard rows for the active pattern.
+ * Respects the editor's Hi-Hat Pedal toggle.
+ *
+ * @private
+ * @returns {string[]} Kit track IDs, top row first
+ */
+function _getVisibleTracks() {
+  const showPed = document.getElementById("toggleHHPed")?.checked ?? true;
+  return patternScheduler
+    .getTracks()
+    .filter((trackID) => trackID !== "HHPed" || showPed);
+}
+
 /**
  * Pure construction: Builds a new .panning-container and its child dots/rows.
  * Does NOT touch the live DOM.
@@ -120,12 +176,10 @@ function _buildPhraseContainer(measureLayout, phrase, panelId) {
 
   const phraseSlice = measureLayout.slice(phrase.start, phrase.end + 1);
   const builtDots = [];
-  const tracks = isPatternMode ? ["hihat", "kick", "snare", "HHPed"] : [null];
-  const showPed = document.getElementById("toggleHHPed")?.checked ?? true;
+  const tracks = isPatternMode ? _getVisibleTracks() : [null];
+  const phonationTrack = tracks[tracks.length - 1]; // Labels under the bottom row
 
   tracks.forEach((trackID) => {
-    if (trackID === "HHPed" && !showPed) return;
-
     let dotParent = panningContainer;
 
     if (isPatternMode) {
@@ -135,8 +189,7 @@ function _buildPhraseContainer(measureLayout, phrase, panelId) {
 
       const label = document.createElement("div");
       label.className = "pattern-row-label";
-      const labelMap = { hihat: "HH", kick: "KI", snare: "SN", HHPed: "PD" };
-      label.textContent = labelMap[trackID] || "";
+      label.textContent = KIT[trackID]?.label || "";
       row.appendChild(label);
 
       panningContainer.appendChild(row);
@@ -144,8 +197,7 @@ function _buildPhraseContainer(measureLayout, phrase, panelId) {
     }
 
     phraseSlice.forEach((dotInfo, i) => {
-      const showPhonation =
-        !isPatternMode || trackID === (showPed ? "HHPed" : "snare");
+      const showPhonation = !isPatternMode || trackID === phonationTrack;
       const wrapper = _createBeatElement(
         dotInfo,
         isPatternMode,
@@ -384,6 +436,7 @@ function flashActiveDot(
         "flashing",
         "accent-flash",
         "normal-flash",
+        "group-flash",
         "flash-primary",
         "flash-secondary",
         "flash-tertiary"
@@ -418,11 +471,10 @@ function flashActiveDot(
     const text = activeWrapper.children[1];
     const dotInfo = measureLayout[currentTickInMeasure];
 
-    if (dot)
-      dot.classList.add(
-        "flashing",
-        isPrimaryAccent ? "accent-flash" : "normal-flash"
-      );
+    let flashClass = "normal-flash";
+    if (isPrimaryAccent) flashClass = "accent-flash";
+    else if (dotInfo.isGroupAccent) flashClass = "group-flash";
+    if (dot) dot.classList.add("flashing", flashClass);
     if (text) text.classList.add(`flash-${dotInfo.colorClass}`);
   }
 
@@ -436,6 +488,7 @@ function flashActiveDot(
           "flashing",
           "accent-flash",
           "normal-flash",
+          "group-flash",
           "flash-primary",
           "flash-secondary",
           "flash-tertiary"
@@ -446,6 +499,8 @@ function flashActiveDot(
 
 /**
  * The main callback function registered with the metronome cores.
+ * Cores pass the tick's scheduled audio time as a fourth argument; the
+ * draw then waits until the tick is heard (see latency.js).
  */
 export function createVisualCallback(panelId = "groove") {
   const containerId =
@@ -494,7 +549,7 @@ export function createVisualCallback(panelId = "groove") {
     }`
   );
 
-  return (tickIndex, isPrimaryAccent, isMainBeat) => {
+  const render = (tickIndex, isPrimaryAccent, isMainBeat) => {
     try {
       const container = document.getElementById(containerId);
       if (!container) return;
@@ -528,7 +583,8 @@ export function createVisualCallback(panelId = "groove") {
         totalTicksInMeasure = timeSignature.beats * ticksPerBeat;
       }
 
-      const signatureKey = `${timeSignature.beats}/${timeSignature.value}-${totalTicksInMeasure}`;
+      const grouping = core.getGrouping();
+      const signatureKey = `${timeSignature.beats}/${timeSignature.value}-${totalTicksInMeasure}-${grouping}`;
       if (totalTicksInMeasure === 0) return;
 
       // --- MODE SWITCH DETECTION ---
@@ -563,9 +619,13 @@ export function createVisualCallback(panelId = "groove") {
         measureLayout = utils.generateMeasureLayout(
           timeSignature,
           ticksPerBeat,
-          currentMeasures
+          currentMeasures,
+          grouping
+        );
+        phrases = utils.segmentIntoPhrases(
+          totalTicksInMeasure,
+          utils.getPhraseLength(ticksPerBeat)
         );
-        phrases = utils.segmentIntoPhrases(totalTicksInMeasure);
 
         container.innerHTML = "";
         dotElements.length = 0;
@@ -728,6 +788,116 @@ export function createVisualCallback(panelId = "groove") {
       console.error(`❌ Visual callback error [${panelId}]:`, error);
     }
   };
+
+  return (tickIndex, isPrimaryAccent, isMainBeat, audioTime) =>
+    _atHeardTime(audioTime, () =>
+      render(tickIndex, isPrimaryAccent, isMainBeat)
+    );
+}
+
+/**
+ * Visual callback for the simple panel's polyrhythm mode. Draws one row per
+ * layer with its pulses spaced across the cycle, so pulses that coincide
+ * line up vertically, and flashes the pulses of each event.
+ *
+ * @returns {Function} Callback receiving (eventIndex, event, grid, audioTime)
+ */
+export function createPolyrhythmCallback() {
+  let flashTimeout = null;
+
+  const render = (eventIndex, event, grid) => {
+    try {
+      const container = document.getElementById(
+        "beat-indicator-container-simple"
+      );
+      if (!container) return;
+
+      if (
+        container.dataset.renderedMode !== "polyrhythm" ||
+        container.dataset.polyrhythm !== grid.layers.join(":")
+      ) {
+        _renderPolyrhythm(container, grid);
+      }
+
+      clearTimeout(flashTimeout);
+      container
+        .querySelectorAll(".polyrhythm-dot.flashing")
+        .forEach((dot) =>
+          dot.classList.remove("flashing", "accent-flash", "normal-flash")
+        );
+      container
+        .querySelectorAll(`.polyrhythm-dot[data-step="${event.step}"]`)
+        .forEach((dot) =>
+          dot.classList.add(
+            "flashing",
+            eventIndex === 0 ? "accent-flash" : "normal-flash"
+          )
+        );
+
+      flashTimeout = setTimeout(() => {
+        container
+          .querySelectorAll(".polyrhythm-dot.flashing")
+          .forEach((dot) =>
+            dot.classList.remove("flashing", "accent-flash", "normal-flash")
+          );
+      }, constants.UX.TIMING.FLASH_MS);
+    } catch (error) {
+      console.error("❌ Polyrhythm visual callback error:", error);
+    }
+  };
+
+  return (eventIndex, event, grid, audioTime) =>
+    _atHeardTime(audioTime, () => render(eventIndex, event, grid));
+}
+
+/**
+ * Builds the layered polyrhythm view. Dots sit at their fraction of the
+ * cycle; dots shared with another layer are marked as coinciding.
+ * @private
+ */
+function _renderPolyrhythm(container, grid) {
+  container
+    .querySelectorAll(".panning-container")
+    .forEach((c) => gsap.killTweensOf(c));
+  container.innerHTML = "";
+  container.classList.remove("pattern-mode");
+  container.dataset.renderedMode = "polyrhythm";
+  container.dataset.polyrhythm = grid.layers.join(":");
+
+  const shared = new Set(
+    grid.events.filter((e) => e.layers.length > 1).map((e) => e.step)
+  );
+
+  const view = document.createElement("div");
+  view.className = "polyrhythm-view";
+
+  grid.layers.forEach((pulses, layer) => {
+    const row = document.createElement("div");
+    row.className = "polyrhythm-layer";
+    row.dataset.layer = layer;
+
+    const label = document.createElement("span");
+    label.className = "polyrhythm-label";
+    label.textContent = pulses;
+    row.appendChild(label);
+
+    const lane = document.createElement("div");
+    lane.className = "polyrhythm-lane";
+    for (let k = 0; k < pulses; k++) {
+      const step = k * (grid.steps / pulses);
+      const dot = document.createElement("span");
+      dot.className = "polyrhythm-dot";
+      dot.classList.toggle("coincide", shared.has(step));
+      dot.dataset.step = step;
+      dot.style.left = `${(step / grid.steps) * 100}%`;
+      lane.appendChild(dot);
+    }
+    row.appendChild(lane);
+    view.appendChild(row);
+  });
+
+  container.appendChild(view);
+  debugLog("visuals", `🔀 Polyrhythm view ${grid.layers.join(":")} rendered`);
 }
 
 /**
@@ -745,6 +915,16 @@ export function primeVisuals(panelId = "groove") {
   if (!container) return;
 
   const core = panelId === "groove" ? metronome : simpleMetronome.core;
+  const polyLayers =
+    panelId === "simple" ? parseRatio(core.getPolyrhythm()) : null;
+  if (polyLayers) {
+    _renderPolyrhythm(container, buildPolyrhythmGrid(polyLayers));
+    return;
+  }
+  // Leaving polyrhythm mode: the beat callback rebuilds on its next tick
+  if (container.dataset.renderedMode === "polyrhythm") {
+    container.dataset.renderedMode = "";
+  }
   const timeSignature = core.getTimeSignature();
   const ticksPerBeat = core.getTicksPerBeat();
   const isPatternMode =
@@ -780,13 +960,13 @@ export function primeVisuals(panelId = "groove") {
   const measureLayout = utils.generateMeasureLayout(
     timeSignature,
     ticksPerBeat,
-    measures
+    measures,
+    core.getGrouping()
   );
-  const tracks = isPatternMode ? ["hihat", "kick", "snare", "HHPed"] : [null];
-  const showPed = document.getElementById("toggleHHPed")?.checked ?? true;
+  const tracks = isPatternMode ? _getVisibleTracks() : [null];
+  const phonationTrack = tracks[tracks.length - 1]; // Labels under the bottom row
 
   tracks.forEach((trackID) => {
-    if (trackID === "HHPed" && !showPed) return;
     let dotParent = panningContainer;
 
     if (isPatternMode) {
@@ -795,16 +975,14 @@ export function primeVisuals(panelId = "groove") {
       if (trackID) row.dataset.track = trackID; // Added identity for CSS coloring
       const label = document.createElement("div");
       label.className = "pattern-row-label";
-      const labelMap = { hihat: "HH", kick: "KI", snare: "SN", HHPed: "PD" };
-      label.textContent = labelMap[trackID] || "";
+      label.textContent = KIT[trackID]?.label || "";
       row.appendChild(label);
       panningContainer.appendChild(row);
       dotParent = row;
     }
 
     measureLayout.forEach((dotInfo, i) => {
-      const showPhonation =
-        !isPatternMode || trackID === (showPed ? "HHPed" : "snare");
+      const showPhonation = !isPatternMode || trackID === phonationTrack;
       const wrapper = _createBeatElement(
         dotInfo,
         isPatternMode,
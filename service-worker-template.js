@@ -21,27 +21,59 @@ const FILES_TO_CACHE = [
   "./manifest.webmanifest",
   "./css/styles.css",
   "./js/audioProfiles.js",
+  "./js/beatAccents.js",
   "./js/constants.js",
+  "./js/countIn.js",
   "./js/debug.js",
+  "./js/drumKit.js",
+  "./js/gapClick.js",
+  "./js/grooveSelection.js",
   "./js/grooveStorage.js",
+  "./js/hitScoring.js",
+  "./js/latency.js",
   "./js/main.js",
+  "./js/meterGrouping.js",
   "./js/metronomeCore.js",
+  "./js/midiInput.js",
+  "./js/midiOutput.js",
+  "./js/mixer.js",
   "./js/patternScheduler.js",
+  "./js/polyrhythm.js",
+  "./js/practiceLog.js",
+  "./js/practicePlan.js",
+  "./js/practiceStats.js",
   "./js/profiler.js",
+  "./js/routines.js",
   "./js/sampleLoader.js",
   "./js/sessionEngine.js",
   "./js/simpleMetronome.js",
   "./js/simpleMetronomeCore.js",
+  "./js/speedTrainer.js",
+  "./js/swing.js",
+  "./js/takeAnalysis.js",
+  "./js/tapAccuracy.js",
+  "./js/tempoStrategy.js",
   "./js/uiController.js",
   "./js/utils.js",
   "./js/visuals.js",
   "./js/ui/advancedMode.js",
   "./js/ui/controls.js",
   "./js/ui/grooveEditor.js",
+  "./js/ui/historyPanel.js",
   "./js/ui/hotkeys.js",
+  "./js/ui/latencyPanel.js",
+  "./js/ui/midiOutputPanel.js",
+  "./js/ui/midiPanel.js",
+  "./js/ui/mixerPanel.js",
   "./js/ui/panels.js",
+  "./js/ui/planPanel.js",
+  "./js/ui/routinePanel.js",
   "./js/ui/sliders.js",
+  "./js/ui/statsPanel.js",
+  "./js/ui/takeAnalysisPanel.js",
+  "./js/ui/tapAccuracyPanel.js",
   "./js/ui/theme.js",
+  "./js/ui/upNext.js",
   "./js/ui/wakeLock.js",
   "./assets/audio/hh_closed.wav",
   "./assets/audio/hh_pedal.wav",